@@ -295,35 +295,132 @@ function scoreInputField(element, context, description) {
   return score;
 }
 
+/**
+ * Shadow DOM selector syntax (same as Puppeteer's page.$):
+ *   "host >>> inner"  - inner matched anywhere below host, including inside open shadow roots
+ *   "pierce/selector" - selector matched in the document and in all open shadow roots
+ */
+const SHADOW_SEPARATOR = ' >>> ';
+
+/**
+ * Collect open shadow roots below a node (recursively, including nested shadow trees)
+ */
+function collectShadowRoots(node, roots = []) {
+  const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+  let current = node.nodeType === Node.ELEMENT_NODE ? node : walker.nextNode();
+
+  while (current) {
+    if (current.shadowRoot) {
+      roots.push(current.shadowRoot);
+      collectShadowRoots(current.shadowRoot, roots);
+    }
+    current = walker.nextNode();
+  }
+
+  return roots;
+}
+
+/**
+ * querySelectorAll that also searches inside open shadow roots
+ */
+function querySelectorAllDeep(css, scope = document) {
+  const results = [];
+  const seen = new Set();
+
+  for (const root of [scope, ...collectShadowRoots(scope)]) {
+    for (const el of root.querySelectorAll(css)) {
+      if (!seen.has(el)) {
+        seen.add(el);
+        results.push(el);
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Resolve a tool selector (plain CSS, "pierce/..." or "host >>> inner") to elements
+ */
+function resolveSelectorInPage(selector, scope = document) {
+  if (selector.startsWith('pierce/')) {
+    return querySelectorAllDeep(selector.slice('pierce/'.length), scope);
+  }
+
+  const parts = selector.split('>>>').map(part => part.trim()).filter(Boolean);
+  let matches = Array.from(scope.querySelectorAll(parts[0]));
+
+  for (const part of parts.slice(1)) {
+    const next = new Set();
+    for (const host of matches) {
+      querySelectorAllDeep(part, host).forEach(el => next.add(el));
+    }
+    matches = Array.from(next);
+  }
+
+  return matches;
+}
+
 /**
  * Generate unique CSS selector for an element
+ * Elements inside shadow trees get their host chain prefixed: "my-app >>> my-form >>> input#email"
  */
 function getUniqueSelectorInPage(element) {
+  const root = element.getRootNode();
+  const localSelector = getLocalSelectorInPage(element, root);
+
+  if (root instanceof ShadowRoot) {
+    return getUniqueSelectorInPage(root.host) + SHADOW_SEPARATOR + localSelector;
+  }
+
+  return localSelector;
+}
+
+/**
+ * Unique selector, or null when none can be built (never throws - safe for per-element loops)
+ */
+function getUniqueSelectorOrNullInPage(element) {
+  try {
+    return getUniqueSelectorInPage(element);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Generate selector that is unique within the element's own document or shadow root
+ * Ids, classes and attribute values are escaped (Tailwind-style "md:flex", SVG elements)
+ */
+function getLocalSelectorInPage(element, root) {
+  const tag = element.tagName.toLowerCase();
+
   // Try ID first
   if (element.id) {
-    return `#${element.id}`;
+    const selector = `#${CSS.escape(element.id)}`;
+    if (root.querySelectorAll(selector).length === 1) {
+      return selector;
+    }
   }
 
-  // Try unique class combination
-  if (element.className) {
-    const classes = element.className.split(' ').filter(c => c.trim());
-    if (classes.length > 0) {
-      const selector = `${element.tagName.toLowerCase()}.${classes.join('.')}`;
-      if (document.querySelectorAll(selector).length === 1) {
-        return selector;
-      }
-      // Try with first class only
-      const firstClassSelector = `${element.tagName.toLowerCase()}.${classes[0]}`;
-      if (document.querySelectorAll(firstClassSelector).length === 1) {
-        return firstClassSelector;
-      }
+  // Try unique class combination (className is an SVGAnimatedString on SVG elements)
+  const classes = (element.getAttribute('class') || '').split(/\s+/).filter(Boolean).map(c => CSS.escape(c));
+  if (classes.length > 0) {
+    const selector = `${tag}.${classes.join('.')}`;
+    if (root.querySelectorAll(selector).length === 1) {
+      return selector;
+    }
+    // Try with first class only
+    const firstClassSelector = `${tag}.${classes[0]}`;
+    if (root.querySelectorAll(firstClassSelector).length === 1) {
+      return firstClassSelector;
     }
   }
 
   // Try name attribute
-  if (element.name) {
-    const selector = `${element.tagName.toLowerCase()}[name="${element.name}"]`;
-    if (document.querySelectorAll(selector).length === 1) {
+  const name = element.getAttribute('name');
+  if (name) {
+    const selector = `${tag}[name="${CSS.escape(name)}"]`;
+    if (root.querySelectorAll(selector).length === 1) {
       return selector;
     }
   }
@@ -334,8 +431,8 @@ function getUniqueSelectorInPage(element) {
     .slice(0, 2);
 
   for (const attr of dataAttrs) {
-    const selector = `${element.tagName.toLowerCase()}[${attr.name}="${attr.value}"]`;
-    if (document.querySelectorAll(selector).length === 1) {
+    const selector = `${tag}[${CSS.escape(attr.name)}="${CSS.escape(attr.value)}"]`;
+    if (root.querySelectorAll(selector).length === 1) {
       return selector;
     }
   }
@@ -348,7 +445,7 @@ function getUniqueSelectorInPage(element) {
     let selector = current.tagName.toLowerCase();
 
     if (current.id) {
-      selector = `#${current.id}`;
+      selector = `#${CSS.escape(current.id)}`;
       path.unshift(selector);
       break;
     }
@@ -10,7 +10,7 @@ import { z } from "zod";
 import puppeteer from "puppeteer";
 import Jimp from "jimp";
 import pixelmatch from "pixelmatch";
-import { writeFileSync, mkdirSync, readFileSync } from 'fs';
+import { writeFileSync, mkdirSync, readFileSync, existsSync } from 'fs';
 import { dirname } from 'path';
 import { spawn } from 'child_process';
 import http from 'http';
@@ -20,6 +20,65 @@ import path from 'path';
 // Figma token from environment variable (can be set in MCP config)
 const FIGMA_TOKEN = process.env.FIGMA_TOKEN || null;
 
+// Chrome launch settings from environment variables (can be set in MCP config)
+const CHROME_HEADLESS = parseBooleanEnv(process.env.CHROME_HEADLESS);
+const CHROME_PATH = process.env.CHROME_PATH || null;
+const CHROME_USER_DATA_DIR = process.env.CHROME_USER_DATA_DIR || null;
+const CHROME_ARGS = parseArgsEnv(process.env.CHROME_ARGS);
+
+// Parse boolean-like environment variable: "true", "1", "yes", "new" (Puppeteer's headless mode name) are true,
+// any other value is false; unset or empty returns null (use the default)
+function parseBooleanEnv(value) {
+  if (value === undefined || value === '') return null;
+  return ['true', '1', 'yes', 'new'].includes(String(value).toLowerCase());
+}
+
+// Parse command-line flags from an environment variable: a JSON array of strings,
+// or space-separated with single or double quotes around values containing spaces
+// (e.g. --user-agent="My Agent" --lang=en)
+function parseArgsEnv(value) {
+  if (!value || !value.trim()) return [];
+
+  if (value.trim().startsWith('[')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`CHROME_ARGS is not a valid JSON array: ${error.message}`);
+    }
+    if (!Array.isArray(parsed) || !parsed.every(arg => typeof arg === 'string')) {
+      throw new Error('CHROME_ARGS JSON must be an array of strings');
+    }
+    return parsed;
+  }
+
+  const args = [];
+  let current = '';
+  let inToken = false;
+  let quote = null;
+  for (const char of value) {
+    if (quote) {
+      if (char === quote) quote = null;
+      else current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      inToken = true;
+    } else if (/\s/.test(char)) {
+      if (inToken) args.push(current);
+      current = '';
+      inToken = false;
+    } else {
+      current += char;
+      inToken = true;
+    }
+  }
+  if (quote) {
+    throw new Error(`CHROME_ARGS has an unclosed ${quote} quote`);
+  }
+  if (inToken) args.push(current);
+  return args;
+}
+
 // Get current directory for loading utils
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -27,6 +86,9 @@ const __dirname = dirname(__filename);
 // Load element finder utilities
 const elementFinderUtils = readFileSync(path.join(__dirname, 'element-finder-utils.js'), 'utf-8');
 
+// Package version (server info, scenario metadata)
+const { version: packageVersion } = JSON.parse(readFileSync(path.join(__dirname, 'package.json'), 'utf-8'));
+
 // Import hints generator
 import {
   generateNavigationHints,
@@ -35,16 +97,87 @@ import {
   generatePageHints
 } from './utils/hints-generator.js';
 
+// Import network capture
+import {
+  attachNetworkCapture,
+  getCapturedRequests,
+  clearCapturedRequests,
+  filterRequests,
+  getResponseBody,
+  formatRequest
+} from './utils/network-capture.js';
+import { buildHar, writeHar, readHar, startHarReplay, stopHarReplay } from './utils/har.js';
+import {
+  ABORT_REASONS,
+  addMockRule,
+  listMockRules,
+  removeMockRules,
+  getMockRules,
+  toRuleDefinition
+} from './utils/request-mocks.js';
+import {
+  NETWORK_PROFILES,
+  applyThrottling,
+  resetThrottling,
+  getThrottlingState,
+  restoreThrottling,
+  describeThrottling
+} from './utils/throttling.js';
+import { measurePerformance, formatPerformanceSummary } from './utils/performance-metrics.js';
+import { startTrace, stopTrace, formatTraceSummary } from './utils/tracing.js';
+import { startCoverage, stopCoverage, isCoverageRunning, formatCoverageSummary } from './utils/code-coverage.js';
+import { takeHeapSnapshot, collectMemoryMetrics, runLeakCheck } from './utils/memory-diagnostics.js';
+import { saveVisualBaseline, compareVisualBaseline } from './utils/visual-baselines.js';
+import { captureFullPage, splitIntoParts } from './utils/page-capture.js';
+import { captureLabeledScreenshot, INTERACTIVE_ELEMENTS_SELECTOR } from './utils/element-labels.js';
+import { isElementRef, assignElementRefs, resolveElementRef } from './utils/element-refs.js';
+import { startDomDiff, collectDomDiff, formatDomDiff } from './utils/dom-diff.js';
+import {
+  listDevices,
+  emulateDevice,
+  resetDeviceEmulation,
+  getEmulationState
+} from './utils/device-emulation.js';
+import {
+  attachDialogHandler,
+  setDialogPolicy,
+  suspendDialogPolicy,
+  queueDialogResponses,
+  getDialogs,
+  clearDialogs
+} from './utils/dialog-handler.js';
+import {
+  getDownloadsDir,
+  attachDownloadCapture,
+  enableDownloadsForContext,
+  listDownloads,
+  clearDownloads,
+  markDownloadsReported,
+  waitForDownload,
+  formatDownload
+} from './utils/download-manager.js';
+import { resolveFrame, listFrames } from './utils/frame-resolver.js';
+import { getAccessibilityTree, formatAccessibilityTree } from './utils/accessibility-tree.js';
+import { auditAccessibility, AUDIT_RULES, SEVERITIES } from './utils/accessibility-audit.js';
+import { auditKeyboardNavigation, captureFocusOrderScreenshot } from './utils/keyboard-navigation.js';
+
 // Import Recorder modules
-import { injectRecorder } from './recorder/recorder-script.js';
+import { injectRecorder, injectFrameAgent } from './recorder/recorder-script.js';
 import { executeScenario } from './recorder/scenario-executor.js';
+import {
+  captureStorageState,
+  restoreStorageState,
+  writeStorageState,
+  readStorageState
+} from './recorder/storage-state.js';
 import {
   initializeStorage,
   saveScenario,
   loadScenario,
   listScenarios,
   searchScenarios,
-  deleteScenario
+  deleteScenario,
+  setScenarioMocks
 } from './recorder/scenario-storage.js';
 
 // Detect WSL environment
@@ -75,6 +208,32 @@ function getChromePath() {
   }
 }
 
+// Resolve Chrome executable: explicit path, then system Chrome, then Puppeteer's bundled Chromium
+function resolveChromeExecutable(customPath) {
+  if (customPath) {
+    if (!existsSync(customPath)) {
+      throw new Error(`Chrome executable not found at custom path: ${customPath}`);
+    }
+    return customPath;
+  }
+
+  const systemPath = getChromePath();
+  if (existsSync(systemPath)) {
+    return systemPath;
+  }
+
+  const bundledPath = puppeteer.executablePath();
+  if (bundledPath && existsSync(bundledPath)) {
+    console.error("[chrometools-mcp] System Chrome not found, falling back to bundled Chromium");
+    return bundledPath;
+  }
+
+  throw new Error(
+    `Chrome not found at ${systemPath} and Puppeteer's bundled Chromium is not installed. ` +
+    `Set CHROME_PATH or run "npx puppeteer browsers install chrome".`
+  );
+}
+
 // Get temp directory based on platform
 function getTempDir() {
   if (process.platform === 'win32') {
@@ -88,15 +247,28 @@ function getTempDir() {
 
 // Global browser instance (persists between requests)
 let browserPromise = null;
+let browserLaunchOptions = null;
 const openPages = new Map();
 let lastPage = null;
 let chromeProcess = null;
 
+// Tab registry: stable tab IDs for every page we drive
+const tabs = new Map(); // tabId -> page
+const tabIds = new WeakMap(); // page -> tabId
+let nextTabId = 1;
+
+// Popups opened by window.open / target=_blank (consumed by click to report them)
+const popupEvents = [];
+
+// Named isolated browser contexts (separate cookies and storage per session)
+const browserContexts = new Map(); // name -> { context, activePage, createdAt }
+const contextNames = new WeakMap(); // BrowserContext -> name
+
 // Console logs storage
 const consoleLogs = [];
 
-// Page analysis cache (method 4)
-const pageAnalysisCache = new Map();
+// Page analysis cache (method 4): page -> Map(frame argument or '' -> { documentId, url, analysis })
+const pageAnalysisCache = new WeakMap();
 
 // Track pages with recorder injected
 const pagesWithRecorder = new WeakSet();
@@ -130,10 +302,23 @@ async function getChromeWebSocketEndpoint(port = CHROME_DEBUG_PORT, maxRetries =
   throw new Error('Could not get Chrome WebSocket endpoint after multiple retries');
 }
 
+// Merge launch options: tool arguments take precedence over environment variables
+function resolveLaunchOptions(overrides = {}) {
+  return {
+    headless: overrides.headless ?? CHROME_HEADLESS ?? false,
+    executablePath: overrides.executablePath || CHROME_PATH,
+    userDataDir: overrides.userDataDir || CHROME_USER_DATA_DIR || `${getTempDir()}/chrome-mcp-profile`,
+    chromeArgs: [...CHROME_ARGS, ...(overrides.chromeArgs || [])],
+  };
+}
+
 // Initialize browser (singleton)
-async function getBrowser() {
+// Launch options only apply when a new Chrome instance is started
+async function getBrowser(launchOverrides = {}) {
   if (!browserPromise) {
     browserPromise = (async () => {
+      const launchOptions = resolveLaunchOptions(launchOverrides);
+
       try {
         let browser;
         let endpoint;
@@ -147,24 +332,39 @@ async function getBrowser() {
           });
           console.error("[chrometools-mcp] Connected to existing Chrome instance");
           console.error("[chrometools-mcp] WebSocket endpoint:", endpoint);
+          browserLaunchOptions = { ...launchOptions, reusedExisting: true };
+          await onBrowserConnected(browser);
           return browser;
         } catch (connectError) {
           console.error("[chrometools-mcp] No existing Chrome found, launching new instance...");
         }
 
         // Launch new Chrome with remote debugging enabled
-        const chromePath = getChromePath();
-        const userDataDir = `${getTempDir()}/chrome-mcp-profile`;
+        const chromePath = resolveChromeExecutable(launchOptions.executablePath);
+        const userDataDir = launchOptions.userDataDir;
 
         console.error("[chrometools-mcp] Chrome path:", chromePath);
         console.error("[chrometools-mcp] User data dir:", userDataDir);
+        console.error("[chrometools-mcp] Headless:", launchOptions.headless);
 
-        chromeProcess = spawn(chromePath, [
+        const chromeArgs = [
           `--remote-debugging-port=${CHROME_DEBUG_PORT}`,
           '--no-first-run',
           '--no-default-browser-check',
           `--user-data-dir=${userDataDir}`,
-        ], {
+        ];
+
+        if (launchOptions.headless) {
+          chromeArgs.push('--headless=new');
+        }
+
+        chromeArgs.push(...launchOptions.chromeArgs);
+
+        if (launchOptions.chromeArgs.length > 0) {
+          console.error("[chrometools-mcp] Extra Chrome flags:", launchOptions.chromeArgs.join(' '));
+        }
+
+        chromeProcess = spawn(chromePath, chromeArgs, {
           detached: true,
           stdio: 'ignore',
         });
@@ -185,10 +385,15 @@ async function getBrowser() {
         console.error("[chrometools-mcp] Connected to Chrome instance");
         console.error("[chrometools-mcp] WebSocket endpoint:", endpoint);
 
+        browserLaunchOptions = { ...launchOptions, executablePath: chromePath, reusedExisting: false };
+        await onBrowserConnected(browser);
         return browser;
       } catch (error) {
+        // Allow a later call to retry with different launch options
+        browserPromise = null;
+
         // Check if it's a display-related error in WSL
-        if (isWSL && (
+        if (isWSL && !launchOptions.headless && (
           error.message.includes('DISPLAY') ||
           error.message.includes('connect ECONNREFUSED') ||
           error.message.includes('cannot open display')
@@ -217,7 +422,7 @@ This requires an X server to display the browser GUI.
 📚 For detailed setup instructions, see:
    WSL_SETUP.md in chrometools-mcp package
 
-💡 Alternative: Run in headless mode (modify index.js)
+💡 Alternative: Run in headless mode (set CHROME_HEADLESS=true in MCP config env)
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 `;
           console.error(helpMessage);
@@ -239,8 +444,15 @@ async function setupRecorderAutoReinjection(page) {
 
   // Handle navigation events (form submits, link clicks, history API)
   page.on('framenavigated', async (frame) => {
-    // Only handle main frame navigation
-    if (frame !== page.mainFrame()) return;
+    // Iframes get a frame agent that forwards their actions to the main-frame recorder
+    if (frame !== page.mainFrame()) {
+      if (pagesWithRecorder.has(page)) {
+        injectFrameAgent(frame).catch(error => {
+          console.error('[chrometools-mcp] Failed to inject recorder into frame:', error.message);
+        });
+      }
+      return;
+    }
 
     // Get current URL
     const currentUrl = frame.url();
@@ -282,24 +494,25 @@ async function setupRecorderAutoReinjection(page) {
   });
 }
 
-// Get or create page for URL
-async function getOrCreatePage(url) {
-  const browser = await getBrowser();
-
-  // Check if page for this URL already exists
-  if (openPages.has(url)) {
-    const existingPage = openPages.get(url);
-    if (!existingPage.isClosed()) {
-      lastPage = existingPage;
-      return existingPage;
-    }
-    openPages.delete(url);
+// Browser-wide setup after connecting (download capture)
+async function onBrowserConnected(browser) {
+  try {
+    await attachDownloadCapture(browser, getTempDir());
+    console.error("[chrometools-mcp] Downloads folder:", getDownloadsDir());
+  } catch (error) {
+    console.error("[chrometools-mcp] Download capture unavailable:", error.message);
   }
+}
 
-  // Create new page
-  const page = await browser.newPage();
+// Describe how the current browser was started (for tool output)
+function describeBrowserMode() {
+  if (!browserLaunchOptions) return 'Mode: unknown';
+  if (browserLaunchOptions.reusedExisting) return 'Mode: connected to existing Chrome';
+  return `Mode: ${browserLaunchOptions.headless ? 'headless' : 'GUI'}`;
+}
 
-  // Set up console log capture
+// Set up console log capture for a page
+async function setupConsoleCapture(page) {
   const client = await page.target().createCDPSession();
   await client.send('Runtime.enable');
   await client.send('Log.enable');
@@ -331,31 +544,223 @@ async function getOrCreatePage(url) {
       lineNumber: entry.lineNumber
     });
   });
+}
+
+// Register page in tab registry (assigns stable ID, console capture, popup tracking)
+async function registerPage(page) {
+  if (tabIds.has(page)) {
+    return tabIds.get(page);
+  }
+
+  const tabId = `tab-${nextTabId++}`;
+  tabs.set(tabId, page);
+  tabIds.set(page, tabId);
+
+  await setupConsoleCapture(page);
+
+  // Answer alert/confirm/prompt automatically so they never block later calls
+  attachDialogHandler(page, tabId);
+
+  try {
+    await attachNetworkCapture(page);
+  } catch (error) {
+    console.error(`[chrometools-mcp] Network capture unavailable for ${tabId}:`, error.message);
+  }
 
   // Setup recorder auto-reinjection on navigation
   setupRecorderAutoReinjection(page);
 
-  await page.goto(url, { waitUntil: 'networkidle2' });
-  openPages.set(url, page);
+  // Pick up popups opened by window.open or target=_blank
+  page.on('popup', async (popup) => {
+    if (!popup) return;
+    try {
+      const popupTabId = await registerPage(popup);
+      popupEvents.push({
+        tabId: popupTabId,
+        openerTabId: tabId,
+        url: popup.url(),
+        timestamp: new Date().toISOString()
+      });
+      console.error(`[chrometools-mcp] Popup opened: ${popupTabId} (from ${tabId})`);
+    } catch (error) {
+      console.error('[chrometools-mcp] Failed to register popup:', error.message);
+    }
+  });
+
+  page.once('close', () => {
+    tabs.delete(tabId);
+    const contextEntry = browserContexts.get(getPageContextName(page));
+    if (contextEntry && contextEntry.activePage === page) {
+      contextEntry.activePage = getMostRecentTab(contextEntry.context);
+    }
+    if (lastPage === page) {
+      lastPage = getMostRecentTab();
+    }
+  });
+
+  return tabId;
+}
+
+// Get most recently registered open tab (fallback when active tab is closed)
+// Optionally restricted to a single browser context
+function getMostRecentTab(browserContext = null) {
+  const openTabs = Array.from(tabs.values())
+    .filter(p => !p.isClosed())
+    .filter(p => !browserContext || p.browserContext() === browserContext);
+  return openTabs.length > 0 ? openTabs[openTabs.length - 1] : null;
+}
+
+// Get name of the isolated context a page belongs to (null for default context)
+function getPageContextName(page) {
+  return contextNames.get(page.browserContext()) || null;
+}
+
+// Make page the active one (globally and within its named context)
+function setActivePage(page) {
   lastPage = page;
+  const contextEntry = browserContexts.get(getPageContextName(page));
+  if (contextEntry) {
+    contextEntry.activePage = page;
+  }
+}
+
+// Get or create a named isolated (incognito) browser context
+async function getOrCreateContext(contextName) {
+  if (browserContexts.has(contextName)) {
+    return browserContexts.get(contextName).context;
+  }
+
+  const browser = await getBrowser();
+  const context = await browser.createBrowserContext();
+  await enableDownloadsForContext(browser, context);
+
+  browserContexts.set(contextName, {
+    context,
+    activePage: null,
+    createdAt: new Date().toISOString()
+  });
+  contextNames.set(context, contextName);
+
+  console.error(`[chrometools-mcp] Created isolated context: ${contextName}`);
+  return context;
+}
+
+// Close a named context and all its pages
+async function closeContext(contextName) {
+  const contextEntry = browserContexts.get(contextName);
+  if (!contextEntry) {
+    throw new Error(`Context not found: ${contextName}. Use listContexts to see available contexts.`);
+  }
+
+  const closedTabs = [];
+  for (const [tabId, page] of tabs) {
+    if (page.browserContext() === contextEntry.context) {
+      closedTabs.push(tabId);
+      tabs.delete(tabId);
+    }
+  }
+  for (const [key, page] of openPages) {
+    if (page.browserContext() === contextEntry.context) {
+      openPages.delete(key);
+    }
+  }
+
+  const wasActive = lastPage && lastPage.browserContext() === contextEntry.context;
+  await contextEntry.context.close();
+  browserContexts.delete(contextName);
+
+  if (wasActive) {
+    lastPage = getMostRecentTab();
+  }
+
+  return closedTabs;
+}
+
+// Get page by tab ID
+function getTabById(tabId) {
+  const page = tabs.get(tabId);
+  if (!page || page.isClosed()) {
+    throw new Error(`Tab not found: ${tabId}. Use listTabs to see open tabs.`);
+  }
+  return page;
+}
+
+// Get or create page for URL (optionally inside a named isolated context)
+async function getOrCreatePage(url, launchOverrides = {}, contextName = null) {
+  const browser = await getBrowser(launchOverrides);
+  const pageKey = contextName ? `${contextName}::${url}` : url;
+
+  // Check if page for this URL already exists
+  if (openPages.has(pageKey)) {
+    const existingPage = openPages.get(pageKey);
+    if (!existingPage.isClosed()) {
+      setActivePage(existingPage);
+      return existingPage;
+    }
+    openPages.delete(pageKey);
+  }
+
+  // Create new page
+  const page = contextName
+    ? await (await getOrCreateContext(contextName)).newPage()
+    : await browser.newPage();
+  await registerPage(page);
+
+  await page.goto(url, { waitUntil: 'networkidle2' });
+  openPages.set(pageKey, page);
+  setActivePage(page);
 
   return page;
 }
 
 // Get last opened page (for tools that don't need URL)
-async function getLastOpenPage() {
-  if (!lastPage || lastPage.isClosed()) {
+// If contextName is given, returns the active page of that isolated context
+async function getLastOpenPage(contextName = null) {
+  let page = lastPage;
+
+  if (contextName) {
+    const contextEntry = browserContexts.get(contextName);
+    if (!contextEntry) {
+      throw new Error(`Context not found: ${contextName}. Use openBrowser with context parameter to create it.`);
+    }
+    page = contextEntry.activePage;
+    if (!page || page.isClosed()) {
+      throw new Error(`No page is currently open in context "${contextName}". Use openBrowser or newTab with this context.`);
+    }
+  }
+
+  if (!page || page.isClosed()) {
     throw new Error('No page is currently open. Use openBrowser first to open a page.');
   }
 
   // Setup recorder auto-reinjection if not already set up
   // Check if page already has navigation listener
-  const listenerCount = lastPage.listenerCount('framenavigated');
+  const listenerCount = page.listenerCount('framenavigated');
   if (listenerCount === 0) {
-    setupRecorderAutoReinjection(lastPage);
+    setupRecorderAutoReinjection(page);
+  }
+
+  return page;
+}
+
+// Resolve selector to a CDP nodeId in the given session (DOM.querySelector stops at shadow roots,
+// so shadow-piercing selectors "host >>> inner" and "pierce/..." are resolved in the page instead)
+async function querySelectorNodeId(client, selector) {
+  const { result } = await client.send('Runtime.evaluate', {
+    expression: `(() => { ${elementFinderUtils}\n; return resolveSelectorInPage(${JSON.stringify(selector)})[0] || null; })()`,
+    returnByValue: false
+  });
+
+  if (!result.objectId) {
+    return null;
   }
 
-  return lastPage;
+  try {
+    const { nodeId } = await client.send('DOM.requestNode', { objectId: result.objectId });
+    return nodeId || null;
+  } finally {
+    await client.send('Runtime.releaseObject', { objectId: result.objectId }).catch(() => {});
+  }
 }
 
 // Figma API helper function
@@ -378,6 +783,16 @@ async function fetchFigmaAPI(endpoint, figmaToken) {
   return response.json();
 }
 
+// Helper function to find the element of a selector argument that may be an element ref ("e12")
+// Refs resolve to the registered element itself, in its own frame; element is null when a selector matches nothing
+async function resolveElementTarget(page, selector, frameArg) {
+  if (isElementRef(selector)) {
+    return resolveElementRef(page, selector);
+  }
+  const frame = await resolveFrame(page, frameArg);
+  return { frame, element: await frame.$(selector) };
+}
+
 // Helper function to process screenshot with compression and scaling
 async function processScreenshot(screenshotBuffer, options = {}) {
   const {
@@ -480,6 +895,72 @@ async function processScreenshot(screenshotBuffer, options = {}) {
   };
 }
 
+// Helper function to capture screenshot/saveScreenshot images: element clip, visible viewport or stitched full page
+// Full page results taller than maxHeight are split into several parts instead of being scaled down
+async function captureScreenshotParts(page, validatedArgs) {
+  const mode = validatedArgs.mode ?? (validatedArgs.selector ? 'element' : 'viewport');
+  const processOptions = {
+    maxWidth: validatedArgs.maxWidth ?? 1024,
+    maxHeight: validatedArgs.maxHeight ?? 8000,
+    quality: validatedArgs.quality ?? 80,
+    format: validatedArgs.format ?? 'auto'
+  };
+
+  if (mode === 'element') {
+    if (!validatedArgs.selector) {
+      throw new Error('selector is required in element mode - use mode "viewport" or "fullPage" to capture the page');
+    }
+
+    const { element } = await resolveElementTarget(page, validatedArgs.selector);
+    if (!element) {
+      throw new Error(`Element not found: ${validatedArgs.selector}`);
+    }
+
+    const box = await element.boundingBox();
+    if (!box) {
+      throw new Error(`Element is not visible or has no bounding box: ${validatedArgs.selector}`);
+    }
+
+    const padding = validatedArgs.padding || 0;
+    const clip = {
+      x: Math.max(box.x - padding, 0),
+      y: Math.max(box.y - padding, 0),
+      width: Math.max(box.width + padding * 2, 1),
+      height: Math.max(box.height + padding * 2, 1)
+    };
+
+    const screenshotBuffer = await page.screenshot({ clip, encoding: 'binary' });
+    return { mode, parts: [await processScreenshot(screenshotBuffer, processOptions)] };
+  }
+
+  if (mode === 'viewport') {
+    const screenshotBuffer = await page.screenshot({ encoding: 'binary' });
+    return { mode, parts: [await processScreenshot(screenshotBuffer, processOptions)] };
+  }
+
+  const capture = await captureFullPage(page, { hideFixed: validatedArgs.hideFixed ?? true });
+  const buffers = await splitIntoParts(capture.image, {
+    maxWidth: processOptions.maxWidth,
+    maxHeight: processOptions.maxHeight
+  });
+
+  const parts = [];
+  for (const buffer of buffers) {
+    parts.push(await processScreenshot(buffer, processOptions));
+  }
+
+  return {
+    mode,
+    parts,
+    page: {
+      height: capture.height,
+      tiles: capture.tiles,
+      truncated: capture.truncated,
+      hiddenFixed: capture.hiddenFixed
+    }
+  };
+}
+
 // Calculate SSIM (Structural Similarity Index) for image comparison
 function calculateSSIM(img1Data, img2Data, width, height) {
   if (img1Data.length !== img2Data.length) {
@@ -546,7 +1027,7 @@ process.on("SIGINT", async () => {
 const server = new Server(
   {
     name: "chrometools-mcp",
-    version: "1.0.2",
+    version: packageVersion,
   },
   {
     capabilities: {
@@ -556,65 +1037,145 @@ const server = new Server(
 );
 
 // Tool schemas
+
+// "context" argument of page-scoped tools (see PAGE_SCOPED_TOOLS)
+const ContextArgumentSchema = z.string().optional().describe("Isolated context name (from openBrowser) to run in. Default: active tab");
+
 const PingSchema = z.object({
   message: z.string().optional().describe("Optional message to send"),
 });
 
 const OpenBrowserSchema = z.object({
   url: z.string().describe("URL to open in the browser"),
+  headless: z.boolean().optional().describe("Launch Chrome in headless mode (default: CHROME_HEADLESS env or false)"),
+  chromeArgs: z.array(z.string()).optional().describe("Extra Chrome command-line flags (appended to CHROME_ARGS env)"),
+  executablePath: z.string().optional().describe("Custom Chrome executable path (default: CHROME_PATH env, system Chrome, then bundled Chromium)"),
+  userDataDir: z.string().optional().describe("Custom Chrome user data directory (default: CHROME_USER_DATA_DIR env or temp profile)"),
+  context: z.string().optional().describe("Named isolated context (separate cookies/storage). Created on first use"),
 });
 
 const ClickSchema = z.object({
-  selector: z.string().describe("CSS selector for element to click"),
+  selector: z.string().describe("CSS selector or element ref (e.g. \"e12\" from analyzePage) for element to click"),
   waitAfter: z.number().optional().describe("Milliseconds to wait after click (default: 1500)"),
+  frame: z.string().optional().describe("Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)"),
+  domDiff: z.boolean().optional().describe("Return a compact summary of DOM changes caused by the action: added/removed nodes, text and attribute changes, new dialogs/toasts, URL/title changes (default: false)"),
+  context: ContextArgumentSchema,
 });
 
 const TypeSchema = z.object({
-  selector: z.string().describe("CSS selector for input element"),
+  selector: z.string().describe("CSS selector or element ref (e.g. \"e12\" from analyzePage) for input element"),
   text: z.string().describe("Text to type"),
   delay: z.number().optional().describe("Delay between keystrokes in ms (default: 0)"),
   clearFirst: z.boolean().optional().describe("Clear field before typing (default: true)"),
+  frame: z.string().optional().describe("Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)"),
+  domDiff: z.boolean().optional().describe("Return a compact summary of DOM changes caused by the action: added/removed nodes, text and attribute changes, new dialogs/toasts, URL/title changes (default: false)"),
+  context: ContextArgumentSchema,
 });
 
 const GetElementSchema = z.object({
-  selector: z.string().optional().describe("CSS selector (optional, defaults to body)"),
+  selector: z.string().optional().describe("CSS selector or element ref (e.g. \"e12\" from analyzePage), optional, defaults to body"),
+  frame: z.string().optional().describe("Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)"),
+  context: ContextArgumentSchema,
 });
 
 const GetComputedCssSchema = z.object({
   selector: z.string().optional().describe("CSS selector (optional, defaults to body)"),
+  frame: z.string().optional().describe("Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)"),
+  context: ContextArgumentSchema,
 });
 
 const GetBoxModelSchema = z.object({
   selector: z.string().describe("CSS selector for element"),
+  frame: z.string().optional().describe("Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)"),
+  context: ContextArgumentSchema,
+});
+
+const AuditAccessibilitySchema = z.object({
+  selector: z.string().optional().describe("Audit only this element and its descendants (default: whole page)"),
+  rules: z.array(z.enum(Object.keys(AUDIT_RULES))).optional().describe("Rules to run (default: all)"),
+  maxPerRule: z.number().min(1).max(100).optional().describe("Maximum elements listed per rule (default: 20)"),
+  context: ContextArgumentSchema,
+});
+
+const AuditKeyboardNavigationSchema = z.object({
+  maxStops: z.number().min(1).max(1000).optional().describe("Maximum focus stops to visit (default: 200)"),
+  screenshot: z.boolean().optional().describe("Return a full-page screenshot with numbered focus stops (default: false)"),
+  maxWidth: z.number().nullable().optional().describe("Screenshot maximum width in pixels (default: 1024, null for original size)"),
+  context: ContextArgumentSchema,
 });
 
 const ScreenshotSchema = z.object({
-  selector: z.string().describe("CSS selector for element to screenshot"),
-  padding: z.number().optional().describe("Padding around element in pixels (default: 0)"),
+  selector: z.string().optional().describe("CSS selector or element ref (e.g. \"e12\" from analyzePage) for element to screenshot (required in element mode)"),
+  mode: z.enum(['element', 'viewport', 'fullPage']).optional().describe("Capture mode: 'element', 'viewport' or 'fullPage' (default: 'element' with selector, otherwise 'viewport')"),
+  hideFixed: z.boolean().optional().describe("fullPage mode: hide fixed/sticky elements after the first tile so headers don't repeat (default: true)"),
+  padding: z.number().optional().describe("Padding around element in pixels, element mode only (default: 0)"),
   maxWidth: z.number().nullable().optional().describe("Maximum width in pixels, auto-scales if larger (default: 1024, set to null for original size)"),
-  maxHeight: z.number().nullable().optional().describe("Maximum height in pixels, auto-scales if larger (default: 8000 for API limit, set to null for original size)"),
+  maxHeight: z.number().nullable().optional().describe("Maximum height in pixels, auto-scales if larger; full-page captures are split into parts of this height instead (default: 8000 for API limit, set to null for original size)"),
   quality: z.number().min(1).max(100).optional().describe("JPEG quality 1-100 (default: 80, only applies to JPEG format)"),
   format: z.enum(['png', 'jpeg', 'auto']).optional().describe("Image format: 'png', 'jpeg', or 'auto' (default: 'auto' - chooses based on size)"),
+  context: ContextArgumentSchema,
 });
 
 const SaveScreenshotSchema = z.object({
-  selector: z.string().describe("CSS selector for element to screenshot"),
+  selector: z.string().optional().describe("CSS selector or element ref (e.g. \"e12\" from analyzePage) for element to screenshot (required in element mode)"),
+  mode: z.enum(['element', 'viewport', 'fullPage']).optional().describe("Capture mode: 'element', 'viewport' or 'fullPage' (default: 'element' with selector, otherwise 'viewport')"),
+  hideFixed: z.boolean().optional().describe("fullPage mode: hide fixed/sticky elements after the first tile so headers don't repeat (default: true)"),
   filePath: z.string().describe("Absolute path where to save file"),
-  padding: z.number().optional().describe("Padding around element in pixels (default: 0)"),
+  padding: z.number().optional().describe("Padding around element in pixels, element mode only (default: 0)"),
   maxWidth: z.number().nullable().optional().describe("Maximum width in pixels, auto-scales if larger (default: 1024, set to null for original size)"),
-  maxHeight: z.number().nullable().optional().describe("Maximum height in pixels, auto-scales if larger (default: 8000 for API limit, set to null for original size)"),
+  maxHeight: z.number().nullable().optional().describe("Maximum height in pixels, auto-scales if larger; full-page captures are split into parts of this height instead (default: 8000 for API limit, set to null for original size)"),
   quality: z.number().min(1).max(100).optional().describe("JPEG quality 1-100 (default: 80, only applies to JPEG format)"),
   format: z.enum(['png', 'jpeg', 'auto']).optional().describe("Image format: 'png', 'jpeg', or 'auto' (default: 'auto' - chooses based on size)"),
+  context: ContextArgumentSchema,
+});
+
+const ScreenshotWithLabelsSchema = z.object({
+  maxLabels: z.number().min(1).max(500).optional().describe("Maximum number of labeled elements (default: 100)"),
+  includeCovered: z.boolean().optional().describe("Also label elements covered by other content, e.g. behind a modal (default: false)"),
+  maxWidth: z.number().nullable().optional().describe("Maximum width in pixels, auto-scales if larger (default: 1024, set to null for original size)"),
+  format: z.enum(['png', 'jpeg', 'auto']).optional().describe("Image format: 'png', 'jpeg', or 'auto' (default: 'auto' - chooses based on size)"),
+  context: ContextArgumentSchema,
+});
+
+const IgnoreRegionSchema = z.object({
+  x: z.number(),
+  y: z.number(),
+  width: z.number().positive(),
+  height: z.number().positive(),
+});
+
+const SaveVisualBaselineSchema = z.object({
+  name: z.string().describe("Baseline name (saved to visual-baselines/<name>.png)"),
+  selector: z.string().optional().describe("Element to capture (default: whole page)"),
+  fullPage: z.boolean().optional().describe("Without selector: full scrollable page (default: true) or visible viewport (false)"),
+  maskSelectors: z.array(z.string()).optional().describe("Elements covered with a solid box before capture (timestamps, avatars, ads)"),
+  ignoreRegions: z.array(IgnoreRegionSchema).optional().describe("Areas ignored when comparing, in CSS pixels relative to the capture"),
+  disableAnimations: z.boolean().optional().describe("Pause CSS animations and transitions, hide the caret (default: true)"),
+  context: ContextArgumentSchema,
+});
+
+const CompareVisualBaselineSchema = z.object({
+  name: z.string().describe("Baseline name"),
+  threshold: z.number().min(0).max(1).optional().describe("Maximum share of differing pixels to pass (0-1, default: 0.005 = 0.5%)"),
+  pixelThreshold: z.number().min(0).max(1).optional().describe("Per-pixel color tolerance for pixelmatch (0-1, default: 0.1)"),
+  selector: z.string().optional().describe("Override the element stored with the baseline"),
+  maskSelectors: z.array(z.string()).optional().describe("Additional elements to mask (added to the baseline's)"),
+  ignoreRegions: z.array(IgnoreRegionSchema).optional().describe("Additional areas to ignore (added to the baseline's)"),
+  context: ContextArgumentSchema,
 });
 
 const ScrollToSchema = z.object({
-  selector: z.string().describe("CSS selector for element to scroll to"),
+  selector: z.string().describe("CSS selector or element ref (e.g. \"e12\" from analyzePage) for element to scroll to"),
   behavior: z.enum(['auto', 'smooth']).optional().describe("Scroll behavior (default: auto)"),
+  frame: z.string().optional().describe("Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)"),
+  context: ContextArgumentSchema,
 });
 
 const ExecuteScriptSchema = z.object({
   script: z.string().describe("JavaScript code to execute in page context"),
   waitAfter: z.number().optional().describe("Milliseconds to wait after execution (default: 500)"),
+  domDiff: z.boolean().optional().describe("Return a compact summary of DOM changes caused by the action: added/removed nodes, text and attribute changes, new dialogs/toasts, URL/title changes (default: false)"),
+  context: ContextArgumentSchema,
 });
 
 // Phase 2 schemas
@@ -625,31 +1186,256 @@ const GetConsoleLogsSchema = z.object({
   clear: z.boolean().optional().describe("Clear logs after reading (default: false)"),
 });
 
+const GetNetworkRequestsSchema = z.object({
+  urlPattern: z.string().optional().describe("Filter by URL: substring, glob with * (e.g. '*/api/*') or /regex/"),
+  resourceTypes: z.array(z.string()).optional().describe("Filter by resource types: Document, XHR, Fetch, Script, Stylesheet, Image, Font, Media, WebSocket, Other"),
+  methods: z.array(z.string()).optional().describe("Filter by HTTP methods (e.g. ['POST', 'PUT'])"),
+  statusMin: z.number().optional().describe("Minimum HTTP status (inclusive)"),
+  statusMax: z.number().optional().describe("Maximum HTTP status (inclusive)"),
+  failedOnly: z.boolean().optional().describe("Only failed requests (network errors or status >= 400)"),
+  since: z.string().optional().describe("Only requests started at or after this ISO timestamp"),
+  until: z.string().optional().describe("Only requests started at or before this ISO timestamp"),
+  lastMs: z.number().optional().describe("Only requests started within the last N milliseconds"),
+  includeHeaders: z.boolean().optional().describe("Include request/response headers (default: false)"),
+  includeBodies: z.boolean().optional().describe("Include response bodies (default: false)"),
+  maxBodySize: z.number().optional().describe("Maximum response body size in characters (default: 10000)"),
+  limit: z.number().min(1).optional().describe("Maximum number of requests to return, most recent kept (default: 100)"),
+  clear: z.boolean().optional().describe("Clear captured requests after reading (default: false)"),
+  context: ContextArgumentSchema,
+});
+
+const ExportHarSchema = z.object({
+  filePath: z.string().describe("Path where to save the .har file"),
+  urlPattern: z.string().optional().describe("Only export requests matching URL: substring, glob with * or /regex/"),
+  resourceTypes: z.array(z.string()).optional().describe("Only export these resource types (default: all)"),
+  includeBodies: z.boolean().optional().describe("Include response bodies (default: true)"),
+  maxBodySize: z.number().optional().describe("Skip bodies larger than this many characters (default: 1048576)"),
+  context: ContextArgumentSchema,
+});
+
+const StartHarReplaySchema = z.object({
+  filePath: z.string().describe("Path to .har file to serve responses from"),
+  notFound: z.enum(['abort', 'continue']).optional().describe("Requests missing from HAR: 'abort' (offline, default) or 'continue' to network"),
+  ignoreQuery: z.boolean().optional().describe("Match URLs without query string (default: false)"),
+  matchPostData: z.boolean().optional().describe("Also match request body for POST/PUT (default: false)"),
+  context: ContextArgumentSchema,
+});
+
+const AddMockRuleSchema = z.object({
+  urlPattern: z.string().describe("URL to match: substring, glob with * (e.g. '*/api/users*') or /regex/"),
+  method: z.string().optional().describe("HTTP method to match (default: any)"),
+  status: z.number().optional().describe("Response status code (default: 200)"),
+  headers: z.record(z.string()).optional().describe("Response headers"),
+  body: z.any().optional().describe("Response body: string, or object/array sent as JSON"),
+  bodyFromFile: z.string().optional().describe("Read response body from this file instead of body"),
+  contentType: z.string().optional().describe("Content-Type header (default: guessed from body/file)"),
+  delay: z.number().optional().describe("Delay before responding in milliseconds"),
+  abort: z.enum(ABORT_REASONS).optional().describe("Abort request with this network error instead of responding"),
+  times: z.number().optional().describe("Only apply to the first N matching requests (default: unlimited)"),
+  context: ContextArgumentSchema,
+});
+
+const StopHarReplaySchema = z.object({
+  context: ContextArgumentSchema,
+});
+
+const ListMockRulesSchema = z.object({
+  context: ContextArgumentSchema,
+});
+
+const RemoveMockRulesSchema = z.object({
+  ids: z.array(z.string()).optional().describe("Rule ids to remove (default: all rules)"),
+  context: ContextArgumentSchema,
+});
+
+const AttachMocksToScenarioSchema = z.object({
+  name: z.string().describe("Scenario name"),
+  ids: z.array(z.string()).optional().describe("Mock rule ids from the active page to attach (default: all)"),
+  mocks: z.array(z.record(z.any())).optional().describe("Mock rule definitions to attach instead of active page rules"),
+  context: ContextArgumentSchema,
+});
+
+const SetDialogPolicySchema = z.object({
+  action: z.enum(['accept', 'dismiss']).optional().describe("How to answer dialogs: 'accept' (OK, default) or 'dismiss' (Cancel)"),
+  promptText: z.string().nullable().optional().describe("Text to answer prompt() dialogs with when accepting (default: prompt's default value, null resets)"),
+  next: z.array(z.object({
+    accept: z.boolean().describe("Accept (true) or dismiss (false)"),
+    promptText: z.string().optional().describe("Answer for prompt()"),
+  })).optional().describe("One-shot answers for the next dialogs, used in order before the policy"),
+  context: ContextArgumentSchema,
+});
+
+const GetDialogsSchema = z.object({
+  types: z.array(z.enum(['alert', 'confirm', 'prompt', 'beforeunload'])).optional().describe("Filter by dialog types (default: all)"),
+  clear: z.boolean().optional().describe("Clear dialog log after reading (default: false)"),
+  context: ContextArgumentSchema,
+});
+
+const GetDownloadsSchema = z.object({
+  fileNamePattern: z.string().optional().describe("Filter by file name: substring, glob with * (e.g. '*.csv') or /regex/"),
+  state: z.enum(['inProgress', 'completed', 'canceled']).optional().describe("Filter by state"),
+  since: z.string().optional().describe("Only downloads started at or after this ISO timestamp"),
+  waitFor: z.boolean().optional().describe("Wait until a matching download completes (default: false)"),
+  timeout: z.number().optional().describe("Wait timeout in milliseconds (default: 30000)"),
+  clear: z.boolean().optional().describe("Forget listed downloads after reading, files stay on disk (default: false)"),
+});
+
 const HoverSchema = z.object({
-  selector: z.string().describe("CSS selector for element to hover"),
+  selector: z.string().describe("CSS selector or element ref (e.g. \"e12\" from analyzePage) for element to hover"),
+  frame: z.string().optional().describe("Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)"),
+  context: ContextArgumentSchema,
 });
 
 const SetStylesSchema = z.object({
-  selector: z.string().describe("CSS selector for element to modify"),
+  selector: z.string().describe("CSS selector or element ref (e.g. \"e12\" from analyzePage) for element to modify"),
   styles: z.array(z.object({
     name: z.string().describe("CSS property name (e.g., 'color')"),
     value: z.string().describe("CSS property value (e.g., 'red')")
   })).describe("Array of CSS property name-value pairs"),
+  frame: z.string().optional().describe("Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)"),
+  context: ContextArgumentSchema,
 });
 
 const SetViewportSchema = z.object({
   width: z.number().min(320).max(4000).describe("Viewport width in pixels (320-4000)"),
   height: z.number().min(200).max(3000).describe("Viewport height in pixels (200-3000)"),
   deviceScaleFactor: z.number().min(0.5).max(3).optional().describe("Device pixel ratio (0.5-3, default: 1)"),
+  context: ContextArgumentSchema,
+});
+
+const GetViewportSchema = z.object({
+  context: ContextArgumentSchema,
+});
+
+const EmulateDeviceSchema = z.object({
+  device: z.string().optional().describe("Puppeteer device name, e.g. 'iPhone 13', 'Pixel 7', 'iPad Pro' (sets viewport, user agent, touch, isMobile, DPR)"),
+  landscape: z.boolean().optional().describe("Use the device's landscape variant (default: false)"),
+  colorScheme: z.enum(['light', 'dark', 'no-preference']).optional().describe("Emulate prefers-color-scheme"),
+  reducedMotion: z.enum(['reduce', 'no-preference']).optional().describe("Emulate prefers-reduced-motion"),
+  locale: z.string().optional().describe("Locale, e.g. 'de-DE' (Intl formatting, navigator.language, Accept-Language)"),
+  timezone: z.string().optional().describe("IANA timezone, e.g. 'America/New_York'"),
+  geolocation: z.object({
+    latitude: z.number().min(-90).max(90),
+    longitude: z.number().min(-180).max(180),
+    accuracy: z.number().min(0).optional(),
+  }).optional().describe("Geolocation override { latitude, longitude, accuracy } (permission is granted for the page origin)"),
+  reload: z.boolean().optional().describe("Reload page afterwards so user agent and locale apply to the loaded document (default: false)"),
+  reset: z.boolean().optional().describe("Remove all device, media, locale, timezone and geolocation emulation"),
+  listDevices: z.boolean().optional().describe("Return known device names (filtered by 'device' text if given) instead of emulating"),
+  context: ContextArgumentSchema,
+});
+
+const SetThrottlingSchema = z.object({
+  profile: z.string().optional().describe(`Network profile: ${NETWORK_PROFILES.join(', ')}`),
+  latency: z.number().min(0).optional().describe("Custom added round-trip latency in ms (overrides profile)"),
+  downloadKbps: z.number().optional().describe("Custom download throughput in kbit/s, -1 = unlimited (overrides profile)"),
+  uploadKbps: z.number().optional().describe("Custom upload throughput in kbit/s, -1 = unlimited (overrides profile)"),
+  cpuSlowdown: z.number().min(1).optional().describe("CPU slowdown factor (1 = none, 4 = mid-tier mobile, 6 = low-end mobile)"),
+  reset: z.boolean().optional().describe("Remove all network and CPU throttling"),
+  context: ContextArgumentSchema,
+});
+
+const MeasurePerformanceSchema = z.object({
+  url: z.string().optional().describe("URL to navigate to (default: reload the current page)"),
+  waitUntil: z.enum(['load', 'domcontentloaded', 'networkidle0', 'networkidle2']).optional().describe("Navigation event to wait for (default: load)"),
+  settleTime: z.number().min(0).max(30000).optional().describe("Time in ms to keep collecting LCP/CLS after load (default: 3000)"),
+  profile: z.string().optional().describe(`Network profile for this measurement only: ${NETWORK_PROFILES.join(', ')}`),
+  cpuSlowdown: z.number().min(1).optional().describe("CPU slowdown factor for this measurement only"),
+  context: ContextArgumentSchema,
+});
+
+const StartTraceSchema = z.object({
+  path: z.string().optional().describe("Where to save the trace JSON (default: temp folder or CHROME_TRACE_DIR)"),
+  screenshots: z.boolean().optional().describe("Include filmstrip screenshots in the trace (default: false)"),
+  categories: z.array(z.string()).optional().describe("Trace categories (default: Puppeteer's DevTools timeline categories with CPU profiler)"),
+  context: ContextArgumentSchema,
+});
+
+const StopTraceSchema = z.object({
+  maxLongTasks: z.number().min(1).max(100).optional().describe("Maximum long tasks listed in the summary (default: 10)"),
+  context: ContextArgumentSchema,
+});
+
+const StartCoverageSchema = z.object({
+  js: z.boolean().optional().describe("Collect JavaScript coverage (default: true)"),
+  css: z.boolean().optional().describe("Collect CSS coverage (default: true)"),
+  resetOnNavigation: z.boolean().optional().describe("Discard coverage on each navigation (default: false - keeps the whole flow)"),
+  context: ContextArgumentSchema,
+});
+
+const StopCoverageSchema = z.object({
+  urlPattern: z.string().optional().describe("Only report files whose URL matches (substring, glob with *, or /regex/)"),
+  includeUnusedCss: z.boolean().optional().describe("Include the text of unused CSS rules (default: false)"),
+  maxRanges: z.number().min(0).max(500).optional().describe("Maximum unused ranges listed per file (default: 20)"),
+  maxUnusedCssLength: z.number().min(0).optional().describe("Maximum characters of unused CSS text in total (default: 20000)"),
+  context: ContextArgumentSchema,
+});
+
+const TakeHeapSnapshotSchema = z.object({
+  path: z.string().optional().describe("Where to save the .heapsnapshot file (default: temp folder or CHROME_HEAP_SNAPSHOT_DIR)"),
+  top: z.number().min(1).max(100).optional().describe("Number of constructors listed by retained size (default: 20)"),
+  collectGarbage: z.boolean().optional().describe("Force garbage collection before the snapshot (default: true)"),
+  context: ContextArgumentSchema,
 });
 
-const GetViewportSchema = z.object({});
+const CheckMemoryLeaksSchema = z.object({
+  name: z.string().describe("Scenario to run repeatedly"),
+  iterations: z.number().min(2).max(50).optional().describe("Number of runs (default: 5)"),
+  parameters: z.record(z.any()).optional().describe("Scenario parameters"),
+  executeDependencies: z.boolean().optional().describe("Run dependencies before the first run (default: true); later runs skip them"),
+  context: ContextArgumentSchema,
+});
 
 const NavigateToSchema = z.object({
   url: z.string().describe("URL to navigate to"),
   waitUntil: z.enum(['load', 'domcontentloaded', 'networkidle0', 'networkidle2'])
     .optional()
     .describe("Wait until event (default: networkidle2)"),
+  domDiff: z.boolean().optional().describe("Return a compact summary of DOM changes caused by the action: added/removed nodes, text and attribute changes, new dialogs/toasts, URL/title changes (default: false)"),
+  context: ContextArgumentSchema,
+});
+
+// Storage state schemas
+const SaveStorageStateSchema = z.object({
+  name: z.string().describe("Storage state name (saved to storage-states/<name>.json)"),
+  includeSessionStorage: z.boolean().optional().describe("Include sessionStorage (default: true)"),
+  includeIndexedDB: z.boolean().optional().describe("Include IndexedDB databases (default: true)"),
+  origins: z.array(z.string()).optional().describe("Only capture these origins (default: all frame origins of the page)"),
+  context: ContextArgumentSchema,
+});
+
+const LoadStorageStateSchema = z.object({
+  name: z.string().describe("Storage state name or absolute path to a state file"),
+  reload: z.boolean().optional().describe("Reload page after restoring (default: true)"),
+  clearExisting: z.boolean().optional().describe("Clear existing cookies and storage of the saved sites first (default: false)"),
+  context: ContextArgumentSchema,
+});
+
+// Tab management schemas
+const ListTabsSchema = z.object({});
+
+const SwitchTabSchema = z.object({
+  tabId: z.string().describe("Tab ID from listTabs (e.g., 'tab-2')"),
+});
+
+const NewTabSchema = z.object({
+  url: z.string().optional().describe("URL to open in the new tab (default: about:blank)"),
+  context: z.string().optional().describe("Named isolated context to open the tab in (default: shared profile)"),
+  waitUntil: z.enum(['load', 'domcontentloaded', 'networkidle0', 'networkidle2'])
+    .optional()
+    .describe("Wait until event (default: networkidle2)"),
+});
+
+const CloseTabSchema = z.object({
+  tabId: z.string().optional().describe("Tab ID to close (default: active tab)"),
+  context: z.string().optional().describe("Close the active tab of this context when tabId is omitted"),
+});
+
+// Browser context schemas
+const ListContextsSchema = z.object({});
+
+const CloseContextSchema = z.object({
+  name: z.string().describe("Context name to close"),
 });
 
 // Figma tools schemas
@@ -667,7 +1453,8 @@ const CompareFigmaToElementSchema = z.object({
   nodeId: z.string().describe("Figma frame/component ID"),
   selector: z.string().describe("CSS selector for page element"),
   threshold: z.number().min(0).max(1).optional().describe("Difference threshold (0-1, default: 0.05)"),
-  figmaScale: z.number().min(0.1).max(4).optional().describe("Figma export scale (default: 2)")
+  figmaScale: z.number().min(0.1).max(4).optional().describe("Figma export scale (default: 2)"),
+  context: ContextArgumentSchema,
 });
 
 const GetFigmaSpecsSchema = z.object({
@@ -680,26 +1467,86 @@ const GetFigmaSpecsSchema = z.object({
 const SmartFindElementSchema = z.object({
   description: z.string().describe("Natural language description of element to find (e.g., 'login button', 'email field')"),
   maxResults: z.number().min(1).max(20).optional().describe("Maximum number of candidates to return (default: 5)"),
+  frame: z.string().optional().describe("Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)"),
+  context: ContextArgumentSchema,
 });
 
 const AnalyzePageSchema = z.object({
   refresh: z.boolean().optional().describe("Force refresh of cached analysis (default: false)"),
+  frame: z.string().optional().describe("Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)"),
+  context: ContextArgumentSchema,
+});
+
+const EnableRecorderSchema = z.object({
+  context: ContextArgumentSchema,
+});
+
+const ExecuteScenarioSchema = z.object({
+  name: z.string().describe("Scenario name to execute"),
+  parameters: z.record(z.any()).optional().describe("Parameters for scenario execution"),
+  executeDependencies: z.boolean().optional().describe("Execute dependencies before running scenario (default: true, or false when storageState is set)"),
+  storageState: z.string().optional().describe("Saved storage state to restore before running"),
+  har: z.string().optional().describe("Path to .har file: serve responses from it during the run"),
+  harNotFound: z.enum(['abort', 'continue']).optional().describe("Requests missing from HAR: 'abort' (default) or 'continue' to network"),
+  harIgnoreQuery: z.boolean().optional().describe("Match HAR URLs without query string (default: false)"),
+  coverage: z.boolean().optional().describe("Collect JS/CSS coverage during the run (default: false)"),
+  context: ContextArgumentSchema,
 });
 
 const GetAllInteractiveElementsSchema = z.object({
   includeHidden: z.boolean().optional().describe("Include hidden elements (default: false)"),
+  context: ContextArgumentSchema,
 });
 
 const FindElementsByTextSchema = z.object({
   text: z.string().describe("Text to search for in elements"),
   exact: z.boolean().optional().describe("Exact match only (default: false)"),
   caseSensitive: z.boolean().optional().describe("Case sensitive search (default: false)"),
+  context: ContextArgumentSchema,
+});
+
+const GetAccessibilityTreeSchema = z.object({
+  selector: z.string().optional().describe("Subtree root selector or element ref (default: whole page)"),
+  interestingOnly: z.boolean().optional().describe("Only landmarks, controls and named leaf nodes (default: true)"),
+  maxDepth: z.number().min(0).optional().describe("Maximum tree depth (default: unlimited)"),
+  format: z.enum(['text', 'json']).optional().describe("Output format (default: text)"),
+  includeSelectors: z.boolean().optional().describe("Add a selector to each node (default: true)"),
+  context: ContextArgumentSchema,
 });
 
+// Tools that operate on the active page and accept the optional "context" argument
+const PAGE_SCOPED_TOOLS = new Set([
+  'click', 'type', 'getElement', 'getComputedCss', 'getBoxModel', 'screenshot', 'saveScreenshot', 'screenshotWithLabels',
+  'scrollTo', 'executeScript', 'hover', 'setStyles', 'setViewport', 'getViewport', 'navigateTo',
+  'compareFigmaToElement', 'smartFindElement', 'analyzePage', 'getAllInteractiveElements',
+  'findElementsByText', 'enableRecorder', 'executeScenario', 'saveStorageState', 'loadStorageState',
+  'getNetworkRequests', 'exportHar', 'startHarReplay', 'stopHarReplay', 'addMockRule', 'listMockRules',
+  'removeMockRules', 'attachMocksToScenario', 'setThrottling', 'measurePerformance', 'startTrace', 'stopTrace', 'startCoverage', 'stopCoverage', 'takeHeapSnapshot', 'checkMemoryLeaks', 'emulateDevice', 'setDialogPolicy', 'getDialogs',
+  'getAccessibilityTree', 'auditAccessibility', 'auditKeyboardNavigation',
+  'saveVisualBaseline', 'compareVisualBaseline',
+]);
+
+// Add "context" property to input schemas of page-scoped tools
+function withContextArgument(toolList) {
+  return toolList.map(tool => {
+    if (!PAGE_SCOPED_TOOLS.has(tool.name)) return tool;
+    return {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: {
+          ...tool.inputSchema.properties,
+          context: { type: "string", description: "Isolated context name (from openBrowser) to run in. Default: active tab" },
+        },
+      },
+    };
+  });
+}
+
 // List available tools
 server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
-    tools: [
+    tools: withContextArgument([
       {
         name: "ping",
         description: "Simple ping-pong tool for testing. Returns 'pong' with optional message.",
@@ -712,11 +1559,16 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "openBrowser",
-        description: "Opens a browser window and navigates to the specified URL. Browser window remains open for further interactions. Use this as the first step before other tools.",
+        description: "Opens a browser window and navigates to the specified URL. Browser window remains open for further interactions. Use this as the first step before other tools. Launch options (headless, chromeArgs, executablePath, userDataDir) only apply when Chrome is started for the first time.",
         inputSchema: {
           type: "object",
           properties: {
             url: { type: "string", description: "URL to navigate to (e.g., https://example.com)" },
+            headless: { type: "boolean", description: "Launch Chrome in headless mode (default: CHROME_HEADLESS env or false)" },
+            chromeArgs: { type: "array", items: { type: "string" }, description: "Extra Chrome command-line flags, e.g. ['--no-sandbox'] (appended to CHROME_ARGS env)" },
+            executablePath: { type: "string", description: "Custom Chrome executable path (default: CHROME_PATH env, system Chrome, then bundled Chromium)" },
+            userDataDir: { type: "string", description: "Custom Chrome user data directory (default: CHROME_USER_DATA_DIR env or temp profile)" },
+            context: { type: "string", description: "Named isolated context with its own cookies and storage (e.g., 'userA'). Created on first use. Pass the same name to other tools to target this context" },
           },
           required: ["url"],
         },
@@ -727,8 +1579,10 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         inputSchema: {
           type: "object",
           properties: {
-            selector: { type: "string", description: "CSS selector for element to click" },
+            selector: { type: "string", description: "CSS selector or element ref (e.g. \"e12\" from analyzePage) for element to click" },
             waitAfter: { type: "number", description: "Milliseconds to wait after click (default: 1500)" },
+            frame: { type: "string", description: "Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)" },
+            domDiff: { type: "boolean", description: "Return a compact summary of DOM changes caused by the action: added/removed nodes, text and attribute changes, new dialogs/toasts, URL/title changes (default: false)" },
           },
           required: ["selector"],
         },
@@ -739,10 +1593,12 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         inputSchema: {
           type: "object",
           properties: {
-            selector: { type: "string", description: "CSS selector for input element" },
+            selector: { type: "string", description: "CSS selector or element ref (e.g. \"e12\" from analyzePage) for input element" },
             text: { type: "string", description: "Text to type" },
             delay: { type: "number", description: "Delay between keystrokes in ms (default: 0)" },
             clearFirst: { type: "boolean", description: "Clear field before typing (default: true)" },
+            frame: { type: "string", description: "Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)" },
+            domDiff: { type: "boolean", description: "Return a compact summary of DOM changes caused by the action: added/removed nodes, text and attribute changes, new dialogs/toasts, URL/title changes (default: false)" },
           },
           required: ["selector", "text"],
         },
@@ -753,7 +1609,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         inputSchema: {
           type: "object",
           properties: {
-            selector: { type: "string", description: "CSS selector (optional, defaults to body)" },
+            selector: { type: "string", description: "CSS selector or element ref (e.g. \"e12\" from analyzePage), optional, defaults to body" },
+            frame: { type: "string", description: "Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)" },
           },
         },
       },
@@ -764,6 +1621,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           type: "object",
           properties: {
             selector: { type: "string", description: "CSS selector (optional, defaults to body)" },
+            frame: { type: "string", description: "Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)" },
           },
         },
       },
@@ -774,41 +1632,114 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           type: "object",
           properties: {
             selector: { type: "string", description: "CSS selector for element" },
+            frame: { type: "string", description: "Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)" },
           },
           required: ["selector"],
         },
       },
       {
-        name: "screenshot",
-        description: "Capture an optimized screenshot of a specific element. By default, auto-scales large images to 1024px width and 8000px height (API limit) and uses smart compression to reduce AI context usage. Perfect for visual documentation and design reviews. Use maxWidth: null and format: 'png' for original quality.",
+        name: "auditAccessibility",
+        description: "Run WCAG accessibility checks on the page or an element: missing labels, images without alt, color contrast (from computed styles), empty buttons/links, duplicate IDs, heading order, landmarks, invalid ARIA and focusable-but-hidden elements. Results are grouped by severity with selectors and WCAG references.",
         inputSchema: {
           type: "object",
           properties: {
-            selector: { type: "string", description: "CSS selector for element to screenshot" },
-            padding: { type: "number", description: "Padding around element in pixels (default: 0)" },
-            maxWidth: { type: "number", description: "Maximum width in pixels, auto-scales if larger (default: 1024, set to null for original size)" },
-            maxHeight: { type: "number", description: "Maximum height in pixels, auto-scales if larger (default: 8000 for API limit, set to null for original size)" },
-            quality: { type: "number", minimum: 1, maximum: 100, description: "JPEG quality 1-100 (default: 80, only applies to JPEG format)" },
+            selector: { type: "string", description: "Audit only this element and its descendants (default: whole page)" },
+            rules: { type: "array", items: { type: "string", enum: Object.keys(AUDIT_RULES) }, description: "Rules to run (default: all)" },
+            maxPerRule: { type: "number", minimum: 1, maximum: 100, description: "Maximum elements listed per rule (default: 20)" },
+          },
+        },
+      },
+      {
+        name: "auditKeyboardNavigation",
+        description: "Press Tab through the whole page and record the focus order: selector, role, accessible name, bounding box and whether a focus indicator is visible (outline/box-shadow/border/background compared with the unfocused element). Detects focus traps and clickable elements that are reachable by mouse but not by keyboard. Optionally returns a screenshot with numbered focus stops.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            maxStops: { type: "number", minimum: 1, maximum: 1000, description: "Maximum focus stops to visit (default: 200)" },
+            screenshot: { type: "boolean", description: "Return a full-page screenshot with numbered focus stops (default: false)" },
+            maxWidth: { type: "number", description: "Screenshot maximum width in pixels (default: 1024, null for original size)" },
+          },
+        },
+      },
+      {
+        name: "screenshot",
+        description: "Capture an optimized screenshot of a specific element, the visible viewport or the full page. Full-page mode scrolls through the page, stitches viewport tiles (hiding fixed/sticky headers after the first one) and returns several images when the page is taller than maxHeight. By default, auto-scales large images to 1024px width and 8000px height (API limit) and uses smart compression to reduce AI context usage. Perfect for visual documentation and design reviews. Use maxWidth: null and format: 'png' for original quality.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            selector: { type: "string", description: "CSS selector or element ref (e.g. \"e12\" from analyzePage) for element to screenshot (required in element mode)" },
+            mode: { type: "string", enum: ["element", "viewport", "fullPage"], description: "Capture mode: 'element', 'viewport' or 'fullPage' (default: 'element' with selector, otherwise 'viewport')" },
+            hideFixed: { type: "boolean", description: "fullPage mode: hide fixed/sticky elements after the first tile so headers don't repeat (default: true)" },
+            padding: { type: "number", description: "Padding around element in pixels, element mode only (default: 0)" },
+            maxWidth: { type: "number", description: "Maximum width in pixels, auto-scales if larger (default: 1024, set to null for original size)" },
+            maxHeight: { type: "number", description: "Maximum height in pixels, auto-scales if larger; full-page captures are split into parts of this height instead (default: 8000 for API limit, set to null for original size)" },
+            quality: { type: "number", minimum: 1, maximum: 100, description: "JPEG quality 1-100 (default: 80, only applies to JPEG format)" },
             format: { type: "string", enum: ["png", "jpeg", "auto"], description: "Image format: 'png', 'jpeg', or 'auto' (default: 'auto' - chooses based on size)" },
           },
-          required: ["selector"],
         },
       },
       {
         name: "saveScreenshot",
-        description: "Save optimized screenshot directly to filesystem without returning in context. By default, auto-scales to 1024px width and 8000px height (API limit) and uses smart compression. Perfect for baseline screenshots and reducing file sizes. Use maxWidth: null and format: 'png' for original quality.",
+        description: "Save optimized screenshot of an element, the visible viewport or the full page directly to filesystem without returning in context. Full-page captures taller than maxHeight are saved as several files (name-1.png, name-2.png, ...). By default, auto-scales to 1024px width and 8000px height (API limit) and uses smart compression. Perfect for baseline screenshots and reducing file sizes. Use maxWidth: null and format: 'png' for original quality.",
         inputSchema: {
           type: "object",
           properties: {
-            selector: { type: "string", description: "CSS selector for element to screenshot" },
+            selector: { type: "string", description: "CSS selector or element ref (e.g. \"e12\" from analyzePage) for element to screenshot (required in element mode)" },
+            mode: { type: "string", enum: ["element", "viewport", "fullPage"], description: "Capture mode: 'element', 'viewport' or 'fullPage' (default: 'element' with selector, otherwise 'viewport')" },
+            hideFixed: { type: "boolean", description: "fullPage mode: hide fixed/sticky elements after the first tile so headers don't repeat (default: true)" },
             filePath: { type: "string", description: "Absolute path where to save file (extension auto-adjusted based on format)" },
-            padding: { type: "number", description: "Padding around element in pixels (default: 0)" },
+            padding: { type: "number", description: "Padding around element in pixels, element mode only (default: 0)" },
             maxWidth: { type: "number", description: "Maximum width in pixels, auto-scales if larger (default: 1024, set to null for original size)" },
-            maxHeight: { type: "number", description: "Maximum height in pixels, auto-scales if larger (default: 8000 for API limit, set to null for original size)" },
+            maxHeight: { type: "number", description: "Maximum height in pixels, auto-scales if larger; full-page captures are split into parts of this height instead (default: 8000 for API limit, set to null for original size)" },
             quality: { type: "number", minimum: 1, maximum: 100, description: "JPEG quality 1-100 (default: 80, only applies to JPEG format)" },
             format: { type: "string", enum: ["png", "jpeg", "auto"], description: "Image format: 'png', 'jpeg', or 'auto' (default: 'auto' - chooses based on size)" },
           },
-          required: ["selector", "filePath"],
+          required: ["filePath"],
+        },
+      },
+      {
+        name: "screenshotWithLabels",
+        description: "Capture the visible viewport with numbered boxes over interactive elements (the getAllInteractiveElements set) and return a legend mapping each number to selector, role and text. Pick an element by its number on the image, then use its ref or selector with click, type or hover.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            maxLabels: { type: "number", minimum: 1, maximum: 500, description: "Maximum number of labeled elements (default: 100)" },
+            includeCovered: { type: "boolean", description: "Also label elements covered by other content, e.g. behind a modal (default: false)" },
+            maxWidth: { type: "number", description: "Maximum width in pixels, auto-scales if larger (default: 1024, set to null for original size)" },
+            format: { type: "string", enum: ["png", "jpeg", "auto"], description: "Image format: 'png', 'jpeg', or 'auto' (default: 'auto' - chooses based on size)" },
+          },
+        },
+      },
+      {
+        name: "saveVisualBaseline",
+        description: "Save a named visual regression baseline: screenshot of an element, the full page or the viewport, stored in visual-baselines/ with its capture settings. Dynamic content can be masked by selector and areas excluded with ignore regions.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: { type: "string", description: "Baseline name (saved to visual-baselines/<name>.png)" },
+            selector: { type: "string", description: "Element to capture (default: whole page)" },
+            fullPage: { type: "boolean", description: "Without selector: full scrollable page (default: true) or visible viewport (false)" },
+            maskSelectors: { type: "array", items: { type: "string" }, description: "Elements covered with a solid box before capture (timestamps, avatars, ads)" },
+            ignoreRegions: { type: "array", items: { type: "object", properties: { x: { type: "number" }, y: { type: "number" }, width: { type: "number" }, height: { type: "number" } }, required: ["x", "y", "width", "height"] }, description: "Areas ignored when comparing, in CSS pixels relative to the capture" },
+            disableAnimations: { type: "boolean", description: "Pause CSS animations and transitions, hide the caret (default: true)" },
+          },
+          required: ["name"],
+        },
+      },
+      {
+        name: "compareVisualBaseline",
+        description: "Capture the page again with the settings of a saved baseline and compare: pixel difference percentage, SSIM, bounding box of changes, diff-highlight image and pass/fail against a threshold. Masks and ignore regions of the baseline are applied, plus any given here.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: { type: "string", description: "Baseline name" },
+            threshold: { type: "number", minimum: 0, maximum: 1, description: "Maximum share of differing pixels to pass (0-1, default: 0.005 = 0.5%)" },
+            pixelThreshold: { type: "number", minimum: 0, maximum: 1, description: "Per-pixel color tolerance for pixelmatch (0-1, default: 0.1)" },
+            selector: { type: "string", description: "Override the element stored with the baseline" },
+            maskSelectors: { type: "array", items: { type: "string" }, description: "Additional elements to mask (added to the baseline's)" },
+            ignoreRegions: { type: "array", items: { type: "object", properties: { x: { type: "number" }, y: { type: "number" }, width: { type: "number" }, height: { type: "number" } }, required: ["x", "y", "width", "height"] }, description: "Additional areas to ignore (added to the baseline's)" },
+          },
+          required: ["name"],
         },
       },
       {
@@ -817,7 +1748,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         inputSchema: {
           type: "object",
           properties: {
-            selector: { type: "string", description: "CSS selector for element to scroll to" },
+            selector: { type: "string", description: "CSS selector or element ref (e.g. \"e12\" from analyzePage) for element to scroll to" },
+            frame: { type: "string", description: "Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)" },
             behavior: { type: "string", enum: ["auto", "smooth"], description: "Scroll behavior (default: auto)" },
           },
           required: ["selector"],
@@ -831,6 +1763,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             script: { type: "string", description: "JavaScript code to execute" },
             waitAfter: { type: "number", description: "Milliseconds to wait after execution (default: 500)" },
+            domDiff: { type: "boolean", description: "Return a compact summary of DOM changes caused by the action: added/removed nodes, text and attribute changes, new dialogs/toasts, URL/title changes (default: false)" },
           },
           required: ["script"],
         },
@@ -846,13 +1779,174 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           },
         },
       },
+      {
+        name: "getNetworkRequests",
+        description: "Retrieve network requests made by the active page: URL, method, status, timing, size, initiator, and optionally headers and response bodies. Requests are captured automatically from page load. Use to debug failing API calls, check what a click triggered, or find slow resources.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            urlPattern: { type: "string", description: "Filter by URL: substring, glob with * (e.g. '*/api/*') or /regex/" },
+            resourceTypes: { type: "array", items: { type: "string" }, description: "Filter by resource types: Document, XHR, Fetch, Script, Stylesheet, Image, Font, Media, WebSocket, Other" },
+            methods: { type: "array", items: { type: "string" }, description: "Filter by HTTP methods (e.g. ['POST', 'PUT'])" },
+            statusMin: { type: "number", description: "Minimum HTTP status (inclusive)" },
+            statusMax: { type: "number", description: "Maximum HTTP status (inclusive)" },
+            failedOnly: { type: "boolean", description: "Only failed requests (network errors or status >= 400)" },
+            since: { type: "string", description: "Only requests started at or after this ISO timestamp" },
+            until: { type: "string", description: "Only requests started at or before this ISO timestamp" },
+            lastMs: { type: "number", description: "Only requests started within the last N milliseconds" },
+            includeHeaders: { type: "boolean", description: "Include request/response headers (default: false)" },
+            includeBodies: { type: "boolean", description: "Include response bodies (default: false)" },
+            maxBodySize: { type: "number", description: "Maximum response body size in characters (default: 10000)" },
+            limit: { type: "number", description: "Maximum number of requests to return (at least 1), most recent kept (default: 100)" },
+            clear: { type: "boolean", description: "Clear captured requests after reading (default: false)" },
+          },
+        },
+      },
+      {
+        name: "exportHar",
+        description: "Export network traffic captured for the active page as a HAR 1.2 file (viewable in DevTools, usable with startHarReplay or executeScenario's har option).",
+        inputSchema: {
+          type: "object",
+          properties: {
+            filePath: { type: "string", description: "Path where to save the .har file" },
+            urlPattern: { type: "string", description: "Only export requests matching URL: substring, glob with * or /regex/" },
+            resourceTypes: { type: "array", items: { type: "string" }, description: "Only export these resource types (default: all)" },
+            includeBodies: { type: "boolean", description: "Include response bodies (default: true)" },
+            maxBodySize: { type: "number", description: "Skip bodies larger than this many characters (default: 1048576)" },
+          },
+          required: ["filePath"],
+        },
+      },
+      {
+        name: "startHarReplay",
+        description: "Serve responses for the active page from a HAR file via request interception. Requests are matched by method and URL; unmatched requests are aborted (offline) or sent to the network. Stays active across navigations until stopHarReplay.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            filePath: { type: "string", description: "Path to .har file to serve responses from" },
+            notFound: { type: "string", enum: ["abort", "continue"], description: "Requests missing from HAR: 'abort' (offline, default) or 'continue' to network" },
+            ignoreQuery: { type: "boolean", description: "Match URLs without query string (default: false)" },
+            matchPostData: { type: "boolean", description: "Also match request body for POST/PUT (default: false)" },
+          },
+          required: ["filePath"],
+        },
+      },
+      {
+        name: "stopHarReplay",
+        description: "Stop serving responses from HAR for the active page. Returns how many requests were served and which were missing from the HAR.",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "addMockRule",
+        description: "Mock network responses on the active page: match requests by URL and method, then respond with a given status/headers/body (or file), optionally delayed, or abort with a network error. Use to test error states, empty lists, slow APIs without touching the backend. Stays active across navigations until removed.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            urlPattern: { type: "string", description: "URL to match: substring, glob with * (e.g. '*/api/users*') or /regex/" },
+            method: { type: "string", description: "HTTP method to match (default: any)" },
+            status: { type: "number", description: "Response status code (default: 200)" },
+            headers: { type: "object", description: "Response headers" },
+            body: { description: "Response body: string, or object/array sent as JSON" },
+            bodyFromFile: { type: "string", description: "Read response body from this file instead of body" },
+            contentType: { type: "string", description: "Content-Type header (default: guessed from body/file)" },
+            delay: { type: "number", description: "Delay before responding in milliseconds" },
+            abort: { type: "string", enum: ABORT_REASONS, description: "Abort request with this network error instead of responding" },
+            times: { type: "number", description: "Only apply to the first N matching requests (default: unlimited)" },
+          },
+          required: ["urlPattern"],
+        },
+      },
+      {
+        name: "listMockRules",
+        description: "List mock rules active on the current page with hit counts.",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "removeMockRules",
+        description: "Remove mock rules from the active page by id, or all rules when no ids are given.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ids: { type: "array", items: { type: "string" }, description: "Rule ids to remove (default: all rules)" },
+          },
+        },
+      },
+      {
+        name: "attachMocksToScenario",
+        description: "Save mock rules into a recorded scenario so executeScenario applies them automatically while the scenario runs. Uses the active page's rules by default. Pass an empty mocks array to detach.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: { type: "string", description: "Scenario name" },
+            ids: { type: "array", items: { type: "string" }, description: "Mock rule ids from the active page to attach (default: all)" },
+            mocks: { type: "array", items: { type: "object" }, description: "Mock rule definitions to attach instead of active page rules (same fields as addMockRule)" },
+          },
+          required: ["name"],
+        },
+      },
+      {
+        name: "setDialogPolicy",
+        description: "Control how JavaScript dialogs (alert, confirm, prompt, beforeunload) on the active page are answered. Dialogs are auto-accepted by default so they never block (on pages with the recorder enabled they are left to the user); switch to dismiss, set prompt text, or queue one-shot answers for the next dialogs (e.g. cancel the next confirm).",
+        inputSchema: {
+          type: "object",
+          properties: {
+            action: { type: "string", enum: ["accept", "dismiss"], description: "How to answer dialogs: 'accept' (OK, default) or 'dismiss' (Cancel)" },
+            promptText: { type: ["string", "null"], description: "Text to answer prompt() dialogs with when accepting (default: prompt's default value, null resets)" },
+            next: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  accept: { type: "boolean", description: "Accept (true) or dismiss (false)" },
+                  promptText: { type: "string", description: "Answer for prompt()" },
+                },
+                required: ["accept"],
+              },
+              description: "One-shot answers for the next dialogs, used in order before the policy",
+            },
+          },
+        },
+      },
+      {
+        name: "getDialogs",
+        description: "List JavaScript dialogs (alert, confirm, prompt, beforeunload) that appeared on the active page, with message and how each was answered.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            types: { type: "array", items: { type: "string", enum: ["alert", "confirm", "prompt", "beforeunload"] }, description: "Filter by dialog types (default: all)" },
+            clear: { type: "boolean", description: "Clear dialog log after reading (default: false)" },
+          },
+        },
+      },
+      {
+        name: "getDownloads",
+        description: "List files downloaded by the browser (all tabs and contexts). Downloads are saved automatically to a managed per-session folder. Returns file name, size, MIME type, path and completion state. Use waitFor after clicking an export button to wait for the file.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            fileNamePattern: { type: "string", description: "Filter by file name: substring, glob with * (e.g. '*.csv') or /regex/" },
+            state: { type: "string", enum: ["inProgress", "completed", "canceled"], description: "Filter by state" },
+            since: { type: "string", description: "Only downloads started at or after this ISO timestamp" },
+            waitFor: { type: "boolean", description: "Wait until a matching download completes (default: false). Without since, only downloads not returned by an earlier getDownloads call count" },
+            timeout: { type: "number", description: "Wait timeout in milliseconds (default: 30000)" },
+            clear: { type: "boolean", description: "Forget listed downloads after reading, files stay on disk (default: false)" },
+          },
+        },
+      },
       {
         name: "hover",
         description: "Simulate mouse hover over an element to test hover effects, tooltips, dropdown menus, and interactive states. Essential for testing CSS :hover pseudo-classes.",
         inputSchema: {
           type: "object",
           properties: {
-            selector: { type: "string", description: "CSS selector for element to hover" },
+            selector: { type: "string", description: "CSS selector or element ref (e.g. \"e12\" from analyzePage) for element to hover" },
+            frame: { type: "string", description: "Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)" },
           },
           required: ["selector"],
         },
@@ -863,7 +1957,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         inputSchema: {
           type: "object",
           properties: {
-            selector: { type: "string", description: "CSS selector for element to modify" },
+            selector: { type: "string", description: "CSS selector or element ref (e.g. \"e12\" from analyzePage) for element to modify" },
             styles: {
               type: "array",
               items: {
@@ -876,6 +1970,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               },
               description: "Array of CSS property name-value pairs",
             },
+            frame: { type: "string", description: "Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)" },
           },
           required: ["selector", "styles"],
         },
@@ -901,6 +1996,136 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {},
         },
       },
+      {
+        name: "emulateDevice",
+        description: "Emulate a real device and user environment in one call: Puppeteer device presets (iPhone, Pixel, iPad, ... with user agent, touch, isMobile, DPR), prefers-color-scheme, prefers-reduced-motion, locale, timezone and geolocation. Use for responsive, dark mode, accessibility-motion and localization checks. Only given settings change; use reset to clear.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            device: { type: "string", description: "Puppeteer device name, e.g. 'iPhone 13', 'Pixel 7', 'iPad Pro' (sets viewport, user agent, touch, isMobile, DPR)" },
+            landscape: { type: "boolean", description: "Use the device's landscape variant (default: false)" },
+            colorScheme: { type: "string", enum: ["light", "dark", "no-preference"], description: "Emulate prefers-color-scheme" },
+            reducedMotion: { type: "string", enum: ["reduce", "no-preference"], description: "Emulate prefers-reduced-motion" },
+            locale: { type: "string", description: "Locale, e.g. 'de-DE' (Intl formatting, navigator.language, Accept-Language)" },
+            timezone: { type: "string", description: "IANA timezone, e.g. 'America/New_York'" },
+            geolocation: {
+              type: "object",
+              properties: {
+                latitude: { type: "number", minimum: -90, maximum: 90 },
+                longitude: { type: "number", minimum: -180, maximum: 180 },
+                accuracy: { type: "number", minimum: 0 },
+              },
+              required: ["latitude", "longitude"],
+              description: "Geolocation override (permission is granted for the page origin)",
+            },
+            reload: { type: "boolean", description: "Reload page afterwards so user agent and locale apply to the loaded document (default: false)" },
+            reset: { type: "boolean", description: "Remove all device, media, locale, timezone and geolocation emulation" },
+            listDevices: { type: "boolean", description: "Return known device names (filtered by 'device' text if given) instead of emulating" },
+          },
+        },
+      },
+      {
+        name: "setThrottling",
+        description: "Emulate slow networks, offline mode and slow CPUs on the active page. Apply a named profile (Slow 3G, Fast 3G, Slow 4G, Fast 4G, offline) or custom latency/throughput, plus a CPU slowdown factor. Stays in force across navigations until reset. Call without arguments to see current settings.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            profile: { type: "string", enum: NETWORK_PROFILES, description: "Network profile ('none' removes network throttling)" },
+            latency: { type: "number", minimum: 0, description: "Custom added round-trip latency in ms (overrides profile)" },
+            downloadKbps: { type: "number", description: "Custom download throughput in kbit/s, -1 = unlimited (overrides profile)" },
+            uploadKbps: { type: "number", description: "Custom upload throughput in kbit/s, -1 = unlimited (overrides profile)" },
+            cpuSlowdown: { type: "number", minimum: 1, description: "CPU slowdown factor (1 = none, 4 = mid-tier mobile, 6 = low-end mobile)" },
+            reset: { type: "boolean", description: "Remove all network and CPU throttling" },
+          },
+        },
+      },
+      {
+        name: "measurePerformance",
+        description: "Reload (or navigate) the active page and measure Core Web Vitals and load performance: LCP, CLS, INP/TBT, FCP, TTFB, DOMContentLoaded, load, resource counts and transfer sizes per type, and the largest JS/CSS bundles. Optional network profile and CPU slowdown apply to this measurement only. Returns a short summary plus JSON with ratings (good / needs-improvement / poor).",
+        inputSchema: {
+          type: "object",
+          properties: {
+            url: { type: "string", description: "URL to navigate to (default: reload the current page)" },
+            waitUntil: { type: "string", enum: ["load", "domcontentloaded", "networkidle0", "networkidle2"], description: "Navigation event to wait for (default: load)" },
+            settleTime: { type: "number", minimum: 0, maximum: 30000, description: "Time in ms to keep collecting LCP/CLS after load (default: 3000)" },
+            profile: { type: "string", enum: NETWORK_PROFILES, description: "Network profile for this measurement only" },
+            cpuSlowdown: { type: "number", minimum: 1, description: "CPU slowdown factor for this measurement only (4 = mid-tier mobile)" },
+          },
+        },
+      },
+      {
+        name: "startTrace",
+        description: "Start recording a Chrome performance trace of the active page. Interact with the page (click, type, executeScenario, navigateTo), then call stopTrace to save the trace file and get a summary.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            path: { type: "string", description: "Where to save the trace JSON (default: temp folder or CHROME_TRACE_DIR)" },
+            screenshots: { type: "boolean", description: "Include filmstrip screenshots in the trace (default: false)" },
+            categories: { type: "array", items: { type: "string" }, description: "Trace categories (default: Puppeteer's DevTools timeline categories with CPU profiler)" },
+          },
+        },
+      },
+      {
+        name: "stopTrace",
+        description: "Stop the trace started with startTrace, save it to disk and summarize the main thread: time by category (scripting, rendering, painting, GC, loading), long tasks over 50ms with the scripts that ran in them, top functions by self time and layout-thrashing warnings.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            maxLongTasks: { type: "number", minimum: 1, maximum: 100, description: "Maximum long tasks listed in the summary (default: 10)" },
+          },
+        },
+      },
+      {
+        name: "startCoverage",
+        description: "Start collecting JavaScript and CSS code coverage on the active page. Coverage is kept across navigations by default, so it can span a whole user flow (clicks, navigateTo, executeScenario). Call stopCoverage to get the report.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            js: { type: "boolean", description: "Collect JavaScript coverage (default: true)" },
+            css: { type: "boolean", description: "Collect CSS coverage (default: true)" },
+            resetOnNavigation: { type: "boolean", description: "Discard coverage on each navigation (default: false - keeps the whole flow)" },
+          },
+        },
+      },
+      {
+        name: "stopCoverage",
+        description: "Stop coverage started with startCoverage and report, per script and stylesheet, total bytes, used bytes, used percentage and unused ranges (with line numbers). Optionally returns the unused CSS rules as text.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            urlPattern: { type: "string", description: "Only report files whose URL matches (substring, glob with *, or /regex/)" },
+            includeUnusedCss: { type: "boolean", description: "Include the text of unused CSS rules (default: false)" },
+            maxRanges: { type: "number", minimum: 0, maximum: 500, description: "Maximum unused ranges listed per file (default: 20)" },
+            maxUnusedCssLength: { type: "number", minimum: 0, description: "Maximum characters of unused CSS text in total (default: 20000)" },
+          },
+        },
+      },
+      {
+        name: "takeHeapSnapshot",
+        description: "Take a JS heap snapshot of the active page, save it to disk (.heapsnapshot, opens in Chrome DevTools Memory panel) and summarize it: top constructors by retained size, object counts and detached DOM nodes.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            path: { type: "string", description: "Where to save the .heapsnapshot file (default: temp folder or CHROME_HEAP_SNAPSHOT_DIR)" },
+            top: { type: "number", minimum: 1, maximum: 100, description: "Number of constructors listed by retained size (default: 20)" },
+            collectGarbage: { type: "boolean", description: "Force garbage collection before the snapshot (default: true)" },
+          },
+        },
+      },
+      {
+        name: "checkMemoryLeaks",
+        description: "Leak check: run a recorded scenario N times on the active page. After each run, force garbage collection and record JS heap size, DOM node count, event listener count and document count, then flag counters that grow on every run.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: { type: "string", description: "Scenario to run repeatedly" },
+            iterations: { type: "number", minimum: 2, maximum: 50, description: "Number of runs (default: 5)" },
+            parameters: { type: "object", description: "Scenario parameters" },
+            executeDependencies: { type: "boolean", description: "Run dependencies before the first run (default: true); later runs skip them" },
+          },
+          required: ["name"],
+        },
+      },
       {
         name: "navigateTo",
         description: "Navigate the current page to a new URL. Use this when you need to move to a different page while keeping the same browser instance. Page will be reused if already open.",
@@ -909,10 +2134,72 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             url: { type: "string", description: "URL to navigate to" },
             waitUntil: { type: "string", enum: ["load", "domcontentloaded", "networkidle0", "networkidle2"], description: "Wait until event (default: networkidle2)" },
+            domDiff: { type: "boolean", description: "Return a compact summary of DOM changes caused by the action: added/removed nodes, text and attribute changes, new dialogs/toasts, URL/title changes (default: false)" },
           },
           required: ["url"],
         },
       },
+      {
+        name: "listTabs",
+        description: "List all open browser tabs with stable IDs, titles and URLs. The active tab is the one all other tools operate on. Tabs opened manually or by popups are picked up automatically.",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "switchTab",
+        description: "Make another tab active so subsequent tools (click, type, screenshot, etc.) operate on it. Brings the tab to front.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            tabId: { type: "string", description: "Tab ID from listTabs (e.g., 'tab-2')" },
+          },
+          required: ["tabId"],
+        },
+      },
+      {
+        name: "newTab",
+        description: "Open a new tab (blank or with URL) and make it active.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            url: { type: "string", description: "URL to open (default: about:blank)" },
+            context: { type: "string", description: "Named isolated context to open the tab in (default: shared profile)" },
+            waitUntil: { type: "string", enum: ["load", "domcontentloaded", "networkidle0", "networkidle2"], description: "Wait until event (default: networkidle2)" },
+          },
+        },
+      },
+      {
+        name: "closeTab",
+        description: "Close a tab by ID (default: active tab). If the active tab is closed, the most recently opened remaining tab becomes active.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            tabId: { type: "string", description: "Tab ID to close (default: active tab)" },
+            context: { type: "string", description: "Close the active tab of this context when tabId is omitted" },
+          },
+        },
+      },
+      {
+        name: "listContexts",
+        description: "List isolated browser contexts created with openBrowser's context parameter, with their tabs. Each context has separate cookies, localStorage and sessionStorage.",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "closeContext",
+        description: "Dispose an isolated browser context, closing all its tabs and discarding its cookies and storage.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: { type: "string", description: "Context name to close" },
+          },
+          required: ["name"],
+        },
+      },
       {
         name: "getFigmaFrame",
         description: "Export and download a Figma frame as PNG image for comparison. Requires Figma API token and file/node IDs from Figma URLs.",
@@ -965,23 +2252,25 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             description: { type: "string", description: "Natural language description (e.g., 'login button', 'email input', 'submit form')" },
             maxResults: { type: "number", minimum: 1, maximum: 20, description: "Max candidates to return (default: 5)" },
+            frame: { type: "string", description: "Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)" },
           },
           required: ["description"],
         },
       },
       {
         name: "analyzePage",
-        description: "Comprehensive page analysis that returns complete structure: all forms, inputs, buttons, links, and interactive elements with their selectors. Cached for fast repeated access. Use this ONCE at page load to understand the entire page structure.",
+        description: "Comprehensive page analysis that returns complete structure: all forms, inputs, buttons, links, and interactive elements with their selectors and short element refs (e.g. \"e12\", accepted by click, type, hover, screenshot and getElement in place of a selector). Also lists iframes with their interactive elements. Cached for fast repeated access. Use this ONCE at page load to understand the entire page structure.",
         inputSchema: {
           type: "object",
           properties: {
             refresh: { type: "boolean", description: "Force refresh cached analysis (default: false)" },
+            frame: { type: "string", description: "Target iframe: frame name/id, iframe selector chain (\"iframe#outer >> iframe.inner\") or URL pattern (default: main frame)" },
           },
         },
       },
       {
         name: "getAllInteractiveElements",
-        description: "Get all clickable and interactive elements on the page with their selectors and descriptions. Perfect for understanding what actions are available.",
+        description: "Get all clickable and interactive elements on the page with their selectors, element refs and descriptions. Perfect for understanding what actions are available.",
         inputSchema: {
           type: "object",
           properties: {
@@ -991,7 +2280,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "findElementsByText",
-        description: "Find all elements containing specific text. Returns elements with their selectors, making it easy to locate elements by visible text.",
+        description: "Find all elements containing specific text. Returns elements with their selectors and element refs, making it easy to locate elements by visible text.",
         inputSchema: {
           type: "object",
           properties: {
@@ -1002,6 +2291,20 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ["text"],
         },
       },
+      {
+        name: "getAccessibilityTree",
+        description: "Get a compact accessibility tree (role, name, states) of the page or a subtree. Each node has a selector usable with click/type (omitted when no selector matches only that element). Much cheaper page description than the DOM - use it to understand page structure and semantics.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            selector: { type: "string", description: "Subtree root: CSS selector or element ref (e.g. \"e12\" from analyzePage) (default: whole page)" },
+            interestingOnly: { type: "boolean", description: "Only landmarks, controls and named leaf nodes (default: true). Set false for the full tree" },
+            maxDepth: { type: "number", minimum: 0, description: "Maximum tree depth (default: unlimited)" },
+            format: { type: "string", enum: ["text", "json"], description: "text: indented outline (default), json: nested objects" },
+            includeSelectors: { type: "boolean", description: "Add a selector to each node (default: true)" },
+          },
+        },
+      },
       {
         name: "enableRecorder",
         description: "Inject recorder UI widget into the current page. Enables visual recording of user interactions with start/stop/save controls.",
@@ -1018,34 +2321,66 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             name: { type: "string", description: "Scenario name to execute" },
             parameters: { type: "object", description: "Parameters for scenario execution (e.g., { email: 'user@test.com', password: 'secret' })" },
-            executeDependencies: { type: "boolean", description: "Execute dependencies before running scenario (default: true)" },
+            executeDependencies: { type: "boolean", description: "Execute dependencies before running scenario (default: true, or false when storageState is set)" },
+            storageState: { type: "string", description: "Saved storage state to restore before running (from saveStorageState). Replaces re-running login dependencies" },
+            har: { type: "string", description: "Path to .har file: serve responses from it during the run (offline, deterministic)" },
+            harNotFound: { type: "string", enum: ["abort", "continue"], description: "Requests missing from HAR: 'abort' (default) or 'continue' to network" },
+            harIgnoreQuery: { type: "boolean", description: "Match HAR URLs without query string (default: false)" },
+            coverage: { type: "boolean", description: "Collect JS/CSS coverage during the run and add a per-file report to the result (default: false)" },
           },
           required: ["name"],
         },
       },
       {
-        name: "listScenarios",
-        description: "Get list of all available scenarios with metadata (name, description, tags, dependencies, timestamps).",
+        name: "saveStorageState",
+        description: "Save authenticated state of the current page (cookies, localStorage, sessionStorage, IndexedDB) to storage-states/<name>.json. Restore later with loadStorageState or executeScenario's storageState to skip logging in.",
         inputSchema: {
           type: "object",
-          properties: {},
+          properties: {
+            name: { type: "string", description: "Storage state name" },
+            includeSessionStorage: { type: "boolean", description: "Include sessionStorage (default: true)" },
+            includeIndexedDB: { type: "boolean", description: "Include IndexedDB databases (default: true)" },
+            origins: { type: "array", items: { type: "string" }, description: "Only capture these origins, e.g. ['https://app.example.com'] (default: all frame origins)" },
+          },
+          required: ["name"],
         },
       },
       {
-        name: "searchScenarios",
-        description: "Search scenarios by text query or tags. Returns matching scenarios with metadata.",
+        name: "loadStorageState",
+        description: "Restore a saved storage state (cookies, localStorage, sessionStorage, IndexedDB) into the current page and its browser context, then reload so the app picks it up.",
         inputSchema: {
           type: "object",
           properties: {
-            text: { type: "string", description: "Text to search in name/description" },
-            tags: { type: "array", items: { type: "string" }, description: "Tags to filter by" },
+            name: { type: "string", description: "Storage state name or absolute path to a state file" },
+            reload: { type: "boolean", description: "Reload page after restoring (default: true)" },
+            clearExisting: { type: "boolean", description: "Clear existing cookies and storage of the saved sites first (default: false)" },
           },
+          required: ["name"],
         },
       },
       {
-        name: "getScenarioInfo",
-        description: "Get detailed information about a specific scenario including actions, parameters, and dependencies.",
-        inputSchema: {
+        name: "listScenarios",
+        description: "Get list of all available scenarios with metadata (name, description, tags, dependencies, timestamps).",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "searchScenarios",
+        description: "Search scenarios by text query or tags. Returns matching scenarios with metadata.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            text: { type: "string", description: "Text to search in name/description" },
+            tags: { type: "array", items: { type: "string" }, description: "Tags to filter by" },
+          },
+        },
+      },
+      {
+        name: "getScenarioInfo",
+        description: "Get detailed information about a specific scenario including actions, parameters, and dependencies.",
+        inputSchema: {
           type: "object",
           properties: {
             name: { type: "string", description: "Scenario name" },
@@ -1065,7 +2400,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ["name"],
         },
       },
-    ],
+    ]),
   };
 });
 
@@ -1092,7 +2427,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     if (name === "openBrowser") {
       const validatedArgs = OpenBrowserSchema.parse(args);
-      const page = await getOrCreatePage(validatedArgs.url);
+      const page = await getOrCreatePage(validatedArgs.url, {
+        headless: validatedArgs.headless,
+        chromeArgs: validatedArgs.chromeArgs,
+        executablePath: validatedArgs.executablePath,
+        userDataDir: validatedArgs.userDataDir,
+      }, validatedArgs.context);
       const title = await page.title();
 
       // Generate AI hints
@@ -1102,7 +2442,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         content: [
           {
             type: "text",
-            text: `Browser opened successfully!\nURL: ${validatedArgs.url}\nPage title: ${title}\n\nBrowser remains open for interaction.\n\n** AI HINTS **\nPage type: ${hints.pageType}\nAvailable actions: ${hints.availableActions.join(', ')}\nSuggested next: ${hints.suggestedNext.join('; ')}`,
+            text: `Browser opened successfully!\nURL: ${validatedArgs.url}\nPage title: ${title}\nTab: ${tabIds.get(page)}${validatedArgs.context ? ` (context: ${validatedArgs.context})` : ''}\n${describeBrowserMode()}\n\nBrowser remains open for interaction.\n\n** AI HINTS **\nPage type: ${hints.pageType}\nAvailable actions: ${hints.availableActions.join(', ')}\nSuggested next: ${hints.suggestedNext.join('; ')}`,
           },
         ],
       };
@@ -1110,18 +2450,24 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     if (name === "click") {
       const validatedArgs = ClickSchema.parse(args);
-      const page = await getLastOpenPage();
-
-      const element = await page.$(validatedArgs.selector);
+      const page = await getLastOpenPage(validatedArgs.context);
+      const { frame, element } = await resolveElementTarget(page, validatedArgs.selector, validatedArgs.frame);
       if (!element) {
-        throw new Error(`Element not found: ${validatedArgs.selector}`);
+        throw new Error(`Element not found: ${validatedArgs.selector}${validatedArgs.frame ? ` (in frame "${validatedArgs.frame}")` : ''}`);
       }
 
+      const popupStart = popupEvents.length;
+      const recording = validatedArgs.domDiff ? await startDomDiff(page, frame) : null;
+
       await element.click();
       await new Promise(resolve => setTimeout(resolve, validatedArgs.waitAfter || 1500));
 
+      const domDiff = recording ? await collectDomDiff(recording, { finderUtils: elementFinderUtils }) : null;
+
+      const newPopups = popupEvents.slice(popupStart);
+
       // Generate AI hints after click
-      const hints = await generateClickHints(page, validatedArgs.selector);
+      const hints = await generateClickHints(frame, validatedArgs.selector);
 
       const screenshot = await page.screenshot({ encoding: 'base64', fullPage: false });
 
@@ -1133,10 +2479,15 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       if (hints.suggestedNext.length > 0) {
         hintsText += `\nSuggested next: ${hints.suggestedNext.join('; ')}`;
       }
+      for (const popup of newPopups) {
+        const popupPage = tabs.get(popup.tabId);
+        hintsText += `\nNew tab opened: ${popup.tabId} (${popupPage && !popupPage.isClosed() ? popupPage.url() : popup.url}) - use switchTab to interact with it`;
+      }
+      if (domDiff) hintsText += `\n\n${formatDomDiff(domDiff)}`;
 
       return {
         content: [
-          { type: "text", text: `Clicked: ${validatedArgs.selector}${hintsText}` },
+          { type: "text", text: `Clicked: ${validatedArgs.selector}${validatedArgs.frame ? ` in frame "${validatedArgs.frame}"` : ''}${hintsText}` },
           { type: "image", data: screenshot, mimeType: "image/png" }
         ],
       };
@@ -1144,13 +2495,14 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     if (name === "type") {
       const validatedArgs = TypeSchema.parse(args);
-      const page = await getLastOpenPage();
-
-      const element = await page.$(validatedArgs.selector);
+      const page = await getLastOpenPage(validatedArgs.context);
+      const { frame, element } = await resolveElementTarget(page, validatedArgs.selector, validatedArgs.frame);
       if (!element) {
-        throw new Error(`Element not found: ${validatedArgs.selector}`);
+        throw new Error(`Element not found: ${validatedArgs.selector}${validatedArgs.frame ? ` (in frame "${validatedArgs.frame}")` : ''}`);
       }
 
+      const recording = validatedArgs.domDiff ? await startDomDiff(page, frame) : null;
+
       const clearFirst = validatedArgs.clearFirst !== undefined ? validatedArgs.clearFirst : true;
       if (clearFirst) {
         await element.click({ clickCount: 3 });
@@ -1159,27 +2511,58 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
       await element.type(validatedArgs.text, { delay: validatedArgs.delay || 0 });
 
+      let diffText = '';
+      if (recording) {
+        // Let input handlers re-render (validation messages, suggestions)
+        await new Promise(resolve => setTimeout(resolve, 300));
+        diffText = `\n\n${formatDomDiff(await collectDomDiff(recording, { finderUtils: elementFinderUtils }))}`;
+      }
+
       return {
         content: [
-          { type: "text", text: `Typed "${validatedArgs.text}" into ${validatedArgs.selector}` }
+          { type: "text", text: `Typed "${validatedArgs.text}" into ${validatedArgs.selector}${validatedArgs.frame ? ` in frame "${validatedArgs.frame}"` : ''}${diffText}` }
         ],
       };
     }
 
     if (name === "getElement") {
       const validatedArgs = GetElementSchema.parse(args);
-      const page = await getLastOpenPage();
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      // Element refs point to the registered element itself, in whichever frame it lives
+      if (isElementRef(validatedArgs.selector)) {
+        const { element } = await resolveElementRef(page, validatedArgs.selector);
+        try {
+          return {
+            content: [{ type: "text", text: await element.evaluate(el => el.outerHTML) }],
+          };
+        } finally {
+          await element.dispose().catch(() => {});
+        }
+      }
+
+      const useSelector = (validatedArgs.selector && validatedArgs.selector.trim()) ? validatedArgs.selector : 'body';
+
+      // Elements inside iframes live in another document - read them through the frame
+      if (validatedArgs.frame) {
+        const frame = await resolveFrame(page, validatedArgs.frame);
+        const outerHTML = await frame.$eval(useSelector, el => el.outerHTML).catch(() => null);
+
+        if (outerHTML === null) {
+          throw new Error(`Element not found: ${useSelector} (in frame "${validatedArgs.frame}")`);
+        }
+
+        return {
+          content: [{ type: "text", text: outerHTML }],
+        };
+      }
 
       const client = await page.target().createCDPSession();
       await client.send('DOM.enable');
 
-      const { root } = await client.send('DOM.getDocument');
-      const useSelector = (validatedArgs.selector && validatedArgs.selector.trim()) ? validatedArgs.selector : 'body';
+      await client.send('DOM.getDocument');
 
-      const { nodeId } = await client.send('DOM.querySelector', {
-        selector: useSelector,
-        nodeId: root.nodeId
-      });
+      const nodeId = await querySelectorNodeId(client, useSelector);
 
       if (!nodeId) {
         throw new Error(`Element not found: ${validatedArgs.selector}`);
@@ -1194,19 +2577,32 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     if (name === "getComputedCss") {
       const validatedArgs = GetComputedCssSchema.parse(args);
-      const page = await getLastOpenPage();
+      const page = await getLastOpenPage(validatedArgs.context);
+      const useSelector = (validatedArgs.selector && validatedArgs.selector.trim()) ? validatedArgs.selector : 'body';
+
+      // Elements inside iframes (possibly out-of-process) are not in the page's DOM domain - read styles in their frame
+      if (validatedArgs.frame) {
+        const { element } = await resolveElementTarget(page, useSelector, validatedArgs.frame);
+        if (!element) {
+          throw new Error(`Element not found: ${useSelector}`);
+        }
+
+        const computedStyle = await element.evaluate((el) => {
+          const style = window.getComputedStyle(el);
+          return Array.from(style, (name) => ({ name, value: style.getPropertyValue(name) }));
+        });
+
+        return {
+          content: [{ type: "text", text: JSON.stringify(computedStyle, null, 2) }],
+        };
+      }
 
       const client = await page.target().createCDPSession();
       await client.send('DOM.enable');
       await client.send('CSS.enable');
 
-      const { root } = await client.send('DOM.getDocument');
-      const useSelector = (validatedArgs.selector && validatedArgs.selector.trim()) ? validatedArgs.selector : 'body';
-
-      const { nodeId } = await client.send('DOM.querySelector', {
-        selector: useSelector,
-        nodeId: root.nodeId
-      });
+      await client.send('DOM.getDocument');
+      const nodeId = await querySelectorNodeId(client, useSelector);
 
       if (!nodeId) {
         throw new Error(`Element not found: ${validatedArgs.selector}`);
@@ -1221,32 +2617,60 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     if (name === "getBoxModel") {
       const validatedArgs = GetBoxModelSchema.parse(args);
-      const page = await getLastOpenPage();
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      if (validatedArgs.frame) {
+        const { element } = await resolveElementTarget(page, validatedArgs.selector, validatedArgs.frame);
+        if (!element) {
+          throw new Error(`Element not found: ${validatedArgs.selector}`);
+        }
+
+        // Same shape as DOM.getBoxModel (quads as flat x,y lists), in main frame coordinates
+        const box = await element.boxModel();
+        if (!box) {
+          throw new Error(`Element not found (render): ${validatedArgs.selector}`);
+        }
+        const toQuad = (points) => points.flatMap(({ x, y }) => [x, y]);
+        const boxModel = {
+          model: {
+            content: toQuad(box.content),
+            padding: toQuad(box.padding),
+            border: toQuad(box.border),
+            margin: toQuad(box.margin),
+            width: box.width,
+            height: box.height
+          }
+        };
+        const metrics = await element.evaluate((el) => ({
+          offsetWidth: el.offsetWidth,
+          offsetHeight: el.offsetHeight,
+          scrollWidth: el.scrollWidth,
+          scrollHeight: el.scrollHeight
+        }));
+
+        return {
+          content: [{ type: "text", text: JSON.stringify({ boxModel, metrics }, null, 2) }],
+        };
+      }
 
       const client = await page.target().createCDPSession();
       await client.send('DOM.enable');
 
-      const { root } = await client.send('DOM.getDocument');
-      const { nodeId } = await client.send('DOM.querySelector', {
-        selector: validatedArgs.selector,
-        nodeId: root.nodeId
-      });
+      await client.send('DOM.getDocument');
+      const nodeId = await querySelectorNodeId(client, validatedArgs.selector);
 
       if (!nodeId) {
         throw new Error(`Element not found: ${validatedArgs.selector}`);
       }
 
       const boxModel = await client.send('DOM.getBoxModel', { nodeId });
-      const metrics = await page.evaluate((sel) => {
-        const el = document.querySelector(sel);
-        if (!el) return null;
-        return {
-          offsetWidth: el.offsetWidth,
-          offsetHeight: el.offsetHeight,
-          scrollWidth: el.scrollWidth,
-          scrollHeight: el.scrollHeight
-        };
-      }, validatedArgs.selector);
+      const element = await page.$(validatedArgs.selector);
+      const metrics = element && await element.evaluate((el) => ({
+        offsetWidth: el.offsetWidth,
+        offsetHeight: el.offsetHeight,
+        scrollWidth: el.scrollWidth,
+        scrollHeight: el.scrollHeight
+      }));
 
       if (!metrics) {
         throw new Error(`Element not found (render): ${validatedArgs.selector}`);
@@ -1257,124 +2681,239 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       };
     }
 
-    if (name === "screenshot") {
-      const validatedArgs = ScreenshotSchema.parse(args);
-      const page = await getLastOpenPage();
+    if (name === "auditAccessibility") {
+      const validatedArgs = AuditAccessibilitySchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
 
-      const element = await page.$(validatedArgs.selector);
-      if (!element) {
-        throw new Error(`Element not found: ${validatedArgs.selector}`);
-      }
+      const audit = await auditAccessibility(page, {
+        selector: validatedArgs.selector || null,
+        rules: validatedArgs.rules || null,
+        maxPerRule: validatedArgs.maxPerRule || 20,
+        finderUtils: elementFinderUtils
+      });
 
-      const box = await element.boundingBox();
-      if (!box) {
-        throw new Error(`Element is not visible or has no bounding box: ${validatedArgs.selector}`);
-      }
+      const total = Object.values(audit.summary).reduce((sum, count) => sum + count, 0);
+      const summaryLine = total === 0
+        ? `No violations found (${audit.passed.length} rules passed)`
+        : `${total} violations: ${SEVERITIES.map(severity => `${audit.summary[severity]} ${severity}`).join(', ')}`;
 
-      const padding = validatedArgs.padding || 0;
-      const clip = {
-        x: Math.max(box.x - padding, 0),
-        y: Math.max(box.y - padding, 0),
-        width: Math.max(box.width + padding * 2, 1),
-        height: Math.max(box.height + padding * 2, 1)
+      return {
+        content: [{
+          type: "text",
+          text: `${summaryLine}\n\n${JSON.stringify(audit, null, 2)}`
+        }],
       };
+    }
 
-      // Take screenshot as buffer
-      const screenshotBuffer = await page.screenshot({ clip, encoding: 'binary' });
+    if (name === "auditKeyboardNavigation") {
+      const validatedArgs = AuditKeyboardNavigationSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
 
-      // Process with compression and scaling
-      const processed = await processScreenshot(screenshotBuffer, {
-        maxWidth: validatedArgs.maxWidth ?? 1024,
-        maxHeight: validatedArgs.maxHeight ?? 8000,
-        quality: validatedArgs.quality ?? 80,
-        format: validatedArgs.format ?? 'auto'
+      const audit = await auditKeyboardNavigation(page, {
+        maxStops: validatedArgs.maxStops || 200,
+        finderUtils: elementFinderUtils
       });
 
+      const { summary } = audit;
+      const summaryLine = `${summary.focusStops} focus stops (${audit.endReason}), ` +
+        `${summary.withoutFocusIndicator} without visible focus indicator, ` +
+        `${summary.mouseOnly} mouse-only elements` +
+        (audit.trap ? `, focus trap detected${audit.trap.likelyIntentional ? ' (inside modal dialog)' : ''}` : '');
+
+      const content = [{
+        type: "text",
+        text: `${summaryLine}\n\n${JSON.stringify(audit, null, 2)}`
+      }];
+
+      if (validatedArgs.screenshot && audit.stops.length > 0) {
+        const screenshotBuffer = await captureFocusOrderScreenshot(page, audit.stops);
+        const processed = await processScreenshot(screenshotBuffer, {
+          maxWidth: validatedArgs.maxWidth ?? 1024,
+          maxHeight: 8000
+        });
+        content.push({
+          type: "image",
+          data: processed.buffer.toString('base64'),
+          mimeType: processed.mimeType
+        });
+      }
+
+      return { content };
+    }
+
+    if (name === "screenshot") {
+      const validatedArgs = ScreenshotSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const capture = await captureScreenshotParts(page, validatedArgs);
+
       // Build info message
-      const infoText = `Screenshot captured: ${processed.metadata.width}x${processed.metadata.height} ${processed.metadata.format.toUpperCase()}` +
+      const describe = (processed) => `${processed.metadata.width}x${processed.metadata.height} ${processed.metadata.format.toUpperCase()}` +
         (processed.metadata.scaled ? ` (scaled from ${processed.metadata.originalWidth}x${processed.metadata.originalHeight})` : '') +
         (processed.metadata.compressed ? ` (${processed.metadata.compressionRatio}% compression)` : '') +
         `\nSize: ${(processed.metadata.finalSize / 1024).toFixed(1)}KB` +
         (processed.metadata.originalSize !== processed.metadata.finalSize ?
           ` (original: ${(processed.metadata.originalSize / 1024).toFixed(1)}KB)` : '');
 
+      let infoText;
+      if (capture.mode === 'fullPage') {
+        infoText = `Full page screenshot captured: ${capture.page.height}px tall page, ${capture.page.tiles} viewport tiles` +
+          (capture.page.hiddenFixed > 0 ? `, ${capture.page.hiddenFixed} fixed/sticky elements hidden after first tile` : '') +
+          (capture.page.truncated ? `\nWarning: page is taller than the capture limit, bottom part is cut off` : '') +
+          capture.parts.map((processed, i) => `\nPart ${i + 1}/${capture.parts.length}: ${describe(processed)}`).join('');
+      } else {
+        infoText = `Screenshot captured: ${describe(capture.parts[0])}`;
+      }
+
       return {
         content: [
           {
             type: "text",
             text: infoText
           },
-          {
+          ...capture.parts.map(processed => ({
             type: "image",
             data: processed.buffer.toString('base64'),
             mimeType: processed.mimeType
-          }
+          }))
         ],
       };
     }
 
     if (name === "saveScreenshot") {
       const validatedArgs = SaveScreenshotSchema.parse(args);
-      const page = await getLastOpenPage();
+      const page = await getLastOpenPage(validatedArgs.context);
 
-      const element = await page.$(validatedArgs.selector);
-      if (!element) {
-        throw new Error(`Element not found: ${validatedArgs.selector}`);
-      }
+      const capture = await captureScreenshotParts(page, validatedArgs);
+
+      // Ensure directory exists
+      const dir = dirname(validatedArgs.filePath);
+      mkdirSync(dir, { recursive: true });
+
+      // Several parts are saved as name-1.ext, name-2.ext, ...
+      const filePaths = capture.parts.length === 1 ? [validatedArgs.filePath] : capture.parts.map((processed, i) => {
+        const ext = path.extname(validatedArgs.filePath);
+        return `${validatedArgs.filePath.slice(0, validatedArgs.filePath.length - ext.length)}-${i + 1}${ext}`;
+      });
+
+      const infoLines = [];
+      capture.parts.forEach((processed, i) => {
+        // Save to file
+        writeFileSync(filePaths[i], processed.buffer);
+
+        infoLines.push(`Screenshot saved to: ${filePaths[i]}\n` +
+          `Dimensions: ${processed.metadata.width}x${processed.metadata.height}\n` +
+          `Format: ${processed.metadata.format.toUpperCase()}\n` +
+          `Size: ${(processed.metadata.finalSize / 1024).toFixed(1)}KB` +
+          (processed.metadata.scaled ? ` (scaled from ${processed.metadata.originalWidth}x${processed.metadata.originalHeight})` : '') +
+          (processed.metadata.compressed ? `\nCompression: ${processed.metadata.compressionRatio}% saved` : ''));
+      });
 
-      const box = await element.boundingBox();
-      if (!box) {
-        throw new Error(`Element not visible: ${validatedArgs.selector}`);
+      if (capture.mode === 'fullPage') {
+        infoLines.unshift(`Full page: ${capture.page.height}px tall, ${capture.page.tiles} viewport tiles, ${capture.parts.length} file(s)` +
+          (capture.page.truncated ? ' (cut off at the capture limit)' : ''));
       }
 
-      const padding = validatedArgs.padding || 0;
-      const clip = {
-        x: Math.max(box.x - padding, 0),
-        y: Math.max(box.y - padding, 0),
-        width: Math.max(box.width + padding * 2, 1),
-        height: Math.max(box.height + padding * 2, 1)
+      return {
+        content: [
+          {
+            type: "text",
+            text: infoLines.join('\n\n')
+          }
+        ],
       };
+    }
 
-      // Get screenshot as buffer (not base64)
-      const screenshotBuffer = await page.screenshot({ clip, encoding: 'binary' });
+    if (name === "screenshotWithLabels") {
+      const validatedArgs = ScreenshotWithLabelsSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
 
-      // Process with compression and scaling
-      const processed = await processScreenshot(screenshotBuffer, {
+      const { buffer, labels, skipped } = await captureLabeledScreenshot(page, {
+        finderUtils: elementFinderUtils,
+        maxLabels: validatedArgs.maxLabels ?? 100,
+        includeCovered: validatedArgs.includeCovered ?? false
+      });
+
+      const processed = await processScreenshot(buffer, {
         maxWidth: validatedArgs.maxWidth ?? 1024,
-        maxHeight: validatedArgs.maxHeight ?? 8000,
-        quality: validatedArgs.quality ?? 80,
+        maxHeight: 8000,
         format: validatedArgs.format ?? 'auto'
       });
 
-      // Ensure directory exists
-      const dir = dirname(validatedArgs.filePath);
-      mkdirSync(dir, { recursive: true });
-
-      // Save to file
-      writeFileSync(validatedArgs.filePath, processed.buffer);
-
-      const infoText = `Screenshot saved to: ${validatedArgs.filePath}\n` +
-        `Dimensions: ${processed.metadata.width}x${processed.metadata.height}\n` +
-        `Format: ${processed.metadata.format.toUpperCase()}\n` +
-        `Size: ${(processed.metadata.finalSize / 1024).toFixed(1)}KB` +
-        (processed.metadata.scaled ? ` (scaled from ${processed.metadata.originalWidth}x${processed.metadata.originalHeight})` : '') +
-        (processed.metadata.compressed ? `\nCompression: ${processed.metadata.compressionRatio}% saved` : '');
+      const legend = labels.map(({ label, selector, role, text }) => ({ label, selector, role, text }));
+      await assignElementRefs(page, page.mainFrame(), legend, elementFinderUtils);
+      const summaryLine = `${labels.length} interactive elements labeled in the viewport` +
+        (skipped.covered > 0 ? `, ${skipped.covered} covered by other content skipped` : '') +
+        (skipped.overLimit > 0 ? `, ${skipped.overLimit} more not labeled (maxLabels reached)` : '') +
+        (labels.length > 0 ? '\nUse the ref or selector of a label with click, type or hover' : '\nNo interactive elements visible - scroll or navigate first');
 
       return {
         content: [
           {
             type: "text",
-            text: infoText
+            text: `${summaryLine}\n\n${JSON.stringify({ labels: legend }, null, 2)}`
+          },
+          {
+            type: "image",
+            data: processed.buffer.toString('base64'),
+            mimeType: processed.mimeType
           }
         ],
       };
     }
 
+    if (name === "saveVisualBaseline") {
+      const validatedArgs = SaveVisualBaselineSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const baseline = await saveVisualBaseline(page, validatedArgs.name, validatedArgs);
+      const target = baseline.selector || (baseline.fullPage ? 'full page' : 'viewport');
+
+      return {
+        content: [{
+          type: "text",
+          text: `Visual baseline "${baseline.name}" saved: ${baseline.path}\n` +
+            `Captured: ${target}, ${baseline.width}x${baseline.height}px` +
+            (baseline.maskedElements > 0 ? `, ${baseline.maskedElements} elements masked` : '') +
+            (baseline.ignoreRegions.length > 0 ? `, ${baseline.ignoreRegions.length} ignore regions` : '')
+        }],
+      };
+    }
+
+    if (name === "compareVisualBaseline") {
+      const validatedArgs = CompareVisualBaselineSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const { result, diffBuffer } = await compareVisualBaseline(page, validatedArgs.name, {
+        ...validatedArgs,
+        calculateSSIM
+      });
+
+      const verdict = result.passed
+        ? `PASSED: ${result.identical ? 'identical to baseline' : `${result.differencePercent}% pixels differ (threshold ${+(result.threshold * 100).toFixed(3)}%)`}`
+        : result.sizeChanged
+          ? `FAILED: size changed from ${result.sizeChanged.baseline.width}x${result.sizeChanged.baseline.height} to ${result.sizeChanged.actual.width}x${result.sizeChanged.actual.height}`
+          : `FAILED: ${result.differencePercent}% pixels differ (threshold ${+(result.threshold * 100).toFixed(3)}%)`;
+
+      const content = [{ type: "text", text: `${verdict}\n\n${JSON.stringify(result, null, 2)}` }];
+
+      if (diffBuffer) {
+        const processed = await processScreenshot(diffBuffer, { maxWidth: 1024, maxHeight: 8000 });
+        content.push({
+          type: "image",
+          data: processed.buffer.toString('base64'),
+          mimeType: processed.mimeType
+        });
+      }
+
+      return { content };
+    }
+
     if (name === "scrollTo") {
       const validatedArgs = ScrollToSchema.parse(args);
-      const page = await getLastOpenPage();
+      const page = await getLastOpenPage(validatedArgs.context);
 
-      const element = await page.$(validatedArgs.selector);
+      const { frame, element } = await resolveElementTarget(page, validatedArgs.selector, validatedArgs.frame);
       if (!element) {
         throw new Error(`Element not found: ${validatedArgs.selector}`);
       }
@@ -1382,7 +2921,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       await element.scrollIntoView({ behavior: validatedArgs.behavior || 'auto' });
       await new Promise(resolve => setTimeout(resolve, 300));
 
-      const position = await page.evaluate(() => ({
+      // Scroll position of the document containing the element
+      const position = await frame.evaluate(() => ({
         x: window.scrollX,
         y: window.scrollY
       }));
@@ -1396,7 +2936,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     if (name === "executeScript") {
       const validatedArgs = ExecuteScriptSchema.parse(args);
-      const page = await getLastOpenPage();
+      const page = await getLastOpenPage(validatedArgs.context);
+      const recording = validatedArgs.domDiff ? await startDomDiff(page) : null;
 
       const result = await page.evaluate((code) => {
         try {
@@ -1410,15 +2951,16 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
       await new Promise(resolve => setTimeout(resolve, validatedArgs.waitAfter || 500));
 
+      const diffText = recording ? `\n\n${formatDomDiff(await collectDomDiff(recording, { finderUtils: elementFinderUtils }))}` : '';
       const screenshot = await page.screenshot({ encoding: 'base64', fullPage: false });
 
       return {
         content: [
           {
             type: "text",
-            text: result.success
+            text: (result.success
               ? `Script executed successfully.\nResult: ${JSON.stringify(result.result)}`
-              : `Script execution failed: ${result.error}`
+              : `Script execution failed: ${result.error}`) + diffText
           },
           { type: "image", data: screenshot, mimeType: "image/png" }
         ],
@@ -1436,17 +2978,279 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       const result = {
-        count: logs.length,
-        logs: logs.map(log => ({
-          type: log.type,
-          timestamp: log.timestamp,
-          message: log.message
-        }))
+        count: logs.length,
+        logs: logs.map(log => ({
+          type: log.type,
+          timestamp: log.timestamp,
+          message: log.message
+        }))
+      };
+
+      // Clear logs if requested
+      if (validatedArgs.clear) {
+        consoleLogs.length = 0;
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify(result, null, 2)
+        }],
+      };
+    }
+
+    if (name === "getNetworkRequests") {
+      const validatedArgs = GetNetworkRequestsSchema.parse(args || {});
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const matched = filterRequests(getCapturedRequests(page), validatedArgs);
+      const limit = validatedArgs.limit ?? 100;
+      const selected = matched.slice(-limit);
+
+      const requests = [];
+      for (const entry of selected) {
+        const formatted = formatRequest(entry, { includeHeaders: validatedArgs.includeHeaders });
+        if (validatedArgs.includeBodies) {
+          formatted.responseBody = await getResponseBody(page, entry, validatedArgs.maxBodySize ?? 10000);
+        }
+        requests.push(formatted);
+      }
+
+      const result = {
+        tabId: tabIds.get(page),
+        count: matched.length,
+        returned: requests.length,
+        requests
+      };
+
+      if (validatedArgs.clear) {
+        clearCapturedRequests(page);
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify(result, null, 2)
+        }],
+      };
+    }
+
+    if (name === "exportHar") {
+      const validatedArgs = ExportHarSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const entries = filterRequests(getCapturedRequests(page), {
+        urlPattern: validatedArgs.urlPattern,
+        resourceTypes: validatedArgs.resourceTypes
+      });
+      const har = await buildHar(page, entries, {
+        includeBodies: validatedArgs.includeBodies ?? true,
+        maxBodySize: validatedArgs.maxBodySize ?? 1024 * 1024,
+        creatorVersion: packageVersion
+      });
+      const filePath = await writeHar(validatedArgs.filePath, har);
+
+      return {
+        content: [{
+          type: "text",
+          text: `HAR exported to ${filePath}\nEntries: ${har.log.entries.length} (tab ${tabIds.get(page)})`
+        }],
+      };
+    }
+
+    if (name === "startHarReplay") {
+      const validatedArgs = StartHarReplaySchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const har = await readHar(validatedArgs.filePath);
+      const stats = await startHarReplay(page, har, {
+        notFound: validatedArgs.notFound || 'abort',
+        ignoreQuery: validatedArgs.ignoreQuery || false,
+        matchPostData: validatedArgs.matchPostData || false
+      });
+
+      return {
+        content: [{
+          type: "text",
+          text: `HAR replay started for ${tabIds.get(page)}: ${stats.entries} entries from ${validatedArgs.filePath}\nUnmatched requests: ${stats.notFoundPolicy === 'abort' ? 'aborted (offline)' : 'sent to network'}`
+        }],
+      };
+    }
+
+    if (name === "stopHarReplay") {
+      const validatedArgs = StopHarReplaySchema.parse(args || {});
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const stats = await stopHarReplay(page);
+      if (!stats) {
+        throw new Error(`No HAR replay active for ${tabIds.get(page)}`);
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify(stats, null, 2)
+        }],
+      };
+    }
+
+    if (name === "addMockRule") {
+      const validatedArgs = AddMockRuleSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const rule = await addMockRule(page, validatedArgs);
+      const action = rule.abort
+        ? `abort (${rule.abort})`
+        : `respond ${rule.status}${rule.bodyFromFile ? ` from ${rule.bodyFromFile}` : ''}`;
+
+      return {
+        content: [{
+          type: "text",
+          text: `Mock rule ${rule.id} added: ${rule.method || 'ANY'} ${rule.urlPattern} -> ${action}${rule.delay ? ` after ${rule.delay}ms` : ''}`
+        }],
+      };
+    }
+
+    if (name === "listMockRules") {
+      const validatedArgs = ListMockRulesSchema.parse(args || {});
+      const page = await getLastOpenPage(validatedArgs.context);
+      const rules = listMockRules(page);
+
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({ tabId: tabIds.get(page), count: rules.length, rules }, null, 2)
+        }],
+      };
+    }
+
+    if (name === "removeMockRules") {
+      const validatedArgs = RemoveMockRulesSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const removed = await removeMockRules(page, validatedArgs.ids || null);
+
+      return {
+        content: [{
+          type: "text",
+          text: removed.length > 0 ? `Removed mock rules: ${removed.join(', ')}` : 'No matching mock rules'
+        }],
+      };
+    }
+
+    if (name === "attachMocksToScenario") {
+      const validatedArgs = AttachMocksToScenarioSchema.parse(args);
+
+      let mocks = validatedArgs.mocks;
+      if (!mocks) {
+        const page = await getLastOpenPage(validatedArgs.context);
+        const rules = getMockRules(page).filter(r => !validatedArgs.ids || validatedArgs.ids.includes(r.id));
+        if (rules.length === 0) {
+          throw new Error('No mock rules to attach. Add rules with addMockRule or pass mocks');
+        }
+        mocks = rules.map(toRuleDefinition);
+      }
+
+      const result = await setScenarioMocks(validatedArgs.name, mocks);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: mocks.length > 0
+            ? `Attached ${mocks.length} mock rule(s) to scenario "${validatedArgs.name}"`
+            : `Removed mock rules from scenario "${validatedArgs.name}"`
+        }],
+      };
+    }
+
+    if (name === "setDialogPolicy") {
+      const validatedArgs = SetDialogPolicySchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const policy = setDialogPolicy(page, {
+        action: validatedArgs.action,
+        promptText: validatedArgs.promptText
+      });
+      if (validatedArgs.next && validatedArgs.next.length > 0) {
+        queueDialogResponses(page, validatedArgs.next);
+      }
+
+      const lines = [
+        `Dialog policy for ${tabIds.get(page)}: ${policy.action}${policy.promptText !== null ? ` (prompt answer: "${policy.promptText}")` : ''}`
+      ];
+      if (policy.suspended) {
+        lines.push('Policy suspended while the recorder is enabled - dialogs stay open for the user to answer');
+      }
+      if (validatedArgs.next?.length) {
+        lines.push(`Queued answers for next ${validatedArgs.next.length} dialog(s): ${validatedArgs.next.map(n => (n.accept ? 'accept' : 'dismiss')).join(', ')}`);
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: lines.join('\n')
+        }],
+      };
+    }
+
+    if (name === "getDialogs") {
+      const validatedArgs = GetDialogsSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      let dialogs = getDialogs(page);
+      if (validatedArgs.types && validatedArgs.types.length > 0) {
+        dialogs = dialogs.filter(d => validatedArgs.types.includes(d.type));
+      }
+
+      const result = {
+        tabId: tabIds.get(page),
+        count: dialogs.length,
+        dialogs: [...dialogs]
+      };
+
+      if (validatedArgs.clear) {
+        clearDialogs(page);
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify(result, null, 2)
+        }],
+      };
+    }
+
+    if (name === "getDownloads") {
+      const validatedArgs = GetDownloadsSchema.parse(args || {});
+
+      if (validatedArgs.waitFor) {
+        // Without since, wait for a download this tool has not returned yet (it may have started before the call)
+        await waitForDownload({
+          fileNamePattern: validatedArgs.fileNamePattern,
+          since: validatedArgs.since ?? null,
+          exclude: validatedArgs.since ? [] : listDownloads().filter(d => d.reported).map(d => d.id),
+          timeout: validatedArgs.timeout ?? 30000
+        });
+      }
+
+      const downloadsList = listDownloads({
+        fileNamePattern: validatedArgs.fileNamePattern,
+        state: validatedArgs.state,
+        since: validatedArgs.since
+      });
+      markDownloadsReported(downloadsList);
+
+      const result = {
+        folder: getDownloadsDir(),
+        count: downloadsList.length,
+        downloads: downloadsList.map(formatDownload)
       };
 
-      // Clear logs if requested
       if (validatedArgs.clear) {
-        consoleLogs.length = 0;
+        clearDownloads(downloadsList);
       }
 
       return {
@@ -1459,9 +3263,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     if (name === "hover") {
       const validatedArgs = HoverSchema.parse(args);
-      const page = await getLastOpenPage();
-
-      const element = await page.$(validatedArgs.selector);
+      const page = await getLastOpenPage(validatedArgs.context);
+      const { element } = await resolveElementTarget(page, validatedArgs.selector, validatedArgs.frame);
       if (!element) {
         throw new Error(`Element not found: ${validatedArgs.selector}`);
       }
@@ -1479,25 +3282,23 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     if (name === "setStyles") {
       const validatedArgs = SetStylesSchema.parse(args);
-      const page = await getLastOpenPage();
+      const page = await getLastOpenPage(validatedArgs.context);
 
       const stylesObject = {};
       for (const style of validatedArgs.styles) {
         stylesObject[style.name] = style.value;
       }
 
-      const success = await page.evaluate((sel, styles) => {
-        const el = document.querySelector(sel);
-        if (!el) return false;
+      const { element } = await resolveElementTarget(page, validatedArgs.selector, validatedArgs.frame);
+      if (!element) {
+        throw new Error(`Element not found: ${validatedArgs.selector}`);
+      }
+
+      await element.evaluate((el, styles) => {
         Object.entries(styles).forEach(([key, value]) => {
           el.style.setProperty(key, value);
         });
-        return true;
-      }, validatedArgs.selector, stylesObject);
-
-      if (!success) {
-        throw new Error(`Element not found: ${validatedArgs.selector}`);
-      }
+      }, stylesObject);
 
       return {
         content: [{
@@ -1509,7 +3310,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     if (name === "setViewport") {
       const validatedArgs = SetViewportSchema.parse(args);
-      const page = await getLastOpenPage();
+      const page = await getLastOpenPage(validatedArgs.context);
 
       await page.setViewport({
         width: validatedArgs.width,
@@ -1532,7 +3333,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
 
     if (name === "getViewport") {
-      const page = await getLastOpenPage();
+      const validatedArgs = GetViewportSchema.parse(args || {});
+      const page = await getLastOpenPage(validatedArgs.context);
 
       const viewport = await page.evaluate(() => ({
         width: window.innerWidth,
@@ -1550,9 +3352,242 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       };
     }
 
+    if (name === "emulateDevice") {
+      const validatedArgs = EmulateDeviceSchema.parse(args);
+
+      if (validatedArgs.listDevices) {
+        const devices = listDevices(validatedArgs.device || null);
+        return {
+          content: [{
+            type: "text",
+            text: `Known devices (${devices.length}):\n${devices.join('\n')}`
+          }],
+        };
+      }
+
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      let state;
+      if (validatedArgs.reset) {
+        await resetDeviceEmulation(page);
+        state = getEmulationState(page);
+      } else {
+        const { reload, reset, listDevices: _list, ...settings } = validatedArgs;
+        state = await emulateDevice(page, settings);
+      }
+
+      if (validatedArgs.reload) {
+        await page.reload({ waitUntil: 'networkidle2' });
+      }
+
+      const actual = await page.evaluate(() => ({
+        width: window.innerWidth,
+        height: window.innerHeight,
+        devicePixelRatio: window.devicePixelRatio,
+        touch: navigator.maxTouchPoints > 0,
+        language: navigator.language,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        darkMode: window.matchMedia('(prefers-color-scheme: dark)').matches,
+        reducedMotion: window.matchMedia('(prefers-reduced-motion: reduce)').matches
+      }));
+
+      const lines = [validatedArgs.reset ? 'Emulation reset' : 'Emulation applied'];
+      if (state.device) lines.push(`Device: ${state.device.name}`);
+      if (state.colorScheme) lines.push(`Color scheme: ${state.colorScheme}`);
+      if (state.reducedMotion) lines.push(`Reduced motion: ${state.reducedMotion}`);
+      if (state.locale) lines.push(`Locale: ${state.locale}`);
+      if (state.timezone) lines.push(`Timezone: ${state.timezone}`);
+      if (state.geolocation) lines.push(`Geolocation: ${state.geolocation.latitude}, ${state.geolocation.longitude} (±${state.geolocation.accuracy}m)`);
+      lines.push(`Actual: ${actual.width}x${actual.height} (DPR: ${actual.devicePixelRatio}), touch: ${actual.touch}, language: ${actual.language}, timezone: ${actual.timezone}, dark: ${actual.darkMode}, reduced motion: ${actual.reducedMotion}`);
+      if (!validatedArgs.reload && (validatedArgs.device || validatedArgs.locale)) {
+        lines.push('💡 User agent and navigator.language apply to the next document - pass reload: true or navigate to see them');
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: lines.join('\n')
+        }],
+      };
+    }
+
+    if (name === "setThrottling") {
+      const validatedArgs = SetThrottlingSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      let state;
+      if (validatedArgs.reset) {
+        await resetThrottling(page);
+        state = getThrottlingState(page);
+      } else {
+        const { reset, ...settings } = validatedArgs;
+        state = Object.keys(settings).length > 0
+          ? await applyThrottling(page, settings)
+          : getThrottlingState(page);
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: `${describeThrottling(state)} (tab ${tabIds.get(page)})`
+        }],
+      };
+    }
+
+    if (name === "measurePerformance") {
+      const validatedArgs = MeasurePerformanceSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      // Throttling given here applies to this measurement only
+      const previousThrottling = getThrottlingState(page);
+      const throttled = validatedArgs.profile !== undefined || validatedArgs.cpuSlowdown !== undefined;
+      if (throttled) {
+        await applyThrottling(page, { profile: validatedArgs.profile, cpuSlowdown: validatedArgs.cpuSlowdown });
+      }
+
+      let result;
+      let activeThrottling;
+      try {
+        activeThrottling = getThrottlingState(page);
+        result = await measurePerformance(page, {
+          url: validatedArgs.url,
+          waitUntil: validatedArgs.waitUntil || 'load',
+          settleTime: validatedArgs.settleTime ?? 3000
+        });
+      } finally {
+        if (throttled) {
+          await restoreThrottling(page, previousThrottling);
+        }
+      }
+
+      const throttlingText = activeThrottling.network || activeThrottling.cpuSlowdown ? describeThrottling(activeThrottling) : null;
+
+      return {
+        content: [{
+          type: "text",
+          text: `${formatPerformanceSummary(result, throttlingText)}\n\n${JSON.stringify(result, null, 2)}`
+        }],
+      };
+    }
+
+    if (name === "startTrace") {
+      const validatedArgs = StartTraceSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const trace = await startTrace(page, validatedArgs);
+
+      return {
+        content: [{
+          type: "text",
+          text: `Tracing started on tab ${tabIds.get(page)}. Trace will be saved to: ${trace.path}\nInteract with the page, then call stopTrace.`
+        }],
+      };
+    }
+
+    if (name === "stopTrace") {
+      const validatedArgs = StopTraceSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const result = await stopTrace(page, { maxLongTasks: validatedArgs.maxLongTasks || 10 });
+
+      return {
+        content: [{
+          type: "text",
+          text: `${formatTraceSummary(result)}\n\n${JSON.stringify(result, null, 2)}`
+        }],
+      };
+    }
+
+    if (name === "startCoverage") {
+      const validatedArgs = StartCoverageSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const state = await startCoverage(page, validatedArgs);
+      const kinds = [state.js && 'JavaScript', state.css && 'CSS'].filter(Boolean).join(' and ');
+
+      return {
+        content: [{
+          type: "text",
+          text: `${kinds} coverage started on tab ${tabIds.get(page)}${validatedArgs.resetOnNavigation ? ' (reset on navigation)' : ''}.\nRun the flow to measure, then call stopCoverage.`
+        }],
+      };
+    }
+
+    if (name === "stopCoverage") {
+      const validatedArgs = StopCoverageSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const report = await stopCoverage(page, validatedArgs);
+
+      return {
+        content: [{
+          type: "text",
+          text: `${formatCoverageSummary(report)}\n\n${JSON.stringify(report, null, 2)}`
+        }],
+      };
+    }
+
+    if (name === "takeHeapSnapshot") {
+      const validatedArgs = TakeHeapSnapshotSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const result = await takeHeapSnapshot(page, {
+        path: validatedArgs.path,
+        top: validatedArgs.top || 20,
+        collectGarbage: validatedArgs.collectGarbage !== false
+      });
+
+      const mb = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+      const { summary } = result;
+      const summaryText = `Heap snapshot saved: ${result.path} (${mb(result.sizeBytes)})\n` +
+        `Heap: ${mb(summary.totalSize)} in ${summary.nodeCount} objects` +
+        (summary.detachedDomNodes > 0 ? `, ${summary.detachedDomNodes} detached DOM nodes` : '') +
+        `\nTop retainers: ${summary.topConstructors.slice(0, 5).map(c => `${c.name} ${mb(c.retainedSize)} (${c.count})`).join(', ')}`;
+
+      return {
+        content: [{
+          type: "text",
+          text: `${summaryText}\n\n${JSON.stringify(result, null, 2)}`
+        }],
+      };
+    }
+
+    if (name === "checkMemoryLeaks") {
+      const validatedArgs = CheckMemoryLeaksSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const baseline = await collectMemoryMetrics(page);
+      const report = await runLeakCheck(page, {
+        iterations: validatedArgs.iterations || 5,
+        // Dependencies (e.g. login) only before the first run
+        runIteration: (index) => executeScenario(validatedArgs.name, page, validatedArgs.parameters || {}, {
+          executeDependencies: index === 0 ? validatedArgs.executeDependencies !== false : false
+        })
+      });
+
+      const lines = [
+        report.leakSuspected
+          ? `Possible leak: ${report.suspects.join(', ')} grew on every run`
+          : 'No steady memory growth detected'
+      ];
+      for (const [metric, growth] of Object.entries(report.growth)) {
+        const format = metric === 'jsHeapUsedSize' ? (v) => `${(v / 1024).toFixed(0)}KB` : (v) => String(v);
+        lines.push(`${metric}: ${format(growth.first)} -> ${format(growth.last)} (${growth.total >= 0 ? '+' : ''}${format(growth.total)}, ${growth.monotonic ? 'monotonic' : 'not monotonic'})`);
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: `${lines.join('\n')}\n\n${JSON.stringify({ scenario: validatedArgs.name, baseline, ...report }, null, 2)}`
+        }],
+      };
+    }
+
     if (name === "navigateTo") {
       const validatedArgs = NavigateToSchema.parse(args);
-      const page = await getLastOpenPage();
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const recording = validatedArgs.domDiff ? await startDomDiff(page) : null;
 
       // Navigate to the new URL (always navigate, don't use cache)
       await page.goto(validatedArgs.url, { waitUntil: validatedArgs.waitUntil || 'networkidle2' });
@@ -1562,10 +3597,148 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       // Generate AI hints
       const hints = await generateNavigationHints(page, validatedArgs.url);
 
+      const diffText = recording ? `\n\n${formatDomDiff(await collectDomDiff(recording, { finderUtils: elementFinderUtils }))}` : '';
+
+      return {
+        content: [{
+          type: "text",
+          text: `Navigated to: ${validatedArgs.url}\nPage title: ${title}\n\n** AI HINTS **\nPage type: ${hints.pageType}\nAvailable actions: ${hints.availableActions.join(', ')}\nSuggested next: ${hints.suggestedNext.join('; ')}${diffText}`
+        }],
+      };
+    }
+
+    if (name === "listTabs") {
+      ListTabsSchema.parse(args || {});
+
+      // Register tabs opened outside of our tools (manually or by other targets)
+      if (browserPromise) {
+        const browser = await getBrowser();
+        for (const page of await browser.pages()) {
+          await registerPage(page);
+        }
+      }
+
+      const tabList = [];
+      for (const [tabId, page] of tabs) {
+        if (page.isClosed()) continue;
+        tabList.push({
+          tabId,
+          title: await page.title().catch(() => ''),
+          url: page.url(),
+          context: getPageContextName(page),
+          active: page === lastPage
+        });
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({ count: tabList.length, tabs: tabList }, null, 2)
+        }],
+      };
+    }
+
+    if (name === "switchTab") {
+      const validatedArgs = SwitchTabSchema.parse(args);
+      const page = getTabById(validatedArgs.tabId);
+
+      await page.bringToFront();
+      setActivePage(page);
+
+      return {
+        content: [{
+          type: "text",
+          text: `Switched to ${validatedArgs.tabId}\nURL: ${page.url()}\nPage title: ${await page.title()}`
+        }],
+      };
+    }
+
+    if (name === "newTab") {
+      const validatedArgs = NewTabSchema.parse(args || {});
+      const browser = await getBrowser();
+
+      const page = validatedArgs.context
+        ? await (await getOrCreateContext(validatedArgs.context)).newPage()
+        : await browser.newPage();
+      const tabId = await registerPage(page);
+
+      if (validatedArgs.url) {
+        await page.goto(validatedArgs.url, { waitUntil: validatedArgs.waitUntil || 'networkidle2' });
+      }
+      setActivePage(page);
+
+      return {
+        content: [{
+          type: "text",
+          text: `Opened ${tabId}\nURL: ${page.url()}\nPage title: ${await page.title()}`
+        }],
+      };
+    }
+
+    if (name === "closeTab") {
+      const validatedArgs = CloseTabSchema.parse(args || {});
+      const page = validatedArgs.tabId ? getTabById(validatedArgs.tabId) : await getLastOpenPage(validatedArgs.context);
+      const tabId = tabIds.get(page);
+
+      await page.close();
+      tabs.delete(tabId);
+      for (const [url, openPage] of openPages) {
+        if (openPage === page) openPages.delete(url);
+      }
+
+      if (lastPage === page || !lastPage || lastPage.isClosed()) {
+        lastPage = getMostRecentTab();
+        if (lastPage) await lastPage.bringToFront();
+      }
+
+      const activeTabId = lastPage ? tabIds.get(lastPage) : null;
+
+      return {
+        content: [{
+          type: "text",
+          text: `Closed ${tabId}\nActive tab: ${activeTabId ? `${activeTabId} (${lastPage.url()})` : 'none - use openBrowser or newTab'}`
+        }],
+      };
+    }
+
+    if (name === "listContexts") {
+      ListContextsSchema.parse(args || {});
+
+      const contextList = [];
+      for (const [contextName, contextEntry] of browserContexts) {
+        const contextTabs = [];
+        for (const [tabId, page] of tabs) {
+          if (!page.isClosed() && page.browserContext() === contextEntry.context) {
+            contextTabs.push({ tabId, url: page.url() });
+          }
+        }
+        contextList.push({
+          name: contextName,
+          createdAt: contextEntry.createdAt,
+          activeTabId: contextEntry.activePage && !contextEntry.activePage.isClosed()
+            ? tabIds.get(contextEntry.activePage)
+            : null,
+          tabs: contextTabs
+        });
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({ count: contextList.length, contexts: contextList }, null, 2)
+        }],
+      };
+    }
+
+    if (name === "closeContext") {
+      const validatedArgs = CloseContextSchema.parse(args);
+      const closedTabs = await closeContext(validatedArgs.name);
+      const activeTabId = lastPage ? tabIds.get(lastPage) : null;
+
       return {
         content: [{
           type: "text",
-          text: `Navigated to: ${validatedArgs.url}\nPage title: ${title}\n\n** AI HINTS **\nPage type: ${hints.pageType}\nAvailable actions: ${hints.availableActions.join(', ')}\nSuggested next: ${hints.suggestedNext.join('; ')}`
+          text: `Closed context "${validatedArgs.name}" (${closedTabs.length} tab(s): ${closedTabs.join(', ') || 'none'})\nActive tab: ${activeTabId ? `${activeTabId} (${lastPage.url()})` : 'none - use openBrowser or newTab'}`
         }],
       };
     }
@@ -1641,7 +3814,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         throw new Error('Figma token is required. Pass it as parameter or set FIGMA_TOKEN environment variable in MCP config.');
       }
 
-      const page = await getLastOpenPage();
+      const page = await getLastOpenPage(validatedArgs.context);
       const figmaScale = validatedArgs.figmaScale || 2;
       const threshold = validatedArgs.threshold || 0.05;
 
@@ -1864,11 +4037,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     // New AI optimization tools
     if (name === "smartFindElement") {
       const validatedArgs = SmartFindElementSchema.parse(args);
-      const page = await getLastOpenPage();
+      const page = await getLastOpenPage(validatedArgs.context);
+      const frame = await resolveFrame(page, validatedArgs.frame);
       const maxResults = validatedArgs.maxResults || 5;
 
-      // Execute smart search in page context
-      const results = await page.evaluate((description, maxResults, utilsCode) => {
+      // Execute smart search in page (or frame) context
+      const results = await frame.evaluate((description, maxResults, utilsCode) => {
         // Inject utilities into page context
         eval(utilsCode);
 
@@ -1879,19 +4053,19 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         let candidates = [];
 
         if (elementType.type === 'input' || elementType.type === 'any') {
-          candidates.push(...document.querySelectorAll('input'));
-          candidates.push(...document.querySelectorAll('textarea'));
+          candidates.push(...querySelectorAllDeep('input'));
+          candidates.push(...querySelectorAllDeep('textarea'));
         }
 
         if (elementType.type === 'button' || elementType.type === 'any') {
-          candidates.push(...document.querySelectorAll('button'));
-          candidates.push(...document.querySelectorAll('input[type="submit"]'));
-          candidates.push(...document.querySelectorAll('input[type="button"]'));
-          candidates.push(...document.querySelectorAll('[role="button"]'));
+          candidates.push(...querySelectorAllDeep('button'));
+          candidates.push(...querySelectorAllDeep('input[type="submit"]'));
+          candidates.push(...querySelectorAllDeep('input[type="button"]'));
+          candidates.push(...querySelectorAllDeep('[role="button"]'));
         }
 
         if (elementType.type === 'link' || elementType.type === 'any') {
-          candidates.push(...document.querySelectorAll('a'));
+          candidates.push(...querySelectorAllDeep('a'));
         }
 
         // Analyze each candidate
@@ -1937,7 +4111,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         totalCandidates: results.length,
         bestMatch: results[0] || null,
         suggestion: results.length > 0
-          ? `Use selector: ${results[0].selector}`
+          ? `Use selector: ${results[0].selector}${validatedArgs.frame ? ` with frame: ${validatedArgs.frame}` : ''}`
           : 'No good matches found. Try a different description.',
       };
 
@@ -1951,22 +4125,29 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     if (name === "analyzePage") {
       const validatedArgs = AnalyzePageSchema.parse(args);
-      const page = await getLastOpenPage();
-      const pageUrl = page.url();
+      const page = await getLastOpenPage(validatedArgs.context);
+      const frame = await resolveFrame(page, validatedArgs.frame);
+      // One entry per tab and frame, valid for one document: cached element refs only exist
+      // in the document they were assigned in, so a reload or navigation replaces the entry
+      if (!pageAnalysisCache.has(page)) pageAnalysisCache.set(page, new Map());
+      const tabCache = pageAnalysisCache.get(page);
+      const cacheKey = validatedArgs.frame || '';
+      const documentId = await frame.evaluate(() => performance.timeOrigin);
+      const url = frame.url();
 
       // Check cache
-      if (!validatedArgs.refresh && pageAnalysisCache.has(pageUrl)) {
-        const cached = pageAnalysisCache.get(pageUrl);
+      const cached = tabCache.get(cacheKey);
+      if (!validatedArgs.refresh && cached && cached.documentId === documentId && cached.url === url) {
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify({ ...cached, fromCache: true }, null, 2)
+            text: JSON.stringify({ ...cached.analysis, fromCache: true }, null, 2)
           }]
         };
       }
 
       // Perform comprehensive analysis
-      const analysis = await page.evaluate((utilsCode) => {
+      const analysis = await frame.evaluate((utilsCode) => {
         // Inject utilities
         eval(utilsCode);
 
@@ -1982,9 +4163,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
 
         // Analyze forms
-        document.querySelectorAll('form').forEach((form, idx) => {
+        querySelectorAllDeep('form').forEach((form, idx) => {
           const formData = {
-            selector: form.id ? `#${form.id}` : `form:nth-of-type(${idx + 1})`,
+            selector: form.getRootNode() instanceof ShadowRoot
+              ? getUniqueSelectorInPage(form)
+              : (form.id ? `#${form.id}` : `form:nth-of-type(${idx + 1})`),
             action: form.action,
             method: form.method,
             fields: [],
@@ -2022,7 +4205,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         });
 
         // All buttons
-        document.querySelectorAll('button, input[type="submit"], input[type="button"], [role="button"]').forEach(btn => {
+        querySelectorAllDeep('button, input[type="submit"], input[type="button"], [role="button"]').forEach(btn => {
           if (btn.offsetWidth === 0 && btn.offsetHeight === 0) return; // Skip hidden
 
           result.buttons.push({
@@ -2034,7 +4217,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         });
 
         // All inputs
-        document.querySelectorAll('input, textarea, select').forEach(input => {
+        querySelectorAllDeep('input, textarea, select').forEach(input => {
           if (input.type === 'submit' || input.type === 'button' || input.type === 'hidden') return;
           if (input.offsetWidth === 0 && input.offsetHeight === 0) return;
 
@@ -2047,7 +4230,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         });
 
         // All links
-        document.querySelectorAll('a[href]').forEach(link => {
+        querySelectorAllDeep('a[href]').forEach(link => {
           if (link.offsetWidth === 0 && link.offsetHeight === 0) return;
 
           const text = link.textContent.trim().substring(0, 50);
@@ -2061,7 +4244,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         });
 
         // Navigation elements
-        document.querySelectorAll('nav a, [role="navigation"] a').forEach(link => {
+        querySelectorAllDeep('nav a, [role="navigation"] a').forEach(link => {
           result.navigation.push({
             selector: getUniqueSelectorInPage(link),
             text: link.textContent.trim().substring(0, 50),
@@ -2070,7 +4253,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         });
 
         // Interactive elements summary
-        document.querySelectorAll('button, a, input, select, textarea, [onclick], [role="button"]').forEach(el => {
+        querySelectorAllDeep('button, a, input, select, textarea, [onclick], [role="button"]').forEach(el => {
           if (el.offsetWidth === 0 && el.offsetHeight === 0) return;
 
           const text = (el.textContent || el.value || el.getAttribute('aria-label') || '').trim();
@@ -2086,12 +4269,57 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         return result;
       }, elementFinderUtils);
 
+      // Iframes with their interactive elements (use "path" as the frame argument of element tools)
+      if (!validatedArgs.frame) {
+        analysis.frames = [];
+        for (const child of await listFrames(page)) {
+          const frameInfo = { path: child.path, name: child.name, url: child.url, interactiveElements: [] };
+          try {
+            frameInfo.interactiveElements = await child.frame.evaluate((utilsCode) => {
+              eval(utilsCode);
+
+              const elements = [];
+              querySelectorAllDeep('button, a, input, select, textarea, [onclick], [role="button"]').forEach(el => {
+                if (el.offsetWidth === 0 && el.offsetHeight === 0) return;
+                if (el.type === 'hidden') return;
+
+                const text = (el.textContent || el.value || el.getAttribute('aria-label') || el.placeholder || el.name || '').trim();
+                elements.push({
+                  selector: getUniqueSelectorInPage(el),
+                  type: el.tagName.toLowerCase(),
+                  text: text.substring(0, 50),
+                });
+              });
+              return elements;
+            }, elementFinderUtils);
+            await assignElementRefs(page, child.frame, frameInfo.interactiveElements, elementFinderUtils);
+          } catch (error) {
+            frameInfo.error = error.message;
+          }
+          analysis.frames.push(frameInfo);
+        }
+      } else {
+        analysis.frame = validatedArgs.frame;
+      }
+
+      // Element refs ("e12") usable instead of selectors in click, type, hover, screenshot and getElement
+      await assignElementRefs(page, frame, [
+        ...analysis.forms.flatMap(form => [...form.fields, form.submitButton]),
+        ...analysis.buttons,
+        ...analysis.inputs,
+        ...analysis.links,
+        ...analysis.navigation,
+        ...analysis.interactiveElements
+      ], elementFinderUtils);
+
       // Cache the result
-      pageAnalysisCache.set(pageUrl, analysis);
+      tabCache.set(cacheKey, { documentId, url, analysis });
 
       // Add hints
+      const frameCount = analysis.frames ? analysis.frames.length : 0;
       const hints = {
-        summary: `Found ${analysis.forms.length} forms, ${analysis.buttons.length} buttons, ${analysis.inputs.length} inputs, ${analysis.links.length} links`,
+        summary: `Found ${analysis.forms.length} forms, ${analysis.buttons.length} buttons, ${analysis.inputs.length} inputs, ${analysis.links.length} links` +
+          (frameCount > 0 ? `, ${frameCount} iframes (pass their "path" as frame argument to click/type/getElement)` : ''),
         suggestion: analysis.forms.length > 0
           ? `Start with form: ${analysis.forms[0].selector}`
           : 'No forms found on this page',
@@ -2107,15 +4335,14 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     if (name === "getAllInteractiveElements") {
       const validatedArgs = GetAllInteractiveElementsSchema.parse(args);
-      const page = await getLastOpenPage();
+      const page = await getLastOpenPage(validatedArgs.context);
 
-      const elements = await page.evaluate((includeHidden, utilsCode) => {
+      const elements = await page.evaluate((includeHidden, selector, utilsCode) => {
         eval(utilsCode);
 
         const results = [];
-        const selector = 'button, a[href], input, select, textarea, [onclick], [role="button"], [tabindex]:not([tabindex="-1"])';
 
-        document.querySelectorAll(selector).forEach(el => {
+        querySelectorAllDeep(selector).forEach(el => {
           const isVisible = el.offsetWidth > 0 && el.offsetHeight > 0;
 
           if (!includeHidden && !isVisible) return;
@@ -2137,7 +4364,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         });
 
         return results;
-      }, validatedArgs.includeHidden || false, elementFinderUtils);
+      }, validatedArgs.includeHidden || false, INTERACTIVE_ELEMENTS_SELECTOR, elementFinderUtils);
+
+      await assignElementRefs(page, page.mainFrame(), elements, elementFinderUtils);
 
       return {
         content: [{
@@ -2146,7 +4375,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             count: elements.length,
             elements,
             hints: {
-              suggestion: 'Use these selectors directly with click, type, or other tools'
+              suggestion: 'Use these selectors or refs directly with click, type, or other tools'
             }
           }, null, 2)
         }]
@@ -2155,7 +4384,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     if (name === "findElementsByText") {
       const validatedArgs = FindElementsByTextSchema.parse(args);
-      const page = await getLastOpenPage();
+      const page = await getLastOpenPage(validatedArgs.context);
 
       const elements = await page.evaluate((text, exact, caseSensitive, utilsCode) => {
         eval(utilsCode);
@@ -2163,7 +4392,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         const results = [];
         const searchText = caseSensitive ? text : text.toLowerCase();
 
-        document.querySelectorAll('*').forEach(el => {
+        querySelectorAllDeep('*').forEach(el => {
           // Skip script, style, etc
           if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'BR', 'HR'].includes(el.tagName)) return;
 
@@ -2197,6 +4426,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         return results;
       }, validatedArgs.text, validatedArgs.exact || false, validatedArgs.caseSensitive || false, elementFinderUtils);
 
+      await assignElementRefs(page, page.mainFrame(), elements, elementFinderUtils);
+
       return {
         content: [{
           type: 'text',
@@ -2209,13 +4440,46 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       };
     }
 
+    if (name === "getAccessibilityTree") {
+      const validatedArgs = GetAccessibilityTreeSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const { tree, nodeCount, truncated } = await getAccessibilityTree(page, {
+        rootSelector: validatedArgs.selector || null,
+        interestingOnly: validatedArgs.interestingOnly !== false,
+        maxDepth: validatedArgs.maxDepth ?? null,
+        includeSelectors: validatedArgs.includeSelectors !== false,
+        finderUtils: elementFinderUtils
+      });
+
+      if (!tree) {
+        return {
+          content: [{ type: "text", text: `No accessibility nodes exposed${validatedArgs.selector ? ` for ${validatedArgs.selector}` : ''}` }],
+        };
+      }
+
+      const header = `Accessibility tree: ${nodeCount} nodes${truncated ? ' (truncated - use selector or maxDepth to narrow down)' : ''}`;
+
+      return {
+        content: [{
+          type: "text",
+          text: validatedArgs.format === 'json'
+            ? JSON.stringify({ nodeCount, truncated, tree }, null, 2)
+            : `${header}\n\n${formatAccessibilityTree(tree)}`
+        }],
+      };
+    }
+
     if (name === "enableRecorder") {
-      const page = await getLastOpenPage();
+      const validatedArgs = EnableRecorderSchema.parse(args || {});
+      const page = await getLastOpenPage(validatedArgs.context);
       const result = await injectRecorder(page);
 
       // Track this page as having recorder enabled
       if (result.success) {
         pagesWithRecorder.add(page);
+        // Let the user answer dialogs so the recorder saves their actual choice
+        suspendDialogPolicy(page, true);
       }
 
       return {
@@ -2233,20 +4497,94 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
 
     if (name === "executeScenario") {
-      const page = await getLastOpenPage();
+      const validatedArgs = ExecuteScenarioSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
       const options = {};
 
       // Pass executeDependencies option if provided
-      if (args.executeDependencies !== undefined) {
-        options.executeDependencies = args.executeDependencies;
+      if (validatedArgs.executeDependencies !== undefined) {
+        options.executeDependencies = validatedArgs.executeDependencies;
+      }
+
+      // Reuse saved authenticated state instead of re-running login dependencies
+      if (validatedArgs.storageState) {
+        options.storageState = validatedArgs.storageState;
+      }
+
+      // Serve responses from HAR (offline, deterministic run)
+      if (validatedArgs.har) {
+        options.har = { path: validatedArgs.har, notFound: validatedArgs.harNotFound || 'abort', ignoreQuery: validatedArgs.harIgnoreQuery || false };
+      }
+
+      // Coverage of the whole run, dependencies included
+      if (validatedArgs.coverage) {
+        if (isCoverageRunning(page)) {
+          throw new Error('Coverage is already running on this page - call stopCoverage first or run without coverage');
+        }
+        await startCoverage(page);
       }
 
-      const result = await executeScenario(args.name, page, args.parameters || {}, options);
+      let result;
+      try {
+        result = await executeScenario(validatedArgs.name, page, validatedArgs.parameters || {}, options);
+      } finally {
+        if (validatedArgs.coverage && isCoverageRunning(page)) {
+          const report = await stopCoverage(page, { maxRanges: 5 });
+          if (result) result.coverage = report;
+        }
+      }
 
       return {
         content: [{
           type: 'text',
-          text: JSON.stringify(result, null, 2)
+          text: `${result.coverage ? `${formatCoverageSummary(result.coverage)}\n\n` : ''}${JSON.stringify(result, null, 2)}`
+        }]
+      };
+    }
+
+    if (name === "saveStorageState") {
+      const validatedArgs = SaveStorageStateSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const state = await captureStorageState(page, {
+        includeSessionStorage: validatedArgs.includeSessionStorage ?? true,
+        includeIndexedDB: validatedArgs.includeIndexedDB ?? true,
+        origins: validatedArgs.origins || null
+      });
+      const filePath = await writeStorageState(validatedArgs.name, state);
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            path: filePath,
+            cookies: state.cookies.length,
+            origins: state.origins.map(o => ({
+              origin: o.origin,
+              localStorageKeys: Object.keys(o.localStorage).length,
+              sessionStorageKeys: Object.keys(o.sessionStorage).length,
+              indexedDBDatabases: o.indexedDB.length
+            }))
+          }, null, 2)
+        }]
+      };
+    }
+
+    if (name === "loadStorageState") {
+      const validatedArgs = LoadStorageStateSchema.parse(args);
+      const page = await getLastOpenPage(validatedArgs.context);
+
+      const state = await readStorageState(validatedArgs.name);
+      const summary = await restoreStorageState(page, state, {
+        reload: validatedArgs.reload ?? true,
+        clearExisting: validatedArgs.clearExisting || false
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ success: summary.errors.length === 0, name: validatedArgs.name, ...summary }, null, 2)
         }]
       };
     }
@@ -2322,7 +4660,9 @@ async function main() {
   console.error("Starting chrometools-mcp server...");
 
   // Show environment info
-  if (isWSL) {
+  if (CHROME_HEADLESS) {
+    console.error("[chrometools-mcp] Headless mode enabled via CHROME_HEADLESS");
+  } else if (isWSL) {
     console.error("[chrometools-mcp] WSL environment detected");
     console.error("[chrometools-mcp] GUI mode requires X server (DISPLAY=" + (process.env.DISPLAY || "not set") + ")");
   }
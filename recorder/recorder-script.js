@@ -6,16 +6,18 @@
  *
  * Features:
  * 1. Floating UI widget for recording control
- * 2. Event capture (click, type, select, scroll, hover, keypress, drag, upload)
+ * 2. Event capture (click, type, select, scroll, hover, keypress, drag, upload, dialog)
  * 3. Visual highlighting of recorded elements
  * 4. Real-time action list display
  * 5. Secret detection and masking
  * 6. Selector generation
  * 7. Action debouncing
+ * 8. Iframe actions (frame agents forward click/type/select with their frame path)
  */
 
 import { browserSelectorGenerator } from '../utils/selector-generator.js';
 import { browserSecretDetector } from './secret-detector.js';
+import { getFramePath } from '../utils/frame-resolver.js';
 
 /**
  * Generate complete browser-side recorder script
@@ -619,7 +621,7 @@ export function generateRecorderScript() {
     const scenarioName = document.getElementById('recorder-scenario-name').value.trim();
 
     if (!scenarioName) {
-      alert('Please enter a scenario name before saving!');
+      nativeDialogs.alert('Please enter a scenario name before saving!');
       // Expand metadata section to show the name field
       const metadata = document.getElementById('chrometools-recorder-metadata');
       if (!metadata.classList.contains('expanded')) {
@@ -749,6 +751,54 @@ export function generateRecorderScript() {
     }
   }
 
+  // ==========================
+  // DIALOG TRACKING
+  // ==========================
+
+  // Original dialog functions (kept across re-injection); the recorder UI uses these so its own alerts are not recorded
+  window.__chrometoolsNativeDialogs = window.__chrometoolsNativeDialogs || {
+    alert: window.alert.bind(window),
+    confirm: window.confirm.bind(window),
+    prompt: window.prompt.bind(window)
+  };
+  const nativeDialogs = window.__chrometoolsNativeDialogs;
+
+  // Record page dialogs with the answer they got, so replay can give the same answer
+  window.__chrometoolsRecordDialog = function(dialogType, message, result) {
+    if (!state.isRecording || state.isPaused) return;
+
+    recordAction({
+      type: 'dialog',
+      selector: null,
+      timestamp: Date.now(),
+      data: {
+        dialogType,
+        message: String(message ?? '').substring(0, 200),
+        accept: dialogType === 'prompt' ? result !== null : result !== false,
+        promptText: dialogType === 'prompt' && result !== null ? result : undefined
+      }
+    });
+  };
+
+  if (!window.__chrometoolsDialogsWrapped) {
+    window.__chrometoolsDialogsWrapped = true;
+
+    window.alert = function(message) {
+      nativeDialogs.alert(message);
+      window.__chrometoolsRecordDialog('alert', message, true);
+    };
+    window.confirm = function(message) {
+      const result = nativeDialogs.confirm(message);
+      window.__chrometoolsRecordDialog('confirm', message, result);
+      return result;
+    };
+    window.prompt = function(message, defaultValue) {
+      const result = nativeDialogs.prompt(message, defaultValue);
+      window.__chrometoolsRecordDialog('prompt', message, result);
+      return result;
+    };
+  }
+
   // ==========================
   // EVENT LISTENERS
   // ==========================
@@ -784,7 +834,7 @@ export function generateRecorderScript() {
     if (!shouldRecordEvent(e)) return;
 
     // Check if this is part of recorder UI
-    if (e.target.closest('#chrometools-recorder')) {
+    if (getEventTarget(e).closest('#chrometools-recorder')) {
       return;
     }
 
@@ -792,7 +842,7 @@ export function generateRecorderScript() {
     // Just record them without blocking
 
     // Find the actual clickable element (element with click listener or interactive role)
-    const actualTarget = findActualClickTarget(e.target);
+    const actualTarget = findActualClickTarget(getEventTarget(e));
     const selectorInfo = selectorGenerator.generateSelectorForElement(actualTarget);
     const form = actualTarget.closest('form');
 
@@ -930,9 +980,9 @@ export function generateRecorderScript() {
 
   function handleInput(e) {
     if (!shouldRecordEvent(e)) return;
-    if (e.target.closest('#chrometools-recorder')) return;
+    if (getEventTarget(e).closest('#chrometools-recorder')) return;
 
-    const element = e.target;
+    const element = getEventTarget(e);
     const form = element.closest('form');
 
     // Debounce typing
@@ -980,9 +1030,9 @@ export function generateRecorderScript() {
 
   function handleChange(e) {
     if (!shouldRecordEvent(e)) return;
-    if (e.target.closest('#chrometools-recorder')) return;
+    if (getEventTarget(e).closest('#chrometools-recorder')) return;
 
-    const element = e.target;
+    const element = getEventTarget(e);
 
     if (element.tagName === 'SELECT') {
       const selectorInfo = selectorGenerator.generateSelectorForElement(element);
@@ -1045,19 +1095,20 @@ export function generateRecorderScript() {
 
   function handleMouseOver(e) {
     if (!shouldRecordEvent(e)) return;
-    if (e.target.closest('#chrometools-recorder')) return;
+    const target = getEventTarget(e);
+    if (target.closest('#chrometools-recorder')) return;
 
     // Show highlight during recording
     if (state.isRecording && !state.isPaused) {
-      showHighlight(e.target);
+      showHighlight(target);
     }
 
     // Only record intentional hovers (elements with :hover effects)
-    if (e.target !== lastHoverTarget) {
-      const hasHoverEffect = hasHoverStyle(e.target);
+    if (target !== lastHoverTarget) {
+      const hasHoverEffect = hasHoverStyle(target);
 
       if (hasHoverEffect) {
-        const selectorInfo = selectorGenerator.generateSelectorForElement(e.target);
+        const selectorInfo = selectorGenerator.generateSelectorForElement(target);
 
         // Record hover action
         const actionIndex = state.actions.length;
@@ -1073,7 +1124,7 @@ export function generateRecorderScript() {
         state.hoverDeletionCandidates.add(actionIndex);
       }
 
-      lastHoverTarget = e.target;
+      lastHoverTarget = target;
     }
   }
 
@@ -1102,7 +1153,7 @@ export function generateRecorderScript() {
 
   function handleKeyDown(e) {
     if (!shouldRecordEvent(e)) return;
-    if (e.target.closest('#chrometools-recorder')) return;
+    if (getEventTarget(e).closest('#chrometools-recorder')) return;
 
     // Only record special keys (not regular typing)
     const specialKeys = ['Enter', 'Escape', 'Tab', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
@@ -1131,9 +1182,10 @@ export function generateRecorderScript() {
   function handleDragStart(e) {
     if (!shouldRecordEvent(e)) return;
 
+    const element = getEventTarget(e);
     dragStartInfo = {
-      element: e.target,
-      selector: selectorGenerator.generateSelectorForElement(e.target),
+      element,
+      selector: selectorGenerator.generateSelectorForElement(element),
       x: e.clientX,
       y: e.clientY
     };
@@ -1166,12 +1218,29 @@ export function generateRecorderScript() {
     return state.isRecording && !state.isPaused;
   }
 
+  // Events from inside shadow trees are retargeted to the host at document level - use the real target
+  function getEventTarget(e) {
+    const path = e.composedPath ? e.composedPath() : [];
+    return path.length > 0 && path[0].nodeType === Node.ELEMENT_NODE ? path[0] : e.target;
+  }
+
   function recordAction(action) {
     state.actions.push(action);
     updateActionsList();
     saveStateToLocalStorage(); // Persist after each action
   }
 
+  // Actions inside iframes are captured by frame agents and forwarded here through Node
+  function recordFrameAction(action, secret) {
+    if (!state.isRecording || state.isPaused) return false;
+
+    if (secret) {
+      state.secrets[secret.paramName] = secret.value;
+    }
+    recordAction(action);
+    return true;
+  }
+
   function updateActionsList() {
     if (state.actions.length === 0) {
       actionsList.innerHTML = '<div style="text-align: center; opacity: 0.6; font-size: 12px;">No actions recorded yet</div>';
@@ -1188,6 +1257,7 @@ export function generateRecorderScript() {
             <div>
               <span class="recorder-action-type">\${action.type}</span>
               \${isSecret ? '<span class="recorder-action-secret">🔒</span>' : ''}
+              \${action.frame ? '<span class="recorder-action-secret" title="' + action.frame.replace(/"/g, '&quot;') + '">iframe</span>' : ''}
             </div>
             \${details ? \`<div class="recorder-action-details">\${details}</div>\` : ''}
           </div>
@@ -1210,6 +1280,8 @@ export function generateRecorderScript() {
         return action.data.text || action.data.value;
       case 'keypress':
         return action.data.modifiers.concat(action.data.key).join('+');
+      case 'dialog':
+        return \`\${action.data.dialogType}: \${action.data.accept ? 'OK' : 'Cancel'}\`;
       default:
         return '';
     }
@@ -1241,7 +1313,7 @@ export function generateRecorderScript() {
     const scenarioName = document.getElementById('recorder-scenario-name').value.trim();
 
     if (!scenarioName) {
-      alert('Please enter a scenario name');
+      nativeDialogs.alert('Please enter a scenario name');
       return;
     }
 
@@ -1279,7 +1351,7 @@ export function generateRecorderScript() {
           // Set clearing flag to prevent any saves during cleanup
           isClearing = true;
 
-          alert(\`Scenario "\${scenarioName}" saved successfully!\`);
+          nativeDialogs.alert(\`Scenario "\${scenarioName}" saved successfully!\`);
 
           // Clear state
           state.isRecording = false;
@@ -1316,14 +1388,14 @@ export function generateRecorderScript() {
             isClearing = false;
           }, 500);
         } else {
-          alert(\`Error saving scenario: \${result.error}\`);
+          nativeDialogs.alert(\`Error saving scenario: \${result.error}\`);
         }
       } catch (error) {
-        alert(\`Error: \${error.message}\`);
+        nativeDialogs.alert(\`Error: \${error.message}\`);
       }
     } else {
       console.error('MCP save function not available');
-      alert('MCP server connection not available');
+      nativeDialogs.alert('MCP server connection not available');
     }
   }
 
@@ -1364,7 +1436,8 @@ export function generateRecorderScript() {
 
         while (j < optimized.length &&
                optimized[j].type === 'type' &&
-               optimized[j].selector?.primary === action.selector?.primary) {
+               optimized[j].selector?.primary === action.selector?.primary &&
+               optimized[j].frame === action.frame) {
           typeActions.push(optimized[j]);
           j++;
         }
@@ -1507,6 +1580,7 @@ export function generateRecorderScript() {
       stop: stopAndSave,
       pause: togglePause,
       clear: clearActions,
+      recordFrameAction,
       getState: () => ({ ...state }),
       getActions: () => [...state.actions]
     };
@@ -1530,6 +1604,132 @@ export function generateRecorderScript() {
 `;
 }
 
+/**
+ * Generate frame agent script for an iframe
+ * Captures click, type and select inside the frame and forwards them (with the frame path)
+ * to the recorder in the main frame via the exposed recordFrameActionToMCP binding.
+ * @param {string} framePath - Iframe selector chain from the main document
+ */
+export function generateFrameAgentScript(framePath) {
+  return `
+(function() {
+  'use strict';
+
+  if (window.__chrometoolsFrameAgent) {
+    window.__chrometoolsFrameAgent.framePath = ${JSON.stringify(framePath)};
+    return;
+  }
+
+  const agent = { framePath: ${JSON.stringify(framePath)} };
+  window.__chrometoolsFrameAgent = agent;
+
+  // Selector generator (injected)
+  ${browserSelectorGenerator}
+  const selectorGenerator = window.selectorGenerator || {};
+
+  // Secret detector (injected)
+  ${browserSecretDetector}
+  const secretDetector = window.secretDetector || {};
+
+  // Events from inside shadow trees are retargeted to the host at document level - use the real target
+  function getEventTarget(e) {
+    const path = e.composedPath ? e.composedPath() : [];
+    return path.length > 0 && path[0].nodeType === Node.ELEMENT_NODE ? path[0] : e.target;
+  }
+
+  function forward(action, secret) {
+    if (typeof window.recordFrameActionToMCP !== 'function') return;
+    action.frame = agent.framePath;
+    window.recordFrameActionToMCP({ action, secret: secret || null }).catch(() => {});
+  }
+
+  document.addEventListener('click', (e) => {
+    const eventTarget = getEventTarget(e);
+    const target = eventTarget.closest('button, a, input, select, textarea, label, [role="button"], [onclick]') || eventTarget;
+    if (target.tagName === 'SELECT') return; // Recorded on change
+
+    forward({
+      type: 'click',
+      selector: selectorGenerator.generateSelectorForElement(target),
+      timestamp: Date.now(),
+      data: {
+        text: target.textContent?.trim().substring(0, 50) || '',
+        href: target.href || null,
+        requiresWait: true
+      }
+    });
+  }, true);
+
+  const lastInputValue = new Map();
+  const inputDebounceTimers = new Map();
+
+  document.addEventListener('input', (e) => {
+    const element = getEventTarget(e);
+    if (!('value' in element) || element.tagName === 'SELECT') return;
+
+    clearTimeout(inputDebounceTimers.get(element));
+    inputDebounceTimers.set(element, setTimeout(() => {
+      const value = element.value;
+      const previousValue = lastInputValue.get(element) || '';
+      if (value === previousValue) return;
+
+      const secretInfo = secretDetector.detectSecretField(element);
+      let secret = null;
+      let recordedValue = value;
+      let paramName = null;
+
+      if (secretInfo.isSecret) {
+        paramName = secretDetector.generateParameterName(secretInfo.fieldType, element);
+        secret = { paramName, value };
+        recordedValue = '{{' + paramName + '}}';
+      }
+
+      forward({
+        type: 'type',
+        selector: selectorGenerator.generateSelectorForElement(element),
+        timestamp: Date.now(),
+        data: {
+          text: recordedValue,
+          isSecret: secretInfo.isSecret,
+          paramName,
+          clearFirst: previousValue === ''
+        }
+      }, secret);
+
+      lastInputValue.set(element, value);
+    }, 500));
+  }, true);
+
+  document.addEventListener('change', (e) => {
+    const element = getEventTarget(e);
+    if (element.tagName !== 'SELECT') return;
+
+    forward({
+      type: 'select',
+      selector: selectorGenerator.generateSelectorForElement(element),
+      timestamp: Date.now(),
+      data: {
+        value: element.value,
+        text: element.options[element.selectedIndex]?.text,
+        selectType: 'native'
+      }
+    });
+  }, true);
+})();
+`;
+}
+
+/**
+ * Inject frame agent into a child frame (no-op for the main frame)
+ * @param {Object} frame - Puppeteer Frame
+ */
+export async function injectFrameAgent(frame) {
+  const framePath = await getFramePath(frame);
+  if (!framePath) return;
+
+  await frame.evaluate(generateFrameAgentScript(framePath));
+}
+
 /**
  * Inject recorder into page
  * @param {Object} page - Puppeteer page instance
@@ -1583,11 +1783,27 @@ export async function injectRecorder(page) {
           };
         }
       });
+
+      // Binding is installed in every frame; forwards iframe actions to the main-frame recorder
+      await page.exposeFunction('recordFrameActionToMCP', async ({ action, secret }) => {
+        return page.mainFrame().evaluate((frameAction, frameSecret) => {
+          const recorder = window.__chrometoolsRecorderInstance;
+          return recorder ? recorder.recordFrameAction(frameAction, frameSecret) : false;
+        }, action, secret);
+      });
     }
 
     // Inject recorder script immediately into current page
     await page.evaluate(generateRecorderScript());
 
+    // Frame agents for iframes already on the page (cross-origin frames included)
+    for (const frame of page.frames()) {
+      if (frame === page.mainFrame()) continue;
+      await injectFrameAgent(frame).catch(error => {
+        console.error(`[chrometools-mcp] Failed to inject recorder into frame ${frame.url()}:`, error.message);
+      });
+    }
+
     return { success: true };
   } catch (error) {
     return {
@@ -7,25 +7,41 @@
  * 3. Secret injection
  * 4. Dependency resolution and chaining
  * 5. Retry logic with fallback selectors
+ * 6. Saved storage state reuse (skips login dependencies)
+ * 7. HAR replay (serves recorded responses, no network needed)
+ * 8. Scenario mock rules (applied while the scenario runs)
+ * 9. Network/CPU throttling declared in scenario metadata
+ * 10. Dialog replay (recorded confirm/prompt answers are given again)
+ * 11. Download assertions (expected file arrived in the downloads folder)
+ * 12. Iframe actions (recorded frame path is resolved before the action runs)
  */
 
 import { resolveDependencies, checkDependencyCondition } from './dependency-resolver.js';
 import { loadScenario, loadSecrets, loadIndex } from './scenario-storage.js';
+import { readStorageState, restoreStorageState } from './storage-state.js';
+import { readHar, startHarReplay, stopHarReplay, getHarReplayStats } from '../utils/har.js';
+import { addMockRule, removeMockRules } from '../utils/request-mocks.js';
+import { applyThrottling, getThrottlingState, restoreThrottling } from '../utils/throttling.js';
+import { queueDialogResponses, clearDialogQueue, waitForDialogToken } from '../utils/dialog-handler.js';
+import { waitForDownload } from '../utils/download-manager.js';
+import { resolveFrame } from '../utils/frame-resolver.js';
 
 /**
  * Execute scenario with dependencies
  * @param {string} scenarioName - Scenario to execute
  * @param {Object} page - Puppeteer page instance
  * @param {Object} params - Parameters for scenario
- * @param {Object} options - Execution options { executeDependencies, skipConditions, maxRetries, timeout }
+ * @param {Object} options - Execution options { executeDependencies, skipConditions, maxRetries, timeout, storageState, har }
  * @returns {Object} - Execution result
  */
 export async function executeScenario(scenarioName, page, params = {}, options = {}) {
   const {
-    executeDependencies = true,  // NEW: Execute dependencies by default
+    storageState = null,  // Saved state name: restored instead of running dependencies (e.g. login)
+    executeDependencies = !storageState,  // Execute dependencies by default unless state is reused
     skipConditions = false,
     maxRetries = 3,
-    timeout = 30000
+    timeout = 30000,
+    har = null  // { path, notFound, ignoreQuery }: serve responses from HAR file during the run
   } = options;
 
   const result = {
@@ -38,8 +54,27 @@ export async function executeScenario(scenarioName, page, params = {}, options =
   };
 
   const startTime = Date.now();
+  // Stats of the replay this run started (null = none)
+  let harReplay = null;
 
   try {
+    // Start HAR replay first so state restore and all actions run against recorded responses
+    if (har) {
+      // Starting would replace a replay the user started - and the run would stop it afterwards
+      if (getHarReplayStats(page)) {
+        throw new Error('HAR replay is already active on this tab - call stopHarReplay first or run without the har option');
+      }
+      const harData = await readHar(har.path);
+      harReplay = await startHarReplay(page, harData, { notFound: har.notFound, ignoreQuery: har.ignoreQuery });
+    }
+
+    // Restore saved storage state (cookies, storage) before running the chain
+    if (storageState) {
+      const state = await readStorageState(storageState);
+      const restored = await restoreStorageState(page, state, { reload: true });
+      result.storageState = { name: storageState, ...restored };
+    }
+
     // Load scenario index
     const scenarioIndex = await loadIndex();
 
@@ -110,6 +145,13 @@ export async function executeScenario(scenarioName, page, params = {}, options =
   } catch (error) {
     result.errors.push(`Execution failed: ${error.message}`);
   } finally {
+    // Only stop our own replay - steps may have stopped or replaced it
+    if (harReplay && getHarReplayStats(page) === harReplay) {
+      const stats = await stopHarReplay(page);
+      if (stats) {
+        result.harReplay = { path: har.path, served: stats.served, notFound: stats.notFound, notFoundUrls: stats.notFoundUrls };
+      }
+    }
     result.duration = Date.now() - startTime;
   }
 
@@ -134,11 +176,57 @@ async function executeSingleScenario(scenario, page, params = {}, options = {})
     actionResults: []
   };
 
+  const mockIds = [];
+  let previousThrottling = null;
+
   try {
-    for (const action of scenario.chain) {
+    // Apply throttling declared in metadata: "Slow 3G" or { profile, latency, downloadKbps, uploadKbps, cpuSlowdown }
+    if (scenario.metadata?.throttling) {
+      const throttling = typeof scenario.metadata.throttling === 'string'
+        ? { profile: scenario.metadata.throttling }
+        : scenario.metadata.throttling;
+      previousThrottling = getThrottlingState(page);
+      result.throttling = await applyThrottling(page, throttling);
+    }
+
+    // Apply mock rules attached to this scenario
+    for (const mock of scenario.mocks || []) {
+      const rule = await addMockRule(page, { ...mock, source: `scenario:${scenario.name}` });
+      mockIds.push(rule.id);
+    }
+    if (mockIds.length > 0) {
+      result.mocks = mockIds.length;
+    }
+
+    // Dialog answers queued before the action that triggers them
+    const pendingDialogs = [];
+
+    // Downloads matched by earlier download actions of this run
+    const downloadContext = { since: new Date().toISOString(), claimed: [] };
+
+    for (let i = 0; i < scenario.chain.length; i++) {
+      const action = scenario.chain[i];
+
       // Substitute parameters in action
       const resolvedAction = substituteParameters(action, params);
 
+      if (resolvedAction.type === 'download') {
+        resolvedAction.downloadContext = downloadContext;
+      }
+
+      if (resolvedAction.type === 'dialog') {
+        resolvedAction.dialogToken = pendingDialogs.shift() || null;
+      } else {
+        // Recorded dialogs follow the action that opened them: arm answers before running it
+        const followingDialogs = [];
+        for (let j = i + 1; j < scenario.chain.length && scenario.chain[j].type === 'dialog'; j++) {
+          followingDialogs.push(scenario.chain[j].data);
+        }
+        if (followingDialogs.length > 0) {
+          pendingDialogs.push(...queueDialogResponses(page, followingDialogs));
+        }
+      }
+
       // Execute action with retry
       const actionResult = await executeActionWithRetry(
         resolvedAction,
@@ -150,6 +238,7 @@ async function executeSingleScenario(scenario, page, params = {}, options = {})
       result.actionResults.push(actionResult);
 
       if (!actionResult.success) {
+        clearDialogQueue(page, pendingDialogs);
         result.errors.push(`Action failed: ${actionResult.error}`);
         return result;
       }
@@ -205,6 +294,13 @@ async function executeSingleScenario(scenario, page, params = {}, options = {})
     result.success = true;
   } catch (error) {
     result.errors.push(`Scenario execution error: ${error.message}`);
+  } finally {
+    if (mockIds.length > 0) {
+      await removeMockRules(page, mockIds);
+    }
+    if (previousThrottling) {
+      await restoreThrottling(page, previousThrottling);
+    }
   }
 
   return result;
@@ -242,6 +338,9 @@ async function executeActionWithRetry(action, page, maxRetries, timeout) {
 
       result.success = true;
       result.output = actionResult.output;
+      if (actionResult.warning) {
+        result.warning = actionResult.warning;
+      }
       attemptInfo.success = true;
       result.errorDetails.attempts.push(attemptInfo);
       return result;
@@ -276,10 +375,13 @@ async function executeActionWithRetry(action, page, maxRetries, timeout) {
         console.log(`[Retry ${attempt}] Selector failed, trying smartFindElement with description: ${action.selector.elementInfo.text}`);
 
         try {
+          // Search in the action's frame when it was recorded inside an iframe
+          const frame = action.frame ? await resolveFrame(page, action.frame) : page.mainFrame();
+
           // Inject element finder utilities if not already done
-          await page.evaluate(elementFinderUtilsCode);
+          await frame.evaluate(elementFinderUtilsCode);
 
-          const smartResult = await page.evaluate((description) => {
+          const smartResult = await frame.evaluate((description) => {
             return window.smartFindElement({ description, maxResults: 3 });
           }, action.selector.elementInfo.text);
 
@@ -326,15 +428,14 @@ async function capturePageContext(page, action) {
     const selector = action.selector?.value || action.selector?.primary;
 
     if (selector) {
-      // Check if element exists
-      context.elementExists = await page.evaluate((sel) => {
-        return document.querySelector(sel) !== null;
-      }, selector);
+      // Check if element exists (in the action's frame, shadow-piercing selectors included)
+      const frame = action.frame ? await resolveFrame(page, action.frame) : page.mainFrame();
+      const element = await frame.$(selector).catch(() => null);
+      context.elementExists = element !== null;
 
       // If exists, check visibility and get info
-      if (context.elementExists) {
-        context.elementInfo = await page.evaluate((sel) => {
-          const el = document.querySelector(sel);
+      if (element) {
+        context.elementInfo = await element.evaluate((el) => {
           const rect = el.getBoundingClientRect();
           const styles = window.getComputedStyle(el);
 
@@ -358,7 +459,7 @@ async function capturePageContext(page, action) {
               pointerEvents: styles.pointerEvents
             }
           };
-        }, selector);
+        });
 
         context.elementVisible = context.elementInfo.visible;
       }
@@ -465,25 +566,28 @@ function formatDetailedError(action, errorDetails) {
 async function executeAction(action, page, timeout) {
   const result = { output: null };
 
+  // Element actions recorded inside an iframe run in that frame
+  const frame = action.frame ? await waitForActionFrame(page, action.frame, timeout) : page.mainFrame();
+
   switch (action.type) {
     case 'click':
-      await executeClick(action, page, timeout);
+      await executeClick(action, page, timeout, frame);
       break;
 
     case 'type':
-      await executeType(action, page, timeout);
+      await executeType(action, page, timeout, frame);
       break;
 
     case 'select':
-      await executeSelect(action, page, timeout);
+      await executeSelect(action, page, timeout, frame);
       break;
 
     case 'scroll':
-      await executeScroll(action, page);
+      await executeScroll(action, frame);
       break;
 
     case 'hover':
-      await executeHover(action, page);
+      await executeHover(action, frame);
       break;
 
     case 'keypress':
@@ -495,7 +599,7 @@ async function executeAction(action, page, timeout) {
       break;
 
     case 'upload':
-      await executeUpload(action, page, timeout);
+      await executeUpload(action, frame, timeout);
       break;
 
     case 'drag':
@@ -507,7 +611,15 @@ async function executeAction(action, page, timeout) {
       break;
 
     case 'extract':
-      result.output = await executeExtract(action, page);
+      result.output = await executeExtract(action, frame);
+      break;
+
+    case 'dialog':
+      result.warning = await executeDialog(action, page);
+      break;
+
+    case 'download':
+      result.output = await executeDownload(action);
       break;
 
     default:
@@ -517,16 +629,34 @@ async function executeAction(action, page, timeout) {
   return result;
 }
 
+/**
+ * Wait for an action's iframe to be attached (it may be added by the previous action)
+ */
+async function waitForActionFrame(page, framePath, timeout) {
+  const start = Date.now();
+
+  while (true) {
+    try {
+      return await resolveFrame(page, framePath);
+    } catch (error) {
+      if (Date.now() - start >= timeout) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+  }
+}
+
 /**
  * Action executors
  */
 
-async function executeClick(action, page, timeout) {
+async function executeClick(action, page, timeout, frame = page.mainFrame()) {
   const selector = action.selector.value || action.selector.primary || action.selector;
 
   try {
-    await page.waitForSelector(selector, { timeout, visible: true });
-    await page.click(selector);
+    await frame.waitForSelector(selector, { timeout, visible: true });
+    await frame.click(selector);
 
     // Smart waiting after click
     if (action.data.requiresWait !== false) {
@@ -736,22 +866,19 @@ async function checkPageActivity(page) {
   }
 }
 
-async function executeType(action, page, timeout) {
+async function executeType(action, page, timeout, frame = page.mainFrame()) {
   const selector = action.selector.value || action.selector.primary || action.selector;
 
   try {
-    await page.waitForSelector(selector, { timeout, visible: true });
-
-    // Check if element is editable
-    const isEditable = await page.evaluate((sel) => {
-      const el = document.querySelector(sel);
-      if (!el) return false;
+    await frame.waitForSelector(selector, { timeout, visible: true });
 
+    // Check if element is editable (handle query supports shadow-piercing selectors)
+    const isEditable = await frame.$eval(selector, (el) => {
       const isInput = el.tagName === 'INPUT' || el.tagName === 'TEXTAREA';
       const isContentEditable = el.isContentEditable;
 
       return isInput || isContentEditable;
-    }, selector);
+    }).catch(() => false);
 
     if (!isEditable) {
       throw new Error(`Element "${selector}" is not editable (not an input, textarea, or contenteditable)`);
@@ -759,12 +886,12 @@ async function executeType(action, page, timeout) {
 
     // Clear field if specified
     if (action.data.clearFirst !== false) {
-      await page.click(selector, { clickCount: 3 });
+      await frame.click(selector, { clickCount: 3 });
       await page.keyboard.press('Backspace');
     }
 
     // Type text with optional delay
-    await page.type(selector, action.data.text, {
+    await frame.type(selector, action.data.text, {
       delay: action.data.delay || 0
     });
   } catch (error) {
@@ -772,7 +899,7 @@ async function executeType(action, page, timeout) {
   }
 }
 
-async function executeSelect(action, page, timeout) {
+async function executeSelect(action, page, timeout, frame = page.mainFrame()) {
   const selector = action.selector.value || action.selector.primary || action.selector;
 
   try {
@@ -780,46 +907,43 @@ async function executeSelect(action, page, timeout) {
       // Custom select (multi-step)
       for (const step of action.data.steps) {
         if (step.action === 'click') {
-          await page.waitForSelector(step.selector, { timeout });
-          await page.click(step.selector);
+          await frame.waitForSelector(step.selector, { timeout });
+          await frame.click(step.selector);
         } else if (step.action === 'wait') {
           await new Promise(resolve => setTimeout(resolve, step.duration));
         }
       }
     } else {
       // Native select
-      await page.waitForSelector(selector, { timeout, visible: true });
+      await frame.waitForSelector(selector, { timeout, visible: true });
 
       // Verify it's a select element
-      const isSelect = await page.evaluate((sel) => {
-        const el = document.querySelector(sel);
-        return el && el.tagName === 'SELECT';
-      }, selector);
+      const isSelect = await frame.$eval(selector, (el) => el.tagName === 'SELECT').catch(() => false);
 
       if (!isSelect) {
         throw new Error(`Element "${selector}" is not a <select> element`);
       }
 
-      await page.select(selector, action.data.value);
+      await frame.select(selector, action.data.value);
     }
   } catch (error) {
     throw new Error(`Failed to select option in "${selector}": ${error.message}`);
   }
 }
 
-async function executeScroll(action, page) {
+async function executeScroll(action, frame) {
   const selector = action.selector.value || action.selector.primary || action.selector;
-  await page.evaluate((selector, behavior) => {
-    const element = document.querySelector(selector);
-    if (element) {
-      element.scrollIntoView({ behavior: behavior || 'auto', block: 'center' });
-    }
-  }, selector, action.data.behavior);
+  const element = await frame.$(selector);
+  if (element) {
+    await element.evaluate((el, behavior) => {
+      el.scrollIntoView({ behavior: behavior || 'auto', block: 'center' });
+    }, action.data.behavior);
+  }
 }
 
-async function executeHover(action, page) {
+async function executeHover(action, frame) {
   const selector = action.selector.value || action.selector.primary || action.selector;
-  await page.hover(selector);
+  await frame.hover(selector);
 }
 
 async function executeKeypress(action, page) {
@@ -850,9 +974,9 @@ async function executeWait(action, page) {
   }
 }
 
-async function executeUpload(action, page, timeout) {
+async function executeUpload(action, frame, timeout) {
   const selector = action.selector.value || action.selector.primary || action.selector;
-  const fileInput = await page.waitForSelector(selector, { timeout });
+  const fileInput = await frame.waitForSelector(selector, { timeout });
   await fileInput.uploadFile(action.data.filePath);
 }
 
@@ -887,20 +1011,71 @@ async function executeNavigate(action, page, timeout) {
   });
 }
 
-async function executeExtract(action, page) {
+async function executeExtract(action, frame) {
   const { selector, attribute, multiple } = action.data;
 
   if (multiple) {
-    return await page.$$eval(selector, (elements, attr) => {
+    return await frame.$$eval(selector, (elements, attr) => {
       return elements.map(el => attr ? el.getAttribute(attr) : el.textContent.trim());
     }, attribute);
   } else {
-    return await page.$eval(selector, (el, attr) => {
+    return await frame.$eval(selector, (el, attr) => {
       return attr ? el.getAttribute(attr) : el.textContent.trim();
     }, attribute);
   }
 }
 
+async function executeDialog(action, page) {
+  const { dialogType, message, timeout = 5000 } = action.data;
+
+  // Dialog not armed by a preceding action (e.g. opened by a timer): arm now
+  let token = action.dialogToken;
+  if (!token) {
+    [token] = queueDialogResponses(page, [action.data]);
+  }
+
+  let dialog;
+  try {
+    dialog = await waitForDialogToken(token, timeout);
+  } catch (error) {
+    clearDialogQueue(page, [token]);
+    // Retry must arm a fresh answer
+    action.dialogToken = null;
+    throw new Error(`Expected ${dialogType || 'dialog'} "${message || ''}" did not appear within ${timeout}ms`);
+  }
+
+  // A different dialog type was answered - reported with the step, replay continues
+  if (dialogType && dialog.type !== dialogType) {
+    const warning = `Expected ${dialogType} dialog but got ${dialog.type}: ${dialog.message}`;
+    console.error(`[chrometools-mcp] ${warning}`);
+    return warning;
+  }
+
+  return null;
+}
+
+async function executeDownload(action) {
+  const { fileName, minSize, mimeType, timeout = 30000, outputName } = action.data || {};
+  const context = action.downloadContext || { since: null, claimed: [] };
+
+  const download = await waitForDownload({
+    fileNamePattern: fileName,
+    since: context.since,
+    exclude: context.claimed,
+    timeout
+  });
+  context.claimed.push(download.id);
+
+  if (minSize !== undefined && download.receivedBytes < minSize) {
+    throw new Error(`Download "${download.fileName}" is ${download.receivedBytes} bytes, expected at least ${minSize}`);
+  }
+  if (mimeType && download.mimeType !== mimeType) {
+    throw new Error(`Download "${download.fileName}" has MIME type ${download.mimeType}, expected ${mimeType}`);
+  }
+
+  return outputName ? { [outputName]: download.path } : null;
+}
+
 /**
  * Substitute parameters in action
  * Replaces {{paramName}} with actual values
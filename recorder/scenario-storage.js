@@ -6,6 +6,7 @@
  * 2. Save/load secrets separately
  * 3. Maintain scenario index with metadata
  * 4. Ensure .gitignore for secrets directory
+ * 5. Request mock rules attached to scenarios
  */
 
 import fs from 'fs/promises';
@@ -71,7 +72,7 @@ export async function saveScenario(scenario) {
   try {
     await initializeStorage();
 
-    const { name, metadata, chain, secrets } = scenario;
+    const { name, metadata, chain, secrets, mocks } = scenario;
 
     // Validate scenario
     if (!name || !chain) {
@@ -90,6 +91,11 @@ export async function saveScenario(scenario) {
       createdAt: new Date().toISOString()
     };
 
+    // Mock rules applied automatically when the scenario is executed
+    if (mocks && mocks.length > 0) {
+      scenarioData.mocks = mocks;
+    }
+
     const scenarioPath = path.join(DEFAULT_SCENARIOS_DIR, `${name}.json`);
     await fs.writeFile(scenarioPath, JSON.stringify(scenarioData, null, 2), 'utf-8');
 
@@ -140,6 +146,38 @@ export async function loadScenario(name, includeSecrets = false) {
   }
 }
 
+/**
+ * Attach mock rules to a scenario (replaces existing rules)
+ * @param {string} name - Scenario name
+ * @param {Array} mocks - Mock rule definitions (see utils/request-mocks.js)
+ * @returns {Object} - { success: boolean, path: string, error?: string }
+ */
+export async function setScenarioMocks(name, mocks) {
+  try {
+    const scenarioPath = path.join(DEFAULT_SCENARIOS_DIR, `${name}.json`);
+    const scenario = JSON.parse(await fs.readFile(scenarioPath, 'utf-8'));
+
+    if (mocks && mocks.length > 0) {
+      scenario.mocks = mocks;
+    } else {
+      delete scenario.mocks;
+    }
+    scenario.updatedAt = new Date().toISOString();
+
+    await fs.writeFile(scenarioPath, JSON.stringify(scenario, null, 2), 'utf-8');
+
+    return {
+      success: true,
+      path: scenarioPath
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.code === 'ENOENT' ? `Scenario "${name}" not found` : error.message
+    };
+  }
+}
+
 /**
  * Save secrets for a scenario
  * @param {string} scenarioName - Scenario name
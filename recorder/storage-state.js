@@ -0,0 +1,420 @@
+/**
+ * recorder/storage-state.js
+ *
+ * Saves and restores authenticated browser state:
+ * 1. Cookies sent to the captured frames' URLs (not every site in the profile)
+ * 2. localStorage and sessionStorage per origin
+ * 3. IndexedDB databases per origin (JSON-serializable values only)
+ * 4. Storage state files in storage-states/ (with .gitignore, may contain tokens)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Default storage directory (next to scenarios/ and secrets/)
+const DEFAULT_STATES_DIR = path.join(process.cwd(), 'storage-states');
+const GITIGNORE_FILE = '.gitignore';
+
+/**
+ * Initialize storage states directory
+ * Storage states contain session cookies and tokens, so they are git-ignored like secrets
+ */
+async function initializeStatesDir() {
+  await fs.mkdir(DEFAULT_STATES_DIR, { recursive: true });
+
+  const gitignorePath = path.join(DEFAULT_STATES_DIR, GITIGNORE_FILE);
+  const content = `# Ignore all storage state files (contain session cookies and tokens)
+*
+!.gitignore
+`;
+
+  try {
+    await fs.writeFile(gitignorePath, content, 'utf-8');
+  } catch (e) {
+    console.error('Error creating .gitignore in storage-states directory:', e);
+  }
+}
+
+/**
+ * Get file path for a named storage state
+ * @param {string} name - Storage state name
+ * @returns {string} - Absolute file path
+ */
+export function getStorageStatePath(name) {
+  if (!name || /[\/\\]|\.\./.test(name)) {
+    throw new Error(`Invalid storage state name "${name}" - use letters, digits, dashes and underscores`);
+  }
+  return path.join(DEFAULT_STATES_DIR, `${name}.json`);
+}
+
+/**
+ * Capture storage state from page
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { includeIndexedDB, includeSessionStorage, origins }
+ * @returns {Object} - Storage state { cookies, origins: [{ origin, localStorage, sessionStorage, indexedDB }] }
+ */
+export async function captureStorageState(page, options = {}) {
+  const {
+    includeIndexedDB = true,
+    includeSessionStorage = true,
+    origins: originFilter = null
+  } = options;
+
+  // Collect one frame per origin (main frame + iframes)
+  const framesByOrigin = new Map();
+  const frameUrls = new Set();
+  for (const frame of page.frames()) {
+    const origin = getOrigin(frame.url());
+    if (!origin) continue;
+    if (originFilter && !originFilter.includes(origin)) continue;
+    frameUrls.add(frame.url());
+    if (!framesByOrigin.has(origin)) framesByOrigin.set(origin, frame);
+  }
+
+  // Only cookies of the captured pages - the default context holds every site of the profile
+  let cookies = [];
+  if (frameUrls.size > 0) {
+    const client = await page.target().createCDPSession();
+    try {
+      ({ cookies } = await client.send('Network.getCookies', { urls: [...frameUrls] }));
+    } finally {
+      await client.detach().catch(() => {});
+    }
+  }
+
+  const origins = [];
+  for (const [origin, frame] of framesByOrigin) {
+    try {
+      const storage = await frame.evaluate(readWebStorageInPage, includeSessionStorage);
+      const indexedDB = includeIndexedDB ? await frame.evaluate(readIndexedDBInPage) : [];
+
+      origins.push({ origin, ...storage, indexedDB });
+    } catch (error) {
+      console.error(`[StorageState] Failed to read storage for ${origin}:`, error.message);
+    }
+  }
+
+  return {
+    version: '1.0',
+    url: page.url(),
+    createdAt: new Date().toISOString(),
+    cookies,
+    origins
+  };
+}
+
+/**
+ * Restore storage state into page (and its browser context)
+ * Origins other than the page's current origin are restored through a temporary tab
+ * in the same context; their sessionStorage is applied when this page first visits them.
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} state - Storage state from captureStorageState
+ * @param {Object} options - { reload, clearExisting }
+ * @returns {Object} - Restore summary
+ */
+export async function restoreStorageState(page, state, options = {}) {
+  const { reload = false, clearExisting = false } = options;
+
+  const summary = {
+    cookies: 0,
+    origins: [],
+    deferredSessionStorage: [],
+    errors: []
+  };
+
+  // Cookies
+  const client = await page.target().createCDPSession();
+  try {
+    if (clearExisting) {
+      // Only cookies of the restored sites - clearBrowserCookies would log the profile out everywhere
+      const urls = getRestoredUrls(state);
+      const { cookies: existing } = urls.length > 0 ? await client.send('Network.getCookies', { urls }) : { cookies: [] };
+      for (const cookie of existing) {
+        await client.send('Network.deleteCookies', { name: cookie.name, domain: cookie.domain, path: cookie.path });
+      }
+    }
+    if (state.cookies && state.cookies.length > 0) {
+      await client.send('Network.setCookies', { cookies: state.cookies.map(toCookieParam) });
+      summary.cookies = state.cookies.length;
+    }
+  } finally {
+    await client.detach().catch(() => {});
+  }
+
+  const currentOrigin = getOrigin(page.url());
+
+  for (const originState of state.origins || []) {
+    try {
+      if (originState.origin === currentOrigin) {
+        await page.evaluate(writeWebStorageInPage, originState, true, clearExisting);
+        await page.evaluate(writeIndexedDBInPage, originState.indexedDB || []);
+      } else {
+        // localStorage and IndexedDB are shared per origin within a context
+        const tempPage = await page.browserContext().newPage();
+        try {
+          await tempPage.goto(originState.origin, { waitUntil: 'domcontentloaded' });
+          await tempPage.evaluate(writeWebStorageInPage, originState, false, clearExisting);
+          await tempPage.evaluate(writeIndexedDBInPage, originState.indexedDB || []);
+        } finally {
+          await tempPage.close();
+        }
+
+        // sessionStorage is per tab: apply once when this page reaches the origin
+        if (originState.sessionStorage && Object.keys(originState.sessionStorage).length > 0) {
+          await page.evaluateOnNewDocument(applySessionStorageOnceInPage, originState.origin, originState.sessionStorage, `${state.createdAt}`);
+          summary.deferredSessionStorage.push(originState.origin);
+        }
+      }
+
+      summary.origins.push(originState.origin);
+    } catch (error) {
+      summary.errors.push(`${originState.origin}: ${error.message}`);
+    }
+  }
+
+  if (reload) {
+    await page.reload({ waitUntil: 'networkidle2' });
+  }
+
+  return summary;
+}
+
+/**
+ * Save storage state to file
+ * @param {string} name - Storage state name
+ * @param {Object} state - Storage state
+ * @returns {string} - File path
+ */
+export async function writeStorageState(name, state) {
+  await initializeStatesDir();
+
+  const filePath = getStorageStatePath(name);
+  await fs.writeFile(filePath, JSON.stringify({ name, ...state }, null, 2), 'utf-8');
+
+  return filePath;
+}
+
+/**
+ * Load storage state from file
+ * @param {string} nameOrPath - Storage state name or absolute path to a state file
+ * @returns {Object} - Storage state
+ */
+export async function readStorageState(nameOrPath) {
+  const filePath = path.isAbsolute(nameOrPath) ? nameOrPath : getStorageStatePath(nameOrPath);
+
+  try {
+    const content = await fs.readFile(filePath, 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Storage state "${nameOrPath}" could not be loaded: ${error.message}`);
+  }
+}
+
+/**
+ * List saved storage states
+ * @returns {Array} - [{ name, url, createdAt, origins }]
+ */
+export async function listStorageStates() {
+  let files;
+  try {
+    files = await fs.readdir(DEFAULT_STATES_DIR);
+  } catch {
+    return [];
+  }
+
+  const states = [];
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    try {
+      const state = JSON.parse(await fs.readFile(path.join(DEFAULT_STATES_DIR, file), 'utf-8'));
+      states.push({
+        name: file.replace(/\.json$/, ''),
+        url: state.url,
+        createdAt: state.createdAt,
+        origins: (state.origins || []).map(o => o.origin)
+      });
+    } catch (error) {
+      console.error(`Error reading storage state "${file}":`, error.message);
+    }
+  }
+
+  return states;
+}
+
+/**
+ * Helpers
+ */
+
+function getOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.origin === 'null' ? null : parsed.origin;
+  } catch {
+    return null;
+  }
+}
+
+// URLs whose cookies a restore replaces: saved origins, the saved page and the saved cookies' sites
+function getRestoredUrls(state) {
+  const urls = new Set((state.origins || []).map(originState => originState.origin));
+  if (getOrigin(state.url)) urls.add(state.url);
+  for (const cookie of state.cookies || []) {
+    urls.add(`${cookie.secure ? 'https' : 'http'}://${cookie.domain.replace(/^\./, '')}${cookie.path || '/'}`);
+  }
+  return [...urls];
+}
+
+// Strip read-only fields returned by Network.getCookies
+function toCookieParam(cookie) {
+  const { name, value, domain, path: cookiePath, secure, httpOnly, sameSite, expires, priority, sourceScheme, partitionKey } = cookie;
+  const param = { name, value, domain, path: cookiePath, secure, httpOnly, sameSite, priority, sourceScheme };
+
+  // Session cookies have expires -1
+  if (expires !== undefined && expires > 0) {
+    param.expires = expires;
+  }
+  if (partitionKey) {
+    param.partitionKey = partitionKey;
+  }
+
+  return param;
+}
+
+/**
+ * Browser-side functions (run via frame.evaluate)
+ */
+
+function readWebStorageInPage(includeSessionStorage) {
+  const dump = (storage) => {
+    const items = {};
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      items[key] = storage.getItem(key);
+    }
+    return items;
+  };
+
+  return {
+    localStorage: dump(window.localStorage),
+    sessionStorage: includeSessionStorage ? dump(window.sessionStorage) : {}
+  };
+}
+
+function writeWebStorageInPage(originState, includeSessionStorage, clearExisting) {
+  if (clearExisting) {
+    window.localStorage.clear();
+    if (includeSessionStorage) window.sessionStorage.clear();
+  }
+
+  for (const [key, value] of Object.entries(originState.localStorage || {})) {
+    window.localStorage.setItem(key, value);
+  }
+
+  if (includeSessionStorage) {
+    for (const [key, value] of Object.entries(originState.sessionStorage || {})) {
+      window.sessionStorage.setItem(key, value);
+    }
+  }
+}
+
+function applySessionStorageOnceInPage(origin, items, marker) {
+  if (window.location.origin !== origin) return;
+
+  const markerKey = '__chrometools_state_restored';
+  if (window.sessionStorage.getItem(markerKey) === marker) return;
+
+  for (const [key, value] of Object.entries(items)) {
+    window.sessionStorage.setItem(key, value);
+  }
+  window.sessionStorage.setItem(markerKey, marker);
+}
+
+async function readIndexedDBInPage() {
+  if (!window.indexedDB || !indexedDB.databases) return [];
+
+  const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  const databases = [];
+  for (const { name, version } of await indexedDB.databases()) {
+    if (!name) continue;
+
+    const db = await request(indexedDB.open(name));
+    const stores = [];
+
+    for (const storeName of Array.from(db.objectStoreNames)) {
+      const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+      const [keys, values] = await Promise.all([
+        request(store.getAllKeys()),
+        request(store.getAll())
+      ]);
+
+      stores.push({
+        name: storeName,
+        keyPath: store.keyPath,
+        autoIncrement: store.autoIncrement,
+        indexes: Array.from(store.indexNames).map(indexName => {
+          const index = store.index(indexName);
+          return { name: indexName, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+        }),
+        records: keys.map((key, i) => ({ key, value: values[i] }))
+      });
+    }
+
+    db.close();
+    databases.push({ name, version, stores });
+  }
+
+  return databases;
+}
+
+async function writeIndexedDBInPage(databases) {
+  if (!window.indexedDB || databases.length === 0) return;
+
+  const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('IndexedDB operation blocked by open connection'));
+  });
+
+  for (const database of databases) {
+    await request(indexedDB.deleteDatabase(database.name));
+
+    const openRequest = indexedDB.open(database.name, database.version || 1);
+    openRequest.onupgradeneeded = () => {
+      const db = openRequest.result;
+      for (const storeDef of database.stores) {
+        const options = { autoIncrement: storeDef.autoIncrement };
+        if (storeDef.keyPath !== null && storeDef.keyPath !== undefined) {
+          options.keyPath = storeDef.keyPath;
+        }
+        const store = db.createObjectStore(storeDef.name, options);
+        for (const index of storeDef.indexes || []) {
+          store.createIndex(index.name, index.keyPath, { unique: index.unique, multiEntry: index.multiEntry });
+        }
+      }
+    };
+    const db = await request(openRequest);
+
+    for (const storeDef of database.stores) {
+      if (storeDef.records.length === 0) continue;
+
+      const tx = db.transaction(storeDef.name, 'readwrite');
+      const store = tx.objectStore(storeDef.name);
+      for (const record of storeDef.records) {
+        if (storeDef.keyPath !== null && storeDef.keyPath !== undefined) {
+          store.put(record.value);
+        } else {
+          store.put(record.value, record.key);
+        }
+      }
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    db.close();
+  }
+}
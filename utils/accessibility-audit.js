@@ -0,0 +1,493 @@
+/**
+ * utils/accessibility-audit.js
+ *
+ * WCAG rule checks over the page or a subtree, run in the page against real computed styles:
+ * 1. Names: form controls without labels, images without alt, empty buttons and links
+ * 2. Color contrast of text against its effective background (WCAG 1.4.3)
+ * 3. Structure: duplicate IDs, heading order, landmark regions
+ * 4. ARIA: unknown attributes and roles, invalid values, broken id references
+ * 5. Focusable elements that are hidden from sight or from assistive technology
+ * Violations are grouped by severity (critical, serious, moderate, minor).
+ */
+
+export const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+export const AUDIT_RULES = {
+  'label': { severity: 'critical', wcag: ['1.3.1', '4.1.2'], description: 'Form controls must have an accessible label' },
+  'label-placeholder-only': { severity: 'moderate', wcag: ['3.3.2'], description: 'Placeholder is not a substitute for a visible label' },
+  'image-alt': { severity: 'critical', wcag: ['1.1.1'], description: 'Images must have alternative text' },
+  'color-contrast': { severity: 'serious', wcag: ['1.4.3'], description: 'Text must have a contrast ratio of at least 4.5:1 (3:1 for large text)' },
+  'button-name': { severity: 'critical', wcag: ['4.1.2'], description: 'Buttons must have discernible text' },
+  'link-name': { severity: 'serious', wcag: ['2.4.4', '4.1.2'], description: 'Links must have discernible text' },
+  'duplicate-id': { severity: 'moderate', wcag: ['4.1.1'], description: 'IDs must be unique' },
+  'duplicate-id-referenced': { severity: 'serious', wcag: ['4.1.2'], description: 'IDs used by labels or ARIA references must be unique' },
+  'heading-order': { severity: 'moderate', wcag: ['1.3.1'], description: 'Heading levels should only increase by one' },
+  'page-has-heading-one': { severity: 'minor', wcag: ['1.3.1', '2.4.6'], description: 'Page should contain a level-one heading' },
+  'landmark-main': { severity: 'moderate', wcag: ['1.3.1', '2.4.1'], description: 'Page must have exactly one main landmark' },
+  'region': { severity: 'moderate', wcag: ['1.3.1', '2.4.1'], description: 'Content should be contained by landmark regions' },
+  'aria-valid-attr': { severity: 'critical', wcag: ['4.1.2'], description: 'ARIA attributes must be valid names' },
+  'aria-valid-attr-value': { severity: 'critical', wcag: ['4.1.2'], description: 'ARIA attributes must have valid values' },
+  'aria-valid-role': { severity: 'critical', wcag: ['4.1.2'], description: 'ARIA roles must be valid' },
+  'aria-hidden-focus': { severity: 'serious', wcag: ['4.1.2'], description: 'aria-hidden elements must not contain focusable elements' },
+  'focusable-hidden': { severity: 'serious', wcag: ['2.4.3', '2.4.7'], description: 'Elements in the tab order must be visible' }
+};
+
+/**
+ * Run accessibility audit
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { selector, rules, maxPerRule, finderUtils }
+ * @returns {Object} - { url, scope, summary, violations: { critical: [...], ... }, incomplete, passed }
+ */
+export async function auditAccessibility(page, options = {}) {
+  const { selector = null, rules = null, maxPerRule = 20, finderUtils } = options;
+
+  if (rules) {
+    const unknown = rules.filter(rule => !AUDIT_RULES[rule]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown audit rules: ${unknown.join(', ')}. Available: ${Object.keys(AUDIT_RULES).join(', ')}`);
+    }
+  }
+
+  const enabledRules = rules || Object.keys(AUDIT_RULES);
+  const raw = await page.evaluate(runAuditInPage, { selector, rules: enabledRules, maxPerRule }, finderUtils);
+
+  if (raw.error) {
+    throw new Error(raw.error);
+  }
+
+  const violations = Object.fromEntries(SEVERITIES.map(severity => [severity, []]));
+  const summary = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  const passed = [];
+
+  for (const ruleId of enabledRules) {
+    const findings = raw.findings[ruleId] || { count: 0, elements: [] };
+    const rule = AUDIT_RULES[ruleId];
+
+    if (findings.count === 0) {
+      passed.push(ruleId);
+      continue;
+    }
+
+    summary[rule.severity] += findings.count;
+    violations[rule.severity].push({
+      rule: ruleId,
+      description: rule.description,
+      wcag: rule.wcag.map(sc => `WCAG ${sc}`),
+      count: findings.count,
+      elements: findings.elements
+    });
+  }
+
+  return {
+    url: page.url(),
+    scope: selector || 'page',
+    summary,
+    violations,
+    incomplete: raw.incomplete,
+    passed
+  };
+}
+
+/**
+ * Helpers
+ */
+
+// Runs in the page - must be self-contained
+function runAuditInPage({ selector, rules, maxPerRule }, utilsCode) {
+  eval(utilsCode);
+
+  const scope = selector ? resolveSelectorInPage(selector)[0] : document.documentElement;
+  if (!scope) {
+    return { error: `Element not found: ${selector}` };
+  }
+
+  const enabled = new Set(rules);
+  const findings = {};
+  const incomplete = [];
+
+  const report = (rule, el, detail) => {
+    if (!enabled.has(rule)) return;
+    const entry = findings[rule] || (findings[rule] = { count: 0, elements: [] });
+    entry.count++;
+    if (entry.elements.length < maxPerRule) {
+      entry.elements.push({
+        selector: el.nodeType === Node.ELEMENT_NODE ? getUniqueSelectorOrNullInPage(el) : null,
+        html: el.outerHTML ? el.outerHTML.replace(/\s+/g, ' ').substring(0, 150) : null,
+        ...(detail ? { detail } : {})
+      });
+    }
+  };
+
+  // Elements in scope, including open shadow roots
+  const all = [scope, ...querySelectorAllDeep('*', scope)];
+
+  // display: none is not inherited - an element inside a hidden container has no client rects
+  const isRendered = (el) => {
+    if (el.getClientRects().length === 0) return false;
+    const style = getComputedStyle(el);
+    if (style.display === 'none' || style.visibility === 'hidden') return false;
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  };
+
+  // opacity: 0 on the element or an ancestor
+  const isTransparent = (el) => {
+    for (let node = el; node; node = node.parentElement) {
+      if (parseFloat(getComputedStyle(node).opacity) === 0) return true;
+    }
+    return false;
+  };
+
+  // Referenced ids resolve within the element's own document or shadow root
+  const byId = (el, id) => {
+    const root = el.getRootNode();
+    return root.getElementById ? root.getElementById(id) : document.getElementById(id);
+  };
+
+  // Simplified accessible name computation
+  const accessibleName = (el) => {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map(id => byId(el, id)?.textContent.trim() || '').join(' ').trim();
+      if (text) return text;
+    }
+    const ariaLabel = el.getAttribute('aria-label');
+    if (ariaLabel && ariaLabel.trim()) return ariaLabel.trim();
+
+    if (el.labels && el.labels.length > 0) {
+      const text = Array.from(el.labels).map(l => l.textContent.trim()).join(' ').trim();
+      if (text) return text;
+    }
+
+    const tag = el.tagName;
+    if ((tag === 'IMG' || (tag === 'INPUT' && el.type === 'image') || tag === 'AREA') && el.getAttribute('alt')) {
+      return el.getAttribute('alt').trim();
+    }
+    if (tag === 'INPUT' && ['submit', 'reset', 'button'].includes(el.type)) {
+      return (el.value || (el.type === 'submit' ? 'Submit' : el.type === 'reset' ? 'Reset' : '')).trim();
+    }
+
+    if (['BUTTON', 'A', 'SUMMARY', 'LABEL'].includes(tag) || ['button', 'link', 'tab', 'menuitem'].includes(el.getAttribute('role'))) {
+      const parts = [];
+      const walk = (node) => {
+        for (const child of node.childNodes) {
+          if (child.nodeType === Node.TEXT_NODE) {
+            parts.push(child.textContent);
+          } else if (child.nodeType === Node.ELEMENT_NODE) {
+            if (child.getAttribute('aria-hidden') === 'true') continue;
+            if (child.tagName === 'IMG' && child.getAttribute('alt')) parts.push(child.getAttribute('alt'));
+            else if (child.tagName === 'svg' && child.querySelector('title')) parts.push(child.querySelector('title').textContent);
+            else if (child.getAttribute('aria-label')) parts.push(child.getAttribute('aria-label'));
+            else walk(child);
+          }
+        }
+        if (node.shadowRoot) walk(node.shadowRoot);
+      };
+      walk(el);
+      const text = parts.join(' ').replace(/\s+/g, ' ').trim();
+      if (text) return text;
+    }
+
+    const title = el.getAttribute('title');
+    return title && title.trim() ? title.trim() : '';
+  };
+
+  const isAriaHidden = (el) => {
+    for (let node = el; node; node = node.parentElement || node.getRootNode()?.host) {
+      if (node.getAttribute?.('aria-hidden') === 'true') return true;
+    }
+    return false;
+  };
+
+  const isFocusable = (el) => {
+    if (el.disabled) return false;
+    const tabindex = el.getAttribute('tabindex');
+    if (tabindex !== null) return parseInt(tabindex, 10) >= 0;
+    if (el.tagName === 'A' || el.tagName === 'AREA') return el.hasAttribute('href');
+    if (el.tagName === 'INPUT') return el.type !== 'hidden';
+    return ['BUTTON', 'SELECT', 'TEXTAREA', 'IFRAME', 'SUMMARY'].includes(el.tagName) || el.isContentEditable;
+  };
+
+  // 1. Names
+  for (const el of all) {
+    const tag = el.tagName;
+    const role = el.getAttribute('role');
+
+    const isFormControl = (tag === 'INPUT' && !['hidden', 'submit', 'reset', 'button', 'image'].includes(el.type)) ||
+      tag === 'SELECT' || tag === 'TEXTAREA' || ['textbox', 'combobox', 'listbox', 'searchbox', 'slider', 'spinbutton'].includes(role);
+    if (isFormControl && isRendered(el) && !isAriaHidden(el)) {
+      if (!accessibleName(el)) {
+        if (el.getAttribute('placeholder')) {
+          report('label-placeholder-only', el, `Only placeholder "${el.getAttribute('placeholder')}"`);
+        } else {
+          report('label', el);
+        }
+      }
+    }
+
+    if (tag === 'IMG' && !el.hasAttribute('alt') && !['presentation', 'none'].includes(role) && isRendered(el) && !isAriaHidden(el)) {
+      report('image-alt', el, el.getAttribute('title') ? 'title attribute only - add alt' : 'Missing alt attribute');
+    } else if (((tag === 'INPUT' && el.type === 'image') || role === 'img') && isRendered(el) && !accessibleName(el) && !isAriaHidden(el)) {
+      report('image-alt', el, 'No accessible name');
+    }
+
+    const isButton = tag === 'BUTTON' || role === 'button' || (tag === 'INPUT' && ['submit', 'reset', 'button'].includes(el.type));
+    if (isButton && !isAriaHidden(el) && isRendered(el) && !accessibleName(el)) {
+      report('button-name', el);
+    }
+
+    if (tag === 'A' && el.hasAttribute('href') && role !== 'button' && !isAriaHidden(el) && isRendered(el) && !accessibleName(el)) {
+      report('link-name', el);
+    }
+  }
+
+  // 2. Color contrast
+  if (enabled.has('color-contrast')) {
+    const parseColor = (value) => {
+      const match = value.match(/rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)/);
+      if (!match) return null;
+      let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+      if (match[4] && match[4].endsWith('%')) alpha /= 100;
+      return { r: +match[1], g: +match[2], b: +match[3], a: alpha };
+    };
+    const blend = (top, bottom) => ({
+      r: top.r * top.a + bottom.r * (1 - top.a),
+      g: top.g * top.a + bottom.g * (1 - top.a),
+      b: top.b * top.a + bottom.b * (1 - top.a),
+      a: 1
+    });
+    const luminance = ({ r, g, b }) => {
+      const channel = (c) => {
+        const v = c / 255;
+        return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+      };
+      return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+    };
+    const ancestors = (el) => {
+      const chain = [];
+      for (let node = el; node; node = node.parentElement || node.getRootNode()?.host) {
+        chain.push(node);
+      }
+      return chain;
+    };
+
+    let checked = 0;
+    for (const el of all) {
+      if (checked >= 3000) break;
+      const hasText = Array.from(el.childNodes).some(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim());
+      if (!hasText || !isRendered(el) || el.disabled || el.closest('[aria-disabled="true"]')) continue;
+      checked++;
+
+      const style = getComputedStyle(el);
+      const fg = parseColor(style.color);
+      if (!fg) continue;
+
+      // Effective background: composite ancestor backgrounds from the element outwards
+      const layers = [];
+      let unknownBackground = null;
+      for (const node of ancestors(el)) {
+        const nodeStyle = getComputedStyle(node);
+        if (nodeStyle.backgroundImage && nodeStyle.backgroundImage !== 'none') {
+          unknownBackground = 'background image or gradient';
+          break;
+        }
+        const bg = parseColor(nodeStyle.backgroundColor);
+        if (bg && bg.a > 0) {
+          layers.push(bg);
+          if (bg.a >= 1) break;
+        }
+      }
+
+      if (unknownBackground) {
+        if (incomplete.length < maxPerRule) {
+          incomplete.push({ rule: 'color-contrast', selector: getUniqueSelectorOrNullInPage(el), reason: `Cannot compute contrast over ${unknownBackground}` });
+        }
+        continue;
+      }
+
+      let background = { r: 255, g: 255, b: 255, a: 1 };
+      for (const layer of layers.reverse()) {
+        background = blend(layer, background);
+      }
+      const foreground = fg.a < 1 ? blend(fg, background) : fg;
+
+      const l1 = luminance(foreground);
+      const l2 = luminance(background);
+      const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+
+      const fontSize = parseFloat(style.fontSize);
+      const bold = parseInt(style.fontWeight, 10) >= 700;
+      const isLarge = fontSize >= 24 || (bold && fontSize >= 18.66);
+      const required = isLarge ? 3 : 4.5;
+
+      if (ratio < required) {
+        const hex = (c) => '#' + [c.r, c.g, c.b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+        report('color-contrast', el, `Contrast ${ratio.toFixed(2)}:1 (required ${required}:1), text ${hex(foreground)} on ${hex(background)}, ${fontSize}px${bold ? ' bold' : ''}`);
+      }
+    }
+  }
+
+  // 3. Structure
+  const idOwners = new Map();
+  for (const el of all) {
+    if (!el.id) continue;
+    const owners = idOwners.get(el.id) || [];
+    owners.push({ el, root: el.getRootNode() });
+    idOwners.set(el.id, owners);
+  }
+  const referencedIds = new Set();
+  for (const el of all) {
+    if (el.tagName === 'LABEL' && el.htmlFor) referencedIds.add(el.htmlFor);
+    for (const attr of ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant', 'aria-errormessage', 'aria-details', 'aria-flowto']) {
+      const value = el.getAttribute(attr);
+      if (value) value.split(/\s+/).forEach(id => referencedIds.add(id));
+    }
+  }
+  for (const [id, owners] of idOwners) {
+    // IDs only need to be unique within their own document or shadow root
+    const byRoot = new Map();
+    owners.forEach(owner => byRoot.set(owner.root, (byRoot.get(owner.root) || []).concat(owner.el)));
+    for (const elements of byRoot.values()) {
+      if (elements.length < 2) continue;
+      const rule = referencedIds.has(id) ? 'duplicate-id-referenced' : 'duplicate-id';
+      elements.slice(1).forEach(el => report(rule, el, `id="${id}" used ${elements.length} times`));
+    }
+  }
+
+  const headings = all.filter(el => /^H[1-6]$/.test(el.tagName) || (el.getAttribute('role') === 'heading' && el.getAttribute('aria-level')))
+    .filter(el => isRendered(el) && !isAriaHidden(el));
+  let previousLevel = null;
+  for (const heading of headings) {
+    const level = /^H[1-6]$/.test(heading.tagName) && heading.getAttribute('role') !== 'heading'
+      ? parseInt(heading.tagName[1], 10)
+      : parseInt(heading.getAttribute('aria-level'), 10);
+    if (previousLevel !== null && level > previousLevel + 1) {
+      report('heading-order', heading, `h${level} follows h${previousLevel}`);
+    }
+    previousLevel = level;
+  }
+
+  // Page-level structure rules only apply when auditing the whole page
+  if (!selector) {
+    if (!headings.some(h => h.tagName === 'H1' || h.getAttribute('aria-level') === '1')) {
+      report('page-has-heading-one', document.documentElement, 'No level-one heading found');
+    }
+
+    const mains = all.filter(el => el.tagName === 'MAIN' || el.getAttribute('role') === 'main').filter(el => !isAriaHidden(el));
+    if (mains.length === 0) {
+      report('landmark-main', document.body, 'No <main> or role="main" element');
+    } else if (mains.length > 1) {
+      mains.slice(1).forEach(el => report('landmark-main', el, `${mains.length} main landmarks`));
+    }
+
+    const landmarkSelector = 'main, nav, header, footer, aside, form[aria-label], form[aria-labelledby], section[aria-label], section[aria-labelledby], ' +
+      '[role="main"], [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="region"], [role="search"], [role="form"], dialog, [role="dialog"], [role="alertdialog"]';
+    for (const child of document.body.children) {
+      if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'LINK', 'META'].includes(child.tagName)) continue;
+      if (child.matches(landmarkSelector) || child.querySelector(landmarkSelector) || child.id === 'chrometools-recorder') continue;
+      if (!isRendered(child) || isAriaHidden(child) || !child.textContent.trim()) continue;
+      report('region', child, 'Content outside any landmark region');
+    }
+  }
+
+  // 4. ARIA
+  const ARIA_ATTRIBUTES = ['activedescendant', 'atomic', 'autocomplete', 'braillelabel', 'brailleroledescription', 'busy', 'checked',
+    'colcount', 'colindex', 'colindextext', 'colspan', 'controls', 'current', 'describedby', 'description', 'details', 'disabled',
+    'dropeffect', 'errormessage', 'expanded', 'flowto', 'grabbed', 'haspopup', 'hidden', 'invalid', 'keyshortcuts', 'label',
+    'labelledby', 'level', 'live', 'modal', 'multiline', 'multiselectable', 'orientation', 'owns', 'placeholder', 'posinset',
+    'pressed', 'readonly', 'relevant', 'required', 'roledescription', 'rowcount', 'rowindex', 'rowindextext', 'rowspan',
+    'selected', 'setsize', 'sort', 'valuemax', 'valuemin', 'valuenow', 'valuetext'];
+  const ARIA_ROLES = ['alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell',
+    'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion', 'dialog',
+    'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img',
+    'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'mark', 'marquee', 'math', 'menu', 'menubar',
+    'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option', 'paragraph',
+    'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search',
+    'searchbox', 'separator', 'slider', 'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab',
+    'table', 'tablist', 'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'];
+  const VALUE_RULES = {
+    boolean: { attrs: ['atomic', 'busy', 'disabled', 'hidden', 'modal', 'multiline', 'multiselectable', 'readonly', 'required'], values: ['true', 'false'] },
+    tristate: { attrs: ['checked', 'pressed'], values: ['true', 'false', 'mixed'] },
+    optionalBoolean: { attrs: ['expanded', 'selected', 'grabbed'], values: ['true', 'false', 'undefined'] },
+    invalid: { attrs: ['invalid'], values: ['true', 'false', 'grammar', 'spelling'] },
+    current: { attrs: ['current'], values: ['page', 'step', 'location', 'date', 'time', 'true', 'false'] },
+    live: { attrs: ['live'], values: ['off', 'polite', 'assertive'] },
+    haspopup: { attrs: ['haspopup'], values: ['true', 'false', 'menu', 'listbox', 'tree', 'grid', 'dialog'] },
+    orientation: { attrs: ['orientation'], values: ['horizontal', 'vertical', 'undefined'] },
+    autocomplete: { attrs: ['autocomplete'], values: ['inline', 'list', 'both', 'none'] },
+    sort: { attrs: ['sort'], values: ['ascending', 'descending', 'none', 'other'] },
+    number: { attrs: ['level', 'posinset', 'setsize', 'valuemax', 'valuemin', 'valuenow', 'colcount', 'colindex', 'colspan', 'rowcount', 'rowindex', 'rowspan'] }
+  };
+  const ID_REFERENCES = ['labelledby', 'describedby', 'controls', 'owns', 'activedescendant', 'errormessage', 'details', 'flowto'];
+
+  for (const el of all) {
+    for (const attr of el.attributes) {
+      if (!attr.name.startsWith('aria-')) continue;
+      const name = attr.name.slice(5);
+      const value = attr.value.trim();
+
+      if (!ARIA_ATTRIBUTES.includes(name)) {
+        report('aria-valid-attr', el, `Unknown attribute ${attr.name}`);
+        continue;
+      }
+
+      const valueRule = Object.values(VALUE_RULES).find(rule => rule.attrs.includes(name));
+      if (valueRule) {
+        const valid = valueRule.values ? valueRule.values.includes(value.toLowerCase()) : value !== '' && !isNaN(Number(value));
+        if (!valid) {
+          report('aria-valid-attr-value', el, `${attr.name}="${attr.value}"`);
+        }
+      }
+
+      if (ID_REFERENCES.includes(name) && value) {
+        const missing = value.split(/\s+/).filter(id => !byId(el, id));
+        if (missing.length > 0) {
+          report('aria-valid-attr-value', el, `${attr.name} references missing id: ${missing.join(', ')}`);
+        }
+      }
+    }
+
+    const role = el.getAttribute('role');
+    if (role !== null) {
+      const roles = role.trim().split(/\s+/).filter(Boolean);
+      // First valid token is used (fallback roles allowed)
+      if (roles.length === 0 || !roles.some(r => ARIA_ROLES.includes(r))) {
+        report('aria-valid-role', el, `role="${role}"`);
+      }
+    }
+  }
+
+  // 5. Focusable but hidden
+  for (const el of all) {
+    if (!isFocusable(el)) continue;
+
+    if (isAriaHidden(el)) {
+      report('aria-hidden-focus', el, 'Focusable element inside aria-hidden="true"');
+      continue;
+    }
+
+    // Not in tab order: hidden itself or inside a display: none container (collapsed menu, closed modal).
+    // <area> has no boxes of its own - its image decides whether it is shown
+    if (el.getClientRects().length === 0) continue;
+    const style = getComputedStyle(el);
+    if (style.display === 'none' || style.visibility === 'hidden') continue;
+
+    // Custom checkboxes, radios and file inputs hide the native control behind a visible label
+    if (el.labels && Array.from(el.labels).some(label => isRendered(label) && !isTransparent(label))) continue;
+
+    const rect = el.getBoundingClientRect();
+    const offScreen = rect.right + window.scrollX <= 0 || rect.bottom + window.scrollY <= 0;
+
+    // Skip-links become visible on focus; only flag hidden elements that stay hidden
+    const skipLink = el.tagName === 'A' && (el.getAttribute('href') || '').startsWith('#');
+    if (isTransparent(el)) {
+      report('focusable-hidden', el, 'In tab order but opacity: 0');
+    } else if ((rect.width === 0 || rect.height === 0) && el.tagName !== 'AREA') {
+      report('focusable-hidden', el, 'In tab order but has no size');
+    } else if (offScreen && !skipLink) {
+      report('focusable-hidden', el, `In tab order but positioned off screen (${Math.round(rect.left)}, ${Math.round(rect.top)})`);
+    }
+  }
+
+  return { findings, incomplete };
+}
@@ -0,0 +1,197 @@
+/**
+ * utils/accessibility-tree.js
+ *
+ * Compact accessibility tree snapshots (page.accessibility.snapshot / Accessibility.getFullAXTree):
+ * 1. Role, name, value and states per node, for the whole page or a subtree
+ * 2. Selector per node (from its DOM element) usable with click, type and other element tools,
+ *    only when it matches exactly that element
+ * 3. Text outline rendering - a much cheaper page description than the DOM
+ */
+
+import { isElementRef, resolveElementRef } from './element-refs.js';
+
+// Boolean states shown when true
+const BOOLEAN_STATES = ['disabled', 'expanded', 'focused', 'modal', 'multiline', 'multiselectable', 'readonly', 'required', 'selected'];
+
+// Tri-state properties (true, false or "mixed")
+const TRISTATE_STATES = ['checked', 'pressed'];
+
+// Other properties copied as-is
+const VALUE_PROPERTIES = ['value', 'description', 'level', 'valuemin', 'valuemax', 'valuetext', 'haspopup', 'autocomplete', 'invalid', 'orientation', 'keyshortcuts', 'roledescription'];
+
+// Roles without their own element (text runs) or mapping to the document
+const NO_SELECTOR_ROLES = ['StaticText', 'InlineTextBox', 'RootWebArea', 'LineBreak'];
+
+/**
+ * Take accessibility tree snapshot
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { rootSelector (CSS selector or element ref), interestingOnly, maxDepth, includeSelectors, maxNodes, finderUtils }
+ * @returns {Object} - { tree, nodeCount, truncated } (tree is null when nothing is exposed)
+ */
+export async function getAccessibilityTree(page, options = {}) {
+  const {
+    rootSelector = null,
+    interestingOnly = true,
+    maxDepth = null,
+    includeSelectors = true,
+    maxNodes = 1000,
+    finderUtils = null
+  } = options;
+
+  let root = null;
+  if (rootSelector && isElementRef(rootSelector)) {
+    ({ element: root } = await resolveElementRef(page, rootSelector));
+  } else if (rootSelector) {
+    root = await page.$(rootSelector);
+    if (!root) {
+      throw new Error(`Element not found: ${rootSelector}`);
+    }
+  }
+
+  let snapshot;
+  try {
+    snapshot = await page.accessibility.snapshot({ root, interestingOnly });
+  } finally {
+    if (root) await root.dispose();
+  }
+
+  if (!snapshot) {
+    return { tree: null, nodeCount: 0, truncated: false };
+  }
+
+  const counter = { count: 0, truncated: false, sources: [] };
+  const tree = compactNode(snapshot, 0, { maxDepth, maxNodes, counter });
+
+  if (includeSelectors && finderUtils) {
+    await attachSelectors(page, counter.sources, finderUtils);
+  }
+
+  return { tree, nodeCount: counter.count, truncated: counter.truncated };
+}
+
+/**
+ * Render compact tree as indented text outline
+ * Line format: - role "name" [states] value="..." -> selector
+ * @param {Object} tree - Tree from getAccessibilityTree
+ * @returns {string}
+ */
+export function formatAccessibilityTree(tree) {
+  if (!tree) return '';
+
+  const lines = [];
+  const walk = (node, depth) => {
+    const parts = [`${'  '.repeat(depth)}- ${node.role}`];
+
+    if (node.name) parts.push(JSON.stringify(node.name));
+    if (node.states && node.states.length > 0) parts.push(`[${node.states.join(', ')}]`);
+
+    for (const key of VALUE_PROPERTIES) {
+      if (node[key] === undefined || node[key] === '') continue;
+      parts.push(`${key}=${typeof node[key] === 'string' ? JSON.stringify(node[key]) : node[key]}`);
+    }
+
+    if (node.selector) parts.push(`-> ${node.selector}`);
+    if (node.childrenOmitted) parts.push(`(+${node.childrenOmitted} children)`);
+
+    lines.push(parts.join(' '));
+    (node.children || []).forEach(child => walk(child, depth + 1));
+  };
+
+  walk(tree, 0);
+  return lines.join('\n');
+}
+
+/**
+ * Helpers
+ */
+
+function compactNode(axNode, depth, context) {
+  const { maxDepth, maxNodes, counter } = context;
+  counter.count++;
+
+  const node = { role: axNode.role };
+  if (axNode.name) node.name = axNode.name;
+
+  const states = [];
+  for (const key of BOOLEAN_STATES) {
+    if (axNode[key] === true) states.push(key);
+  }
+  for (const key of TRISTATE_STATES) {
+    if (axNode[key] === 'mixed') states.push(`${key}=mixed`);
+    else if (axNode[key] === true) states.push(key);
+    else if (axNode[key] === false) states.push(`not ${key}`);
+  }
+  if (states.length > 0) node.states = states;
+
+  for (const key of VALUE_PROPERTIES) {
+    if (axNode[key] !== undefined && axNode[key] !== '' && axNode[key] !== false) {
+      node[key] = axNode[key];
+    }
+  }
+
+  if (!NO_SELECTOR_ROLES.includes(axNode.role) && typeof axNode.elementHandle === 'function') {
+    counter.sources.push({ node, axNode });
+  }
+
+  // Text runs repeat the text already in their parent's name
+  const children = (axNode.children || []).filter(child => child.role !== 'InlineTextBox');
+  if (children.length > 0) {
+    if (maxDepth !== null && depth >= maxDepth) {
+      node.childrenOmitted = children.length;
+    } else {
+      node.children = [];
+      for (const child of children) {
+        if (counter.count >= maxNodes) {
+          counter.truncated = true;
+          node.childrenOmitted = children.length - node.children.length;
+          break;
+        }
+        node.children.push(compactNode(child, depth + 1, context));
+      }
+    }
+  }
+
+  return node;
+}
+
+async function attachSelectors(page, sources, finderUtils) {
+  const handles = [];
+  const targets = [];
+
+  for (const { node, axNode } of sources) {
+    try {
+      const handle = await axNode.elementHandle();
+      if (handle) {
+        handles.push(handle);
+        targets.push(node);
+      }
+    } catch {
+      // Node removed from DOM since the snapshot
+    }
+  }
+
+  if (handles.length === 0) return;
+
+  try {
+    const selectors = await page.evaluate((utilsCode, ...elements) => {
+      eval(utilsCode);
+      return elements.map(el => {
+        if (!el || el.nodeType !== Node.ELEMENT_NODE) return null;
+        try {
+          // The nth-of-type fallback can match other elements - only report selectors that find this one
+          const selector = getUniqueSelectorInPage(el);
+          const matches = resolveSelectorInPage(selector);
+          return matches.length === 1 && matches[0] === el ? selector : null;
+        } catch {
+          return null;
+        }
+      });
+    }, finderUtils, ...handles);
+
+    selectors.forEach((selector, i) => {
+      if (selector) targets[i].selector = selector;
+    });
+  } finally {
+    await Promise.all(handles.map(handle => handle.dispose().catch(() => {})));
+  }
+}
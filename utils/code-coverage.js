@@ -0,0 +1,254 @@
+/**
+ * utils/code-coverage.js
+ *
+ * JS and CSS code coverage per page (page.coverage):
+ * 1. Start/stop JS and CSS coverage, kept across navigations by default (whole user flows)
+ * 2. Per script/stylesheet: total, used and unused bytes, unused ranges with line numbers
+ * 3. Unused CSS rules as text
+ */
+
+import { createUrlMatcher } from './network-capture.js';
+
+// Active coverage per page: page -> { js, css, startedAt }
+const activeCoverage = new WeakMap();
+
+/**
+ * Start collecting coverage for a page
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { js, css, resetOnNavigation }
+ * @returns {Object} - { js, css, startedAt }
+ */
+export async function startCoverage(page, options = {}) {
+  const { js = true, css = true, resetOnNavigation = false } = options;
+
+  if (activeCoverage.has(page)) {
+    throw new Error('Coverage is already running on this page - call stopCoverage first');
+  }
+  if (!js && !css) {
+    throw new Error('Enable at least one of js or css coverage');
+  }
+
+  if (js) await page.coverage.startJSCoverage({ resetOnNavigation });
+  if (css) {
+    try {
+      await page.coverage.startCSSCoverage({ resetOnNavigation });
+    } catch (error) {
+      if (js) await page.coverage.stopJSCoverage().catch(() => {});
+      throw error;
+    }
+  }
+
+  const state = { js, css, startedAt: new Date().toISOString() };
+  activeCoverage.set(page, state);
+  return { ...state };
+}
+
+/**
+ * Stop coverage and build the report
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { urlPattern, includeUnusedCss, maxRanges, maxUnusedCssLength }
+ * @returns {Object} - { startedAt, totals: { js, css }, files }
+ */
+export async function stopCoverage(page, options = {}) {
+  const state = activeCoverage.get(page);
+  if (!state) {
+    throw new Error('Coverage is not running on this page - call startCoverage first');
+  }
+  activeCoverage.delete(page);
+
+  const jsEntries = state.js ? await page.coverage.stopJSCoverage() : [];
+  const cssEntries = state.css ? await page.coverage.stopCSSCoverage() : [];
+
+  return buildCoverageReport(jsEntries, cssEntries, { ...options, startedAt: state.startedAt });
+}
+
+/**
+ * Check whether coverage is running on a page
+ * @param {Object} page - Puppeteer page instance
+ * @returns {boolean}
+ */
+export function isCoverageRunning(page) {
+  return activeCoverage.has(page);
+}
+
+/**
+ * Build coverage report from Puppeteer coverage entries
+ * @param {Array} jsEntries - Entries from stopJSCoverage ({ url, text, ranges })
+ * @param {Array} cssEntries - Entries from stopCSSCoverage
+ * @param {Object} options - { urlPattern, includeUnusedCss, maxRanges, maxUnusedCssLength, startedAt }
+ * @returns {Object}
+ */
+export function buildCoverageReport(jsEntries, cssEntries, options = {}) {
+  const {
+    urlPattern = null,
+    includeUnusedCss = false,
+    maxRanges = 20,
+    maxUnusedCssLength = 20000,
+    startedAt = null
+  } = options;
+
+  const matchUrl = urlPattern ? createUrlMatcher(urlPattern) : null;
+  const files = [];
+  let cssBudget = maxUnusedCssLength;
+
+  const addEntries = (entries, type) => {
+    for (const entry of entries) {
+      if (matchUrl && !matchUrl(entry.url)) continue;
+
+      const text = entry.text || '';
+      const used = mergeRanges(entry.ranges || []);
+      const usedBytes = used.reduce((sum, range) => sum + range.end - range.start, 0);
+      const unused = invertRanges(used, text.length)
+        .map(range => trimRange(text, range))
+        .filter(range => range.end > range.start);
+      const lineStarts = getLineStarts(text);
+
+      const file = {
+        url: entry.url,
+        type,
+        totalBytes: text.length,
+        usedBytes,
+        unusedBytes: text.length - usedBytes,
+        usedPercent: text.length > 0 ? Math.round((usedBytes / text.length) * 1000) / 10 : 100,
+        unusedRanges: unused.slice(0, maxRanges).map(range => ({
+          start: range.start,
+          end: range.end,
+          startLine: lineOf(lineStarts, range.start),
+          endLine: lineOf(lineStarts, range.end - 1)
+        }))
+      };
+      if (unused.length > maxRanges) {
+        file.unusedRangesOmitted = unused.length - maxRanges;
+      }
+
+      if (type === 'css' && includeUnusedCss && unused.length > 0) {
+        const unusedText = unused.map(range => text.slice(range.start, range.end)).join('\n');
+        if (cssBudget > 0) {
+          file.unusedCss = unusedText.length > cssBudget ? `${unusedText.substring(0, cssBudget)}\n/* ...truncated */` : unusedText;
+          cssBudget -= Math.min(unusedText.length, cssBudget);
+        } else {
+          file.unusedCss = '/* omitted - maxUnusedCssLength reached */';
+        }
+      }
+
+      files.push(file);
+    }
+  };
+
+  addEntries(jsEntries, 'js');
+  addEntries(cssEntries, 'css');
+  files.sort((a, b) => b.unusedBytes - a.unusedBytes);
+
+  const totalsFor = (type) => {
+    const ofType = files.filter(file => file.type === type);
+    const total = ofType.reduce((sum, file) => sum + file.totalBytes, 0);
+    const used = ofType.reduce((sum, file) => sum + file.usedBytes, 0);
+    return {
+      files: ofType.length,
+      totalBytes: total,
+      usedBytes: used,
+      unusedBytes: total - used,
+      usedPercent: total > 0 ? Math.round((used / total) * 1000) / 10 : null
+    };
+  };
+
+  return {
+    startedAt,
+    stoppedAt: new Date().toISOString(),
+    totals: { js: totalsFor('js'), css: totalsFor('css') },
+    files
+  };
+}
+
+/**
+ * Short human-readable summary of a coverage report
+ * @param {Object} report - Report from stopCoverage
+ * @returns {string}
+ */
+export function formatCoverageSummary(report) {
+  const kb = (bytes) => `${(bytes / 1024).toFixed(1)}KB`;
+  const lines = ['** COVERAGE SUMMARY **'];
+
+  for (const type of ['js', 'css']) {
+    const totals = report.totals[type];
+    if (totals.files === 0) continue;
+    lines.push(`${type.toUpperCase()}: ${totals.files} files, ${kb(totals.usedBytes)} of ${kb(totals.totalBytes)} used ` +
+      `(${totals.usedPercent}%), ${kb(totals.unusedBytes)} unused`);
+  }
+
+  const wasteful = report.files.filter(file => file.unusedBytes > 0).slice(0, 3);
+  if (wasteful.length > 0) {
+    lines.push(`Most unused: ${wasteful.map(file => `${shortUrl(file.url)} ${kb(file.unusedBytes)} (${file.usedPercent}% used)`).join(', ')}`);
+  }
+  if (lines.length === 1) {
+    lines.push('No scripts or stylesheets were loaded while coverage was running');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Helpers
+ */
+
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ start: range.start, end: range.end });
+    }
+  }
+  return merged;
+}
+
+function invertRanges(used, length) {
+  const unused = [];
+  let position = 0;
+  for (const range of used) {
+    if (range.start > position) unused.push({ start: position, end: range.start });
+    position = Math.max(position, range.end);
+  }
+  if (position < length) unused.push({ start: position, end: length });
+  return unused;
+}
+
+// Drop leading/trailing whitespace so ranges start and end on code
+function trimRange(text, range) {
+  let { start, end } = range;
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return { start, end };
+}
+
+function getLineStarts(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) starts.push(i + 1);
+  }
+  return starts;
+}
+
+// 1-based line number of an offset (binary search)
+function lineOf(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low + 1;
+}
+
+function shortUrl(url) {
+  try {
+    const { pathname } = new URL(url);
+    return pathname.split('/').filter(Boolean).pop() || url;
+  } catch {
+    return url;
+  }
+}
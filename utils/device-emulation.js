@@ -0,0 +1,189 @@
+/**
+ * utils/device-emulation.js
+ *
+ * Device and environment emulation per page:
+ * 1. Puppeteer KnownDevices presets (viewport, user agent, touch, isMobile, DPR)
+ * 2. Media features: prefers-color-scheme, prefers-reduced-motion
+ * 3. Locale (Intl, navigator.language, Accept-Language) and timezone
+ * 4. Geolocation (with permission grant for the page origin)
+ */
+
+import { KnownDevices } from 'puppeteer';
+
+// Active emulation per page: page -> { state, client, localeScriptId }
+const emulations = new WeakMap();
+
+/**
+ * List known device names
+ * @param {string} filter - Optional case-insensitive substring
+ * @returns {Array<string>}
+ */
+export function listDevices(filter = null) {
+  const names = Object.keys(KnownDevices);
+  if (!filter) return names;
+  const needle = filter.toLowerCase();
+  return names.filter(name => name.toLowerCase().includes(needle));
+}
+
+/**
+ * Apply emulation settings to a page (only given settings are changed)
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { device, landscape, colorScheme, reducedMotion, locale, timezone, geolocation }
+ * @returns {Object} - Active emulation state
+ */
+export async function emulateDevice(page, options = {}) {
+  const entry = getEntry(page);
+  const { state } = entry;
+
+  if (options.device) {
+    const device = resolveDevice(options.device, options.landscape);
+    await page.emulate(device);
+    state.device = {
+      name: device.name,
+      userAgent: device.userAgent,
+      viewport: device.viewport
+    };
+  }
+
+  if (options.colorScheme !== undefined || options.reducedMotion !== undefined) {
+    if (options.colorScheme !== undefined) state.colorScheme = options.colorScheme;
+    if (options.reducedMotion !== undefined) state.reducedMotion = options.reducedMotion;
+
+    await page.emulateMediaFeatures([
+      { name: 'prefers-color-scheme', value: state.colorScheme || '' },
+      { name: 'prefers-reduced-motion', value: state.reducedMotion || '' }
+    ]);
+  }
+
+  if (options.locale) {
+    await applyLocale(page, entry, options.locale);
+    state.locale = options.locale;
+  }
+
+  if (options.timezone) {
+    try {
+      await page.emulateTimezone(options.timezone);
+    } catch (error) {
+      throw new Error(`Invalid timezone "${options.timezone}" (use IANA names like "Europe/Berlin"): ${error.message}`);
+    }
+    state.timezone = options.timezone;
+  }
+
+  if (options.geolocation) {
+    const { latitude, longitude, accuracy = 10 } = options.geolocation;
+    await grantGeolocation(page);
+    await page.setGeolocation({ latitude, longitude, accuracy });
+    state.geolocation = { latitude, longitude, accuracy };
+  }
+
+  return { ...state };
+}
+
+/**
+ * Remove all emulation from a page
+ * @param {Object} page - Puppeteer page instance
+ */
+export async function resetDeviceEmulation(page) {
+  const entry = emulations.get(page);
+
+  await page.setViewport(null);
+  await page.setUserAgent(await page.browser().userAgent());
+  await page.emulateMediaFeatures(null);
+  await page.emulateTimezone(undefined);
+
+  if (entry) {
+    if (entry.client) {
+      await entry.client.send('Emulation.setLocaleOverride', {}).catch(() => {});
+      await entry.client.detach().catch(() => {});
+    }
+    if (entry.localeScriptId) {
+      await page.removeScriptToEvaluateOnNewDocument(entry.localeScriptId).catch(() => {});
+      await page.setExtraHTTPHeaders({});
+    }
+    if (entry.state.geolocation) {
+      await page.browserContext().clearPermissionOverrides();
+    }
+  }
+
+  emulations.delete(page);
+}
+
+/**
+ * Get active emulation for a page
+ * @param {Object} page - Puppeteer page instance
+ * @returns {Object}
+ */
+export function getEmulationState(page) {
+  return { ...(emulations.get(page)?.state || {}) };
+}
+
+/**
+ * Helpers
+ */
+
+function getEntry(page) {
+  if (!emulations.has(page)) {
+    emulations.set(page, { state: {}, client: null, localeScriptId: null });
+  }
+  return emulations.get(page);
+}
+
+function resolveDevice(name, landscape = false) {
+  const wanted = landscape && !/landscape$/i.test(name) ? `${name} landscape` : name;
+
+  const device = KnownDevices[wanted]
+    || Object.values(KnownDevices).find(d => d.name.toLowerCase() === wanted.toLowerCase());
+
+  if (!device) {
+    const suggestions = listDevices(name.split(/\s+/)[0]).slice(0, 10);
+    throw new Error(
+      `Unknown device "${wanted}".` +
+      (suggestions.length > 0 ? ` Similar: ${suggestions.join(', ')}` : ' Use listDevices to see available names')
+    );
+  }
+
+  return device;
+}
+
+async function applyLocale(page, entry, locale) {
+  // Intl / ICU default locale (kept alive by the session)
+  if (!entry.client) {
+    entry.client = await page.target().createCDPSession();
+  }
+  await entry.client.send('Emulation.setLocaleOverride', {}).catch(() => {});
+  try {
+    await entry.client.send('Emulation.setLocaleOverride', { locale });
+  } catch (error) {
+    throw new Error(`Invalid locale "${locale}" (use BCP 47 tags like "de-DE"): ${error.message}`);
+  }
+
+  // Accept-Language for server-side localization
+  const language = locale.split('-')[0];
+  await page.setExtraHTTPHeaders({
+    'Accept-Language': language !== locale ? `${locale},${language};q=0.9` : locale
+  });
+
+  // navigator.language(s) for client-side localization (applies from next document)
+  if (entry.localeScriptId) {
+    await page.removeScriptToEvaluateOnNewDocument(entry.localeScriptId).catch(() => {});
+  }
+  const { identifier } = await page.evaluateOnNewDocument((value) => {
+    const languages = [value, value.split('-')[0]].filter((v, i, all) => all.indexOf(v) === i);
+    Object.defineProperty(Navigator.prototype, 'language', { get: () => value, configurable: true });
+    Object.defineProperty(Navigator.prototype, 'languages', { get: () => languages, configurable: true });
+  }, locale);
+  entry.localeScriptId = identifier;
+}
+
+async function grantGeolocation(page) {
+  let origin = null;
+  try {
+    origin = new URL(page.url()).origin;
+  } catch {
+    // about:blank and similar have no origin
+  }
+
+  if (origin && origin !== 'null') {
+    await page.browserContext().overridePermissions(origin, ['geolocation']);
+  }
+}
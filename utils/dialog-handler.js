@@ -0,0 +1,206 @@
+/**
+ * utils/dialog-handler.js
+ *
+ * JavaScript dialog handling per page (alert, confirm, prompt, beforeunload):
+ * 1. Policy: auto-accept (default) or auto-dismiss, with optional prompt answer
+ * 2. Queued one-shot responses (used by scenario replay), consumed before the policy
+ * 3. Log of dialogs seen with the answer given
+ * 4. Suspension while the recorder is enabled: dialogs stay open for the user to answer
+ * Otherwise dialogs are always answered, so they never block later Puppeteer calls.
+ */
+
+// Keep at most this many dialogs per page
+const MAX_DIALOGS_PER_PAGE = 200;
+
+// Dialog state per page: page -> { policy, suspended, queue, dialogs }
+const dialogStates = new WeakMap();
+let nextDialogId = 1;
+
+/**
+ * Start handling dialogs for a page
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} tabId - Tab id for log entries
+ */
+export function attachDialogHandler(page, tabId) {
+  if (dialogStates.has(page)) return;
+
+  const state = {
+    policy: { action: 'accept', promptText: null },
+    suspended: false,
+    queue: [],
+    dialogs: []
+  };
+  dialogStates.set(page, state);
+
+  page.on('dialog', async (dialog) => {
+    const queued = state.queue.shift();
+
+    // Recorder active: the user answers, the recorder saves their choice
+    if (!queued && state.suspended) {
+      pushDialog(state, {
+        id: `dialog-${nextDialogId++}`,
+        tabId,
+        type: dialog.type(),
+        message: dialog.message(),
+        defaultValue: dialog.defaultValue() || null,
+        url: page.url(),
+        timestamp: new Date().toISOString(),
+        action: 'left to user',
+        promptText: null,
+        source: 'recorder'
+      });
+      return;
+    }
+
+    const accept = queued ? queued.accept : state.policy.action === 'accept';
+    const promptText = queued?.promptText ?? state.policy.promptText ?? dialog.defaultValue();
+
+    const entry = {
+      id: `dialog-${nextDialogId++}`,
+      tabId,
+      type: dialog.type(),
+      message: dialog.message(),
+      defaultValue: dialog.defaultValue() || null,
+      url: page.url(),
+      timestamp: new Date().toISOString(),
+      action: accept ? 'accepted' : 'dismissed',
+      promptText: accept && dialog.type() === 'prompt' ? promptText : null,
+      source: queued ? 'queued' : 'policy'
+    };
+
+    pushDialog(state, entry);
+
+    try {
+      if (accept) {
+        await dialog.accept(dialog.type() === 'prompt' ? promptText : undefined);
+      } else {
+        await dialog.dismiss();
+      }
+    } catch (error) {
+      // Dialog may already be closed (page navigated or closed)
+      entry.error = error.message;
+    }
+
+    if (queued) {
+      queued.consumed = true;
+      queued.dialog = entry;
+    }
+
+    console.error(`[chrometools-mcp] ${entry.type} dialog ${entry.action} on ${tabId}: ${entry.message.substring(0, 80)}`);
+  });
+}
+
+/**
+ * Set dialog policy for a page
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} policy - { action: 'accept' | 'dismiss', promptText }
+ * @returns {Object} - Active policy
+ */
+export function setDialogPolicy(page, policy) {
+  const state = getState(page);
+  state.policy = {
+    action: policy.action || state.policy.action,
+    promptText: policy.promptText !== undefined ? policy.promptText : state.policy.promptText
+  };
+  return { ...state.policy, suspended: state.suspended };
+}
+
+/**
+ * Get dialog policy for a page
+ * @param {Object} page - Puppeteer page instance
+ * @returns {Object} - { action, promptText, suspended }
+ */
+export function getDialogPolicy(page) {
+  const state = getState(page);
+  return { ...state.policy, suspended: state.suspended };
+}
+
+/**
+ * Suspend or resume the policy (queued answers still apply while suspended)
+ * @param {Object} page - Puppeteer page instance
+ * @param {boolean} suspended - true: leave dialogs open for the user
+ */
+export function suspendDialogPolicy(page, suspended) {
+  getState(page).suspended = suspended;
+}
+
+/**
+ * Queue one-shot answers for the next dialogs (consumed in order before the policy)
+ * @param {Object} page - Puppeteer page instance
+ * @param {Array} responses - [{ accept, promptText }]
+ * @returns {Array} - Queue tokens { accept, promptText, consumed, dialog } to check consumption
+ */
+export function queueDialogResponses(page, responses) {
+  const state = getState(page);
+  const tokens = responses.map(response => ({
+    accept: response.accept !== false,
+    promptText: response.promptText ?? null,
+    consumed: false,
+    dialog: null
+  }));
+  state.queue.push(...tokens);
+  return tokens;
+}
+
+/**
+ * Drop queued responses that were not consumed
+ * @param {Object} page - Puppeteer page instance
+ * @param {Array} tokens - Tokens to drop (default: whole queue)
+ */
+export function clearDialogQueue(page, tokens = null) {
+  const state = getState(page);
+  state.queue = tokens ? state.queue.filter(t => !tokens.includes(t)) : [];
+}
+
+/**
+ * Wait until a queued response is used by a dialog
+ * @param {Object} token - Token from queueDialogResponses
+ * @param {number} timeout - Timeout in ms
+ * @returns {Object} - Dialog log entry
+ */
+export async function waitForDialogToken(token, timeout = 5000) {
+  const start = Date.now();
+  while (!token.consumed) {
+    if (Date.now() - start > timeout) {
+      throw new Error(`Expected dialog did not appear within ${timeout}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return token.dialog;
+}
+
+/**
+ * Get dialogs seen on a page
+ * @param {Object} page - Puppeteer page instance
+ * @returns {Array} - Dialog log (live array)
+ */
+export function getDialogs(page) {
+  return getState(page).dialogs;
+}
+
+/**
+ * Clear dialog log for a page
+ * @param {Object} page - Puppeteer page instance
+ */
+export function clearDialogs(page) {
+  getState(page).dialogs.length = 0;
+}
+
+/**
+ * Helpers
+ */
+
+function pushDialog(state, entry) {
+  state.dialogs.push(entry);
+  if (state.dialogs.length > MAX_DIALOGS_PER_PAGE) {
+    state.dialogs.shift();
+  }
+}
+
+function getState(page) {
+  const state = dialogStates.get(page);
+  if (!state) {
+    throw new Error('Dialog handling is not enabled for this page');
+  }
+  return state;
+}
@@ -0,0 +1,299 @@
+/**
+ * utils/dom-diff.js
+ *
+ * What an action changed on the page (MutationObserver around click, type, navigateTo, executeScript):
+ * 1. Added and removed elements (top-level subtrees only)
+ * 2. Text and attribute changes of existing elements (old -> new, unchanged round trips dropped)
+ * 3. Dialogs and toasts that appeared
+ * 4. URL and title changes; a replaced document is reported as navigation
+ * Open shadow roots are observed too, including ones attached by the action.
+ */
+
+// In-page observer state (window property)
+const STATE_KEY = '__chrometoolsDomDiff';
+
+// Observed mutation records kept per action
+const MAX_RECORDS = 5000;
+
+const DIALOG_SELECTOR = 'dialog[open], [role="dialog"], [role="alertdialog"], [aria-modal="true"], .modal';
+const TOAST_SELECTOR = '[role="alert"], [role="status"], [aria-live="assertive"], [aria-live="polite"], .toast, .snackbar, .notification, .alert';
+
+/**
+ * Start recording DOM changes before an action
+ * @param {Object} page - Puppeteer page instance (URL and title)
+ * @param {Object} frame - Frame whose document is observed (default: main frame)
+ * @returns {Object} - Recording handle for collectDomDiff
+ */
+export async function startDomDiff(page, frame = page.mainFrame()) {
+  const [title, observing] = await Promise.all([
+    page.title().catch(() => ''),
+    frame.evaluate(startObserverInPage, STATE_KEY, MAX_RECORDS).then(() => true).catch(() => false)
+  ]);
+
+  return { page, frame, url: page.url(), title, observing };
+}
+
+/**
+ * Stop recording and summarize DOM changes
+ * @param {Object} recording - Handle from startDomDiff
+ * @param {Object} options - { finderUtils, maxItems }
+ * @returns {Object} - { url, title, navigated, error, added, removed, textChanges, attributeChanges, dialogs, toasts, changedNodes }
+ */
+export async function collectDomDiff(recording, options = {}) {
+  const { finderUtils, maxItems = 8 } = options;
+  const { page, frame } = recording;
+
+  let changes = null;
+  let navigated = false;
+  let error = null;
+
+  if (recording.observing && frame.detached) {
+    error = 'Frame was detached';
+  } else if (recording.observing) {
+    try {
+      const collected = await frame.evaluate(collectChangesInPage, {
+        stateKey: STATE_KEY,
+        utilsCode: finderUtils,
+        dialogSelector: DIALOG_SELECTOR,
+        toastSelector: TOAST_SELECTOR,
+        maxItems
+      });
+      // Observer state is gone when the document was replaced
+      if (collected.observerMissing) navigated = true;
+      else changes = collected;
+    } catch (evaluationError) {
+      // A navigation started by the action can destroy the context while collecting
+      if (/Execution context was destroyed|navigation/i.test(evaluationError.message)) navigated = true;
+      else error = evaluationError.message;
+    }
+  }
+
+  const url = page.url();
+  const title = await page.title().catch(() => '');
+
+  return {
+    url: url !== recording.url ? { before: recording.url, after: url } : null,
+    title: title !== recording.title ? { before: recording.title, after: title } : null,
+    navigated,
+    ...(error ? { error } : {}),
+    ...(changes || {})
+  };
+}
+
+/**
+ * Compact human-readable summary of a DOM diff
+ * @param {Object} diff - Result of collectDomDiff
+ * @returns {string}
+ */
+export function formatDomDiff(diff) {
+  const lines = ['** DOM CHANGES **'];
+
+  if (diff.url) lines.push(`URL: ${diff.url.before} -> ${diff.url.after}`);
+  if (diff.title) lines.push(`Title: "${diff.title.before}" -> "${diff.title.after}"`);
+  if (diff.navigated) {
+    lines.push('Document replaced (navigation) - run analyzePage for the new page');
+    return lines.join('\n');
+  }
+  if (diff.error) {
+    lines.push(`Not recorded (${diff.error})`);
+    return lines.join('\n');
+  }
+  if (!diff.added) {
+    if (lines.length === 1) lines.push('Not recorded (frame not accessible)');
+    return lines.join('\n');
+  }
+
+  const more = (group) => (group.count > group.items.length ? `, +${group.count - group.items.length} more` : '');
+  const element = (item) => `${item.selector}${item.text ? ` "${item.text}"` : ''}`;
+
+  if (diff.dialogs.count > 0) lines.push(`Dialogs opened (${diff.dialogs.count}): ${diff.dialogs.items.map(element).join('; ')}${more(diff.dialogs)}`);
+  if (diff.toasts.count > 0) lines.push(`Toasts/alerts (${diff.toasts.count}): ${diff.toasts.items.map(element).join('; ')}${more(diff.toasts)}`);
+  if (diff.added.count > 0) lines.push(`Added (${diff.added.count}): ${diff.added.items.map(element).join('; ')}${more(diff.added)}`);
+  if (diff.removed.count > 0) lines.push(`Removed (${diff.removed.count}): ${diff.removed.items.map(element).join('; ')}${more(diff.removed)}`);
+  if (diff.textChanges.count > 0) {
+    lines.push(`Text changed (${diff.textChanges.count}): ` +
+      diff.textChanges.items.map(item => `${item.selector} "${item.before}" -> "${item.after}"`).join('; ') + more(diff.textChanges));
+  }
+  if (diff.attributeChanges.count > 0) {
+    lines.push(`Attributes changed (${diff.attributeChanges.count}): ` +
+      diff.attributeChanges.items.map(item => `${item.selector} ${item.attribute}: ${formatValue(item.before)} -> ${formatValue(item.after)}`).join('; ') +
+      more(diff.attributeChanges));
+  }
+  if (diff.recordsDropped > 0) lines.push(`(${diff.recordsDropped} further mutations not analyzed)`);
+
+  if (lines.length === 1) lines.push('No DOM changes');
+  return lines.join('\n');
+}
+
+/**
+ * Helpers
+ */
+
+function formatValue(value) {
+  if (value === null) return 'none';
+  return `"${value.length > 40 ? `${value.substring(0, 40)}...` : value}"`;
+}
+
+// Runs in the page: observe the whole document and its open shadow roots until collectChangesInPage
+function startObserverInPage(stateKey, maxRecords) {
+  window[stateKey]?.observer.disconnect();
+
+  const options = {
+    subtree: true,
+    childList: true,
+    attributes: true,
+    characterData: true,
+    attributeOldValue: true,
+    characterDataOldValue: true
+  };
+  const state = { records: [], dropped: 0, roots: new WeakSet() };
+
+  // Subtree observation stops at shadow boundaries - observe each open shadow root separately
+  const observeShadowRoots = (node) => {
+    const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+    for (let el = walker.currentNode; el; el = walker.nextNode()) {
+      if (el.shadowRoot && !state.roots.has(el.shadowRoot)) {
+        state.roots.add(el.shadowRoot);
+        state.observer.observe(el.shadowRoot, options);
+        observeShadowRoots(el.shadowRoot);
+      }
+    }
+  };
+
+  state.observer = new MutationObserver((records) => {
+    for (const record of records) {
+      if (state.records.length < maxRecords) state.records.push(record);
+      else state.dropped++;
+
+      // Components added by the action attach their shadow roots on insertion
+      for (const node of record.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE) observeShadowRoots(node);
+      }
+    }
+  });
+  state.observer.observe(document, options);
+  observeShadowRoots(document);
+
+  Object.defineProperty(window, stateKey, { value: state, configurable: true, enumerable: false });
+}
+
+// Runs in the page: net changes since startObserverInPage ({ observerMissing } in a new document)
+function collectChangesInPage({ stateKey, utilsCode, dialogSelector, toastSelector, maxItems }) {
+  eval(utilsCode);
+
+  const state = window[stateKey];
+  if (!state) return { observerMissing: true };
+
+  const records = state.records.concat(state.observer.takeRecords());
+  state.observer.disconnect();
+  delete window[stateKey];
+
+  const added = new Set();
+  const removed = new Set();
+  const oldTexts = new Map();
+  const oldAttributes = new Map();
+
+  const noteText = (el, oldText) => {
+    if (!el || el.nodeType !== Node.ELEMENT_NODE) return;
+    if (!oldTexts.has(el)) oldTexts.set(el, oldText);
+  };
+
+  for (const record of records) {
+    if (record.type === 'childList') {
+      for (const node of record.removedNodes) {
+        if (added.has(node)) added.delete(node);
+        else if (node.nodeType === Node.ELEMENT_NODE) removed.add(node);
+        else if (node.nodeType === Node.TEXT_NODE) noteText(record.target, node.data);
+      }
+      for (const node of record.addedNodes) {
+        if (removed.has(node)) removed.delete(node);
+        else if (node.nodeType === Node.ELEMENT_NODE) added.add(node);
+        else if (node.nodeType === Node.TEXT_NODE) noteText(record.target, '');
+      }
+    } else if (record.type === 'characterData') {
+      noteText(record.target.parentElement, record.oldValue);
+    } else if (record.type === 'attributes') {
+      if (!oldAttributes.has(record.target)) oldAttributes.set(record.target, new Map());
+      const attributes = oldAttributes.get(record.target);
+      if (!attributes.has(record.attributeName)) attributes.set(record.attributeName, record.oldValue);
+    }
+  }
+
+  // Text of the element's own text nodes - what text records describe
+  const ownText = (el) => Array.from(el.childNodes)
+    .filter(node => node.nodeType === Node.TEXT_NODE)
+    .map(node => node.data)
+    .join('');
+  const isOwnElement = (el) => typeof el.id === 'string' && el.id.startsWith('__chrometools');
+  const textOf = (el) => (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 60);
+  const isVisible = (el) => el.isConnected && el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+  const insideAdded = (el) => {
+    for (let node = el.parentNode; node; node = node.parentNode || node.host) {
+      if (added.has(node)) return true;
+    }
+    return false;
+  };
+  // Detached elements have no usable selector - describe them by tag, id and classes
+  const describeDetached = (el) => {
+    const classes = typeof el.className === 'string' ? el.className.trim().split(/\s+/).filter(Boolean).slice(0, 2) : [];
+    return el.tagName.toLowerCase() + (el.id ? `#${el.id}` : '') + classes.map(name => `.${name}`).join('');
+  };
+  const group = (items) => ({ count: items.length, items: items.slice(0, maxItems) });
+  const selectorOf = (el) => getUniqueSelectorOrNullInPage(el) || describeDetached(el);
+
+  const addedRoots = [...added].filter(el => el.isConnected && !isOwnElement(el) && !insideAdded(el));
+  const removedRoots = [...removed].filter(el => !el.isConnected && !isOwnElement(el) &&
+    ![...removed].some(other => other !== el && other.contains(el)));
+
+  const changedElements = new Set();
+  const textChanges = [];
+  for (const [el, before] of oldTexts) {
+    if (!el.isConnected || added.has(el) || insideAdded(el)) continue;
+    const after = ownText(el).replace(/\s+/g, ' ').trim();
+    const old = (before || '').replace(/\s+/g, ' ').trim();
+    if (after === old) continue;
+    textChanges.push({ selector: selectorOf(el), before: old.substring(0, 60), after: after.substring(0, 60) });
+    changedElements.add(el);
+  }
+
+  const attributeChanges = [];
+  for (const [el, attributes] of oldAttributes) {
+    if (!el.isConnected || added.has(el) || insideAdded(el) || isOwnElement(el)) continue;
+    for (const [attribute, before] of attributes) {
+      const after = el.getAttribute(attribute);
+      if (after === before) continue;
+      attributeChanges.push({ selector: selectorOf(el), attribute, before, after });
+      changedElements.add(el);
+    }
+  }
+
+  // Dialogs and toasts: in added subtrees, or shown by an attribute change (open, class, aria-hidden, style)
+  const candidates = new Set();
+  for (const root of addedRoots) {
+    if (root.matches(`${dialogSelector}, ${toastSelector}`)) candidates.add(root);
+    root.querySelectorAll(`${dialogSelector}, ${toastSelector}`).forEach(el => candidates.add(el));
+  }
+  for (const el of oldAttributes.keys()) {
+    if (el.isConnected && el.nodeType === Node.ELEMENT_NODE && el.matches(`${dialogSelector}, ${toastSelector}`)) candidates.add(el);
+  }
+
+  const dialogs = [];
+  const toasts = [];
+  for (const el of candidates) {
+    if (!isVisible(el)) continue;
+    const item = { selector: selectorOf(el), text: textOf(el) };
+    if (el.matches(dialogSelector)) dialogs.push(item);
+    else if (item.text) toasts.push(item);
+  }
+
+  return {
+    added: group(addedRoots.map(el => ({ selector: selectorOf(el), text: textOf(el) }))),
+    removed: group(removedRoots.map(el => ({ selector: describeDetached(el), text: (el.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 60) }))),
+    textChanges: group(textChanges),
+    attributeChanges: group(attributeChanges),
+    dialogs: group(dialogs),
+    toasts: group(toasts),
+    changedNodes: changedElements.size,
+    recordsDropped: state.dropped
+  };
+}
@@ -0,0 +1,329 @@
+/**
+ * utils/download-manager.js
+ *
+ * File download capture:
+ * 1. Routes downloads of all browser contexts to a managed per-session folder (Browser.setDownloadBehavior)
+ * 2. Tracks progress and completion (Browser.downloadWillBegin / Browser.downloadProgress)
+ * 3. Renames finished files from their GUID to the suggested file name
+ * 4. MIME type from the response Content-Type (captured page traffic), file extension as fallback
+ * 5. Waits for expected downloads (scenario assertions)
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getCapturedRequests } from './network-capture.js';
+
+// One folder per server session: <base>/session-<timestamp>
+const SESSION_ID = `session-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+
+let downloadsDir = null;
+
+// Browser-level CDP sessions: browser -> session
+const browserSessions = new WeakMap();
+
+// All downloads of this server session (most recent last)
+const downloads = [];
+const downloadsByGuid = new Map();
+
+/**
+ * Get managed downloads folder for this session
+ * @param {string} tempDir - Temp folder the browser can write to (used when CHROME_DOWNLOAD_DIR is not set)
+ * @returns {string} - Absolute folder path
+ */
+export function getDownloadsDir(tempDir = os.tmpdir()) {
+  if (!downloadsDir) {
+    const base = process.env.CHROME_DOWNLOAD_DIR || path.join(tempDir, 'chrometools-downloads');
+    downloadsDir = path.resolve(base, SESSION_ID);
+  }
+  return downloadsDir;
+}
+
+/**
+ * Start capturing downloads for a browser (default context)
+ * @param {Object} browser - Puppeteer browser instance
+ * @param {string} tempDir - Temp folder the browser can write to (see getDownloadsDir)
+ */
+export async function attachDownloadCapture(browser, tempDir) {
+  if (browserSessions.has(browser)) return;
+
+  const dir = getDownloadsDir(tempDir);
+  await fs.mkdir(dir, { recursive: true });
+
+  const session = await browser.target().createCDPSession();
+  browserSessions.set(browser, session);
+
+  session.on('Browser.downloadWillBegin', (event) => {
+    const entry = {
+      id: event.guid,
+      url: event.url.startsWith('data:') ? `${event.url.substring(0, 50)}...` : event.url,
+      suggestedFilename: event.suggestedFilename,
+      fileName: event.suggestedFilename,
+      path: path.join(dir, event.guid),
+      mimeType: guessMimeType(event.suggestedFilename),
+      mimeTypeSource: 'extension',
+      totalBytes: 0,
+      receivedBytes: 0,
+      state: 'inProgress',
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      frameId: event.frameId,
+      // Returned by getDownloads already
+      reported: false
+    };
+    downloads.push(entry);
+    downloadsByGuid.set(event.guid, entry);
+    console.error(`[chrometools-mcp] Download started: ${event.suggestedFilename}`);
+  });
+
+  session.on('Browser.downloadProgress', (event) => {
+    const entry = downloadsByGuid.get(event.guid);
+    if (!entry) return;
+
+    entry.totalBytes = event.totalBytes;
+    entry.receivedBytes = event.receivedBytes;
+
+    if (event.state === 'completed') {
+      resolveResponseMimeType(browser, entry).then(() => finalizeDownload(entry)).catch(error => {
+        // Keep the file under its GUID name
+        entry.error = `Rename failed: ${error.message}`;
+        entry.state = 'completed';
+        entry.completedAt = new Date().toISOString();
+        entry.finalized = true;
+      });
+    } else if (event.state === 'canceled') {
+      entry.state = 'canceled';
+      entry.completedAt = new Date().toISOString();
+    }
+  });
+
+  await setDownloadBehavior(session, dir);
+}
+
+/**
+ * Route downloads of an isolated browser context to the managed folder
+ * @param {Object} browser - Puppeteer browser instance
+ * @param {Object} context - Puppeteer BrowserContext
+ */
+export async function enableDownloadsForContext(browser, context) {
+  const session = browserSessions.get(browser);
+  if (!session || !context.id) return;
+
+  await setDownloadBehavior(session, getDownloadsDir(), context.id);
+}
+
+/**
+ * List downloads
+ * @param {Object} filters - { fileNamePattern, state, since }
+ * @returns {Array}
+ */
+export function listDownloads(filters = {}) {
+  const matcher = createFileNameMatcher(filters.fileNamePattern);
+  const sinceMs = filters.since ? Date.parse(filters.since) : null;
+
+  return downloads.filter(entry => {
+    if (matcher && !matcher(entry.fileName)) return false;
+    if (filters.state && entry.state !== filters.state) return false;
+    if (sinceMs !== null && Date.parse(entry.startedAt) < sinceMs) return false;
+    return true;
+  });
+}
+
+/**
+ * Forget downloads (files stay on disk)
+ * @param {Array} entries - Downloads to forget (default: all)
+ */
+export function clearDownloads(entries = null) {
+  if (!entries) {
+    downloads.length = 0;
+    downloadsByGuid.clear();
+    return;
+  }
+
+  for (const entry of entries) {
+    const index = downloads.indexOf(entry);
+    if (index !== -1) downloads.splice(index, 1);
+    downloadsByGuid.delete(entry.id);
+  }
+}
+
+/**
+ * Mark downloads as returned to the caller (later waits skip them)
+ * @param {Array} entries - Download entries
+ */
+export function markDownloadsReported(entries) {
+  for (const entry of entries) {
+    entry.reported = true;
+  }
+}
+
+/**
+ * Wait for a matching download to finish
+ * @param {Object} options - { fileNamePattern, since, exclude, timeout }
+ * @returns {Object} - Completed download entry
+ */
+export async function waitForDownload(options = {}) {
+  const { fileNamePattern, since = null, exclude = [], timeout = 30000 } = options;
+  const start = Date.now();
+
+  while (Date.now() - start <= timeout) {
+    const candidates = listDownloads({ fileNamePattern, since }).filter(d => !exclude.includes(d.id));
+
+    const completed = candidates.find(d => d.state === 'completed' && d.finalized);
+    if (completed) return completed;
+
+    const canceled = candidates.find(d => d.state === 'canceled');
+    if (canceled && !candidates.some(d => d.state === 'inProgress')) {
+      throw new Error(`Download "${canceled.fileName}" was canceled`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  const inProgress = listDownloads({ fileNamePattern, since }).find(d => d.state === 'inProgress');
+  throw new Error(inProgress
+    ? `Download "${inProgress.fileName}" did not finish within ${timeout}ms (${inProgress.receivedBytes}/${inProgress.totalBytes} bytes)`
+    : `No download${fileNamePattern ? ` matching "${fileNamePattern}"` : ''} started within ${timeout}ms`);
+}
+
+/**
+ * Format download for tool output
+ * @param {Object} entry - Download entry
+ * @returns {Object}
+ */
+export function formatDownload(entry) {
+  return {
+    id: entry.id,
+    fileName: entry.fileName,
+    path: entry.path,
+    size: entry.state === 'completed' ? entry.receivedBytes : null,
+    mimeType: entry.mimeType,
+    mimeTypeSource: entry.mimeTypeSource,
+    state: entry.state,
+    progress: entry.totalBytes > 0 ? Math.round((entry.receivedBytes / entry.totalBytes) * 100) : null,
+    url: entry.url,
+    startedAt: entry.startedAt,
+    completedAt: entry.completedAt,
+    error: entry.error
+  };
+}
+
+/**
+ * Helpers
+ */
+
+async function setDownloadBehavior(session, dir, browserContextId = undefined) {
+  // allowAndName saves as <guid>; files are renamed to their suggested name when complete
+  await session.send('Browser.setDownloadBehavior', {
+    behavior: 'allowAndName',
+    downloadPath: dir,
+    eventsEnabled: true,
+    ...(browserContextId ? { browserContextId } : {})
+  });
+}
+
+// Content-Type the server sent for the download URL (network capture of the tab that started it)
+async function resolveResponseMimeType(browser, entry) {
+  if (!/^https?:/.test(entry.url)) return;
+
+  let pages;
+  try {
+    pages = await browser.pages();
+  } catch {
+    return;
+  }
+
+  // Most recent response for the URL, preferring the frame that started the download
+  let match = null;
+  for (const page of pages) {
+    for (const request of getCapturedRequests(page)) {
+      if (request.url !== entry.url || !request.mimeType) continue;
+      if (!match || request.frameId === entry.frameId || match.frameId !== entry.frameId) match = request;
+    }
+  }
+
+  if (match) {
+    entry.mimeType = match.mimeType;
+    entry.mimeTypeSource = 'response';
+  }
+}
+
+async function finalizeDownload(entry) {
+  const dir = path.dirname(entry.path);
+  const targetPath = await uniquePath(dir, sanitizeFileName(entry.suggestedFilename || entry.id));
+
+  await fs.rename(entry.path, targetPath);
+  const stats = await fs.stat(targetPath);
+
+  entry.path = targetPath;
+  entry.fileName = path.basename(targetPath);
+  entry.receivedBytes = stats.size;
+  entry.state = 'completed';
+  entry.completedAt = new Date().toISOString();
+  entry.finalized = true;
+
+  console.error(`[chrometools-mcp] Download completed: ${targetPath} (${stats.size} bytes)`);
+}
+
+async function uniquePath(dir, fileName) {
+  const ext = path.extname(fileName);
+  const base = path.basename(fileName, ext);
+
+  for (let i = 0; ; i++) {
+    const candidate = path.join(dir, i === 0 ? fileName : `${base} (${i})${ext}`);
+    try {
+      await fs.access(candidate);
+    } catch {
+      return candidate;
+    }
+  }
+}
+
+function sanitizeFileName(name) {
+  return name.replace(/[\/\\:*?"<>|]/g, '_') || 'download';
+}
+
+// Matches file names: "/regex/", glob with "*", otherwise case-insensitive substring
+function createFileNameMatcher(pattern) {
+  if (!pattern) return null;
+
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    const regex = new RegExp(regexMatch[1], regexMatch[2]);
+    return (name) => regex.test(name);
+  }
+
+  if (pattern.includes('*')) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    const regex = new RegExp(`^${escaped}$`, 'i');
+    return (name) => regex.test(name);
+  }
+
+  const needle = pattern.toLowerCase();
+  return (name) => name.toLowerCase().includes(needle);
+}
+
+function guessMimeType(fileName) {
+  const types = {
+    '.csv': 'text/csv',
+    '.tsv': 'text/tab-separated-values',
+    '.txt': 'text/plain',
+    '.json': 'application/json',
+    '.xml': 'application/xml',
+    '.html': 'text/html',
+    '.pdf': 'application/pdf',
+    '.zip': 'application/zip',
+    '.gz': 'application/gzip',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.ics': 'text/calendar'
+  };
+  return types[path.extname(fileName || '').toLowerCase()] || 'application/octet-stream';
+}
@@ -0,0 +1,151 @@
+/**
+ * utils/element-labels.js
+ *
+ * Annotated viewport screenshots for choosing elements by number:
+ * 1. Collects interactive elements (same set as getAllInteractiveElements) visible in the viewport
+ * 2. Skips elements covered by other content (modals, sticky bars)
+ * 3. Draws numbered boxes over them, captures the viewport, removes the overlay
+ * 4. Returns a legend: number -> selector, role, text
+ */
+
+// Interactive elements as reported by getAllInteractiveElements
+export const INTERACTIVE_ELEMENTS_SELECTOR = 'button, a[href], input, select, textarea, [onclick], [role="button"], [tabindex]:not([tabindex="-1"])';
+
+const OVERLAY_ID = '__chrometools-element-labels';
+
+// Box colors, cycled so neighbouring labels are easy to tell apart
+const LABEL_COLORS = ['#d93025', '#1a73e8', '#188038', '#e37400', '#9334e6', '#007b83'];
+
+/**
+ * Capture the viewport with numbered boxes over interactive elements
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { finderUtils, maxLabels, includeCovered }
+ * @returns {Object} - { buffer, labels, skipped }
+ */
+export async function captureLabeledScreenshot(page, options = {}) {
+  const { finderUtils, maxLabels = 100, includeCovered = false } = options;
+
+  const collected = await page.evaluate(collectLabelTargetsInPage, {
+    utilsCode: finderUtils,
+    selector: INTERACTIVE_ELEMENTS_SELECTOR,
+    maxLabels,
+    includeCovered
+  });
+
+  const labels = collected.targets.map((target, i) => ({ label: i + 1, ...target }));
+
+  await page.evaluate(drawLabelsOverlay, OVERLAY_ID, LABEL_COLORS, labels.map(({ label, box }) => ({ label, box })));
+  try {
+    const buffer = await page.screenshot({ encoding: 'binary' });
+    return {
+      buffer,
+      labels,
+      skipped: { covered: collected.covered, overLimit: collected.overLimit }
+    };
+  } finally {
+    await page.evaluate((id) => document.getElementById(id)?.remove(), OVERLAY_ID).catch(() => {});
+  }
+}
+
+/**
+ * Helpers
+ */
+
+// Runs in the page: interactive elements intersecting the viewport, in document order
+function collectLabelTargetsInPage({ utilsCode, selector, maxLabels, includeCovered }) {
+  eval(utilsCode);
+
+  const implicitRole = (el) => {
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'a') return 'link';
+    if (tag === 'button') return 'button';
+    if (tag === 'select') return 'combobox';
+    if (tag === 'textarea') return 'textbox';
+    if (tag === 'input') {
+      const type = (el.type || 'text').toLowerCase();
+      if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+      if (type === 'checkbox' || type === 'radio') return type;
+      if (type === 'range') return 'slider';
+      return 'textbox';
+    }
+    return 'generic';
+  };
+
+  const viewportWidth = window.innerWidth;
+  const viewportHeight = window.innerHeight;
+  const targets = [];
+  let covered = 0;
+  let overLimit = 0;
+
+  for (const el of querySelectorAllDeep(selector)) {
+    if (el.offsetWidth === 0 && el.offsetHeight === 0) continue;
+    if (el.type === 'hidden') continue;
+
+    const rect = el.getBoundingClientRect();
+    const left = Math.max(rect.left, 0);
+    const top = Math.max(rect.top, 0);
+    const right = Math.min(rect.right, viewportWidth);
+    const bottom = Math.min(rect.bottom, viewportHeight);
+    if (right - left < 2 || bottom - top < 2) continue;
+
+    const style = getComputedStyle(el);
+    if (style.visibility === 'hidden' || style.opacity === '0') continue;
+
+    if (!includeCovered) {
+      const root = el.getRootNode();
+      const hit = (root.elementFromPoint ? root : document).elementFromPoint((left + right) / 2, (top + bottom) / 2);
+      if (hit && hit !== el && !el.contains(hit) && !hit.contains(el)) {
+        covered++;
+        continue;
+      }
+    }
+
+    if (targets.length >= maxLabels) {
+      overLimit++;
+      continue;
+    }
+
+    const text = (el.innerText || el.value || el.getAttribute('aria-label') || el.placeholder || el.title || '')
+      .replace(/\s+/g, ' ').trim();
+
+    targets.push({
+      selector: getUniqueSelectorOrNullInPage(el),
+      role: el.getAttribute('role') || implicitRole(el),
+      text: text.substring(0, 60),
+      box: {
+        x: Math.round(left),
+        y: Math.round(top),
+        width: Math.round(right - left),
+        height: Math.round(bottom - top)
+      }
+    });
+  }
+
+  return { targets, covered, overLimit };
+}
+
+// Runs in the page: numbered boxes in viewport coordinates
+function drawLabelsOverlay(overlayId, colors, labels) {
+  const overlay = document.createElement('div');
+  overlay.id = overlayId;
+  overlay.style.cssText = 'position:fixed;top:0;left:0;width:0;height:0;z-index:2147483647;pointer-events:none;';
+
+  for (const { label, box } of labels) {
+    const color = colors[(label - 1) % colors.length];
+
+    const frame = document.createElement('div');
+    frame.style.cssText = `position:fixed;left:${box.x}px;top:${box.y}px;width:${box.width}px;height:${box.height}px;` +
+      `border:2px solid ${color};box-sizing:border-box;`;
+
+    // Badge above the top-left corner, or inside the box at the top edge of the viewport
+    const badge = document.createElement('div');
+    badge.textContent = String(label);
+    badge.style.cssText = `position:fixed;left:${box.x}px;top:${box.y >= 16 ? box.y - 16 : box.y}px;` +
+      `min-width:16px;height:16px;padding:0 3px;background:${color};color:#fff;` +
+      'font:bold 11px/16px sans-serif;text-align:center;box-sizing:border-box;';
+
+    overlay.append(frame, badge);
+  }
+
+  document.documentElement.appendChild(overlay);
+}
@@ -0,0 +1,140 @@
+/**
+ * utils/element-refs.js
+ *
+ * Short element refs ("e12") usable instead of CSS selectors:
+ * 1. analyzePage, getAllInteractiveElements, findElementsByText and screenshotWithLabels tag reported elements with a ref
+ * 2. The same element keeps its ref across calls; refs are never reused within a tab, even after navigation
+ * 3. Action tools get a handle to the registered element itself (in its own frame) and fail with a stale-ref error
+ *    when the element was removed or the page navigated, instead of acting on a different element
+ */
+
+// In-page registry (window property): { byElement: WeakMap(element -> ref), byRef: Map(ref -> WeakRef(element)) }
+const REGISTRY_KEY = '__chrometoolsElementRefs';
+
+const REF_PATTERN = /^e\d+$/;
+
+// Per page: { next, frames: Map(ref -> Frame) }
+const pageRefs = new WeakMap();
+
+/**
+ * Check whether a selector argument is an element ref
+ * @param {string} value - Selector argument
+ * @returns {boolean}
+ */
+export function isElementRef(value) {
+  return typeof value === 'string' && REF_PATTERN.test(value.trim());
+}
+
+/**
+ * Assign refs to reported elements (adds "ref" next to "selector")
+ * @param {Object} page - Puppeteer page instance (ref counter owner)
+ * @param {Object} frame - Frame the selectors belong to
+ * @param {Array} items - Objects with a selector property, modified in place
+ * @param {string} finderUtils - Element finder utilities code
+ * @returns {Array} - The same items
+ */
+export async function assignElementRefs(page, frame, items, finderUtils) {
+  const targets = items.filter(item => item && item.selector);
+  if (targets.length === 0) return items;
+
+  const state = getRefState(page);
+  const { refs, next } = await frame.evaluate(assignRefsInPage, {
+    utilsCode: finderUtils,
+    registryKey: REGISTRY_KEY,
+    selectors: targets.map(item => item.selector),
+    next: state.next
+  });
+
+  state.next = next;
+  targets.forEach((item, i) => {
+    if (!refs[i]) return;
+    item.ref = refs[i];
+    state.frames.set(refs[i], frame);
+  });
+
+  return items;
+}
+
+/**
+ * Resolve a ref to the element it was assigned to
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} ref - Element ref, e.g. "e12"
+ * @returns {Object} - { frame, element } (element is an ElementHandle - dispose when done)
+ */
+export async function resolveElementRef(page, ref) {
+  const id = ref.trim();
+  const frame = getRefState(page).frames.get(id);
+  if (!frame) {
+    throw new Error(`Unknown element ref "${id}" - refs come from analyzePage, getAllInteractiveElements, findElementsByText and screenshotWithLabels on the current tab`);
+  }
+
+  const staleError = new Error(`Element ref "${id}" is stale - the element was removed or the page navigated. ` +
+    'Run analyzePage (refresh: true), getAllInteractiveElements or findElementsByText again to get fresh refs');
+
+  if (frame.detached) {
+    throw staleError;
+  }
+
+  const handle = await frame.evaluateHandle(getRefElementInPage, REGISTRY_KEY, id).catch(() => null);
+  const element = handle ? handle.asElement() : null;
+  if (!element) {
+    await handle?.dispose().catch(() => {});
+    throw staleError;
+  }
+
+  return { frame, element };
+}
+
+/**
+ * Helpers
+ */
+
+function getRefState(page) {
+  let state = pageRefs.get(page);
+  if (!state) {
+    state = { next: 1, frames: new Map() };
+    pageRefs.set(page, state);
+  }
+  return state;
+}
+
+// Runs in the page: refs for elements matched by selectors (existing ref kept, new ones numbered from "next")
+function assignRefsInPage({ utilsCode, registryKey, selectors, next }) {
+  eval(utilsCode);
+
+  if (!window[registryKey]) {
+    Object.defineProperty(window, registryKey, {
+      value: { byElement: new WeakMap(), byRef: new Map() },
+      enumerable: false
+    });
+  }
+  const registry = window[registryKey];
+
+  const refs = selectors.map((selector) => {
+    let matches;
+    try {
+      matches = resolveSelectorInPage(selector);
+    } catch {
+      return null;
+    }
+    // An ambiguous selector could register the wrong element - leave it without a ref
+    if (matches.length !== 1) return null;
+    const el = matches[0];
+
+    let ref = registry.byElement.get(el);
+    if (!ref) {
+      ref = `e${next++}`;
+      registry.byElement.set(el, ref);
+    }
+    registry.byRef.set(ref, new WeakRef(el));
+    return ref;
+  });
+
+  return { refs, next };
+}
+
+// Runs in the page: the registered element, null when gone
+function getRefElementInPage(registryKey, ref) {
+  const el = window[registryKey]?.byRef.get(ref)?.deref();
+  return el && el.isConnected ? el : null;
+}
@@ -0,0 +1,196 @@
+/**
+ * utils/frame-resolver.js
+ *
+ * Frame targeting for element tools and scenario replay:
+ * 1. Resolve a frame argument by frame name/id, iframe selector chain or URL pattern
+ * 2. Build the selector chain (frame path) that points at a frame from the main document
+ * 3. List child frames of a page
+ * Selector chains separate nested iframes with " >> ", e.g. "iframe#checkout >> iframe[name=\"card\"]".
+ */
+
+import { createUrlMatcher } from './network-capture.js';
+
+export const FRAME_PATH_SEPARATOR = ' >> ';
+
+/**
+ * Resolve frame argument to a Puppeteer frame
+ * Tried in order: frame name or id attribute, iframe selector chain, URL pattern.
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} frameSpec - Frame name, iframe selector chain or URL pattern (empty = main frame)
+ * @returns {Object} - Puppeteer Frame
+ */
+export async function resolveFrame(page, frameSpec) {
+  if (!frameSpec || !frameSpec.trim()) {
+    return page.mainFrame();
+  }
+
+  const spec = frameSpec.trim();
+  const childFrames = page.frames().filter(frame => frame !== page.mainFrame() && !frame.detached);
+
+  for (const frame of childFrames) {
+    const owner = await getFrameOwnerInfo(frame);
+    if (owner && (owner.name === spec || owner.id === spec)) {
+      return frame;
+    }
+  }
+
+  const bySelector = await resolveSelectorChain(page, spec);
+  if (bySelector) {
+    return bySelector;
+  }
+
+  let matchUrl = null;
+  try {
+    matchUrl = createUrlMatcher(spec);
+  } catch {
+    // Not a valid regex - cannot be a URL pattern either
+  }
+  const byUrl = matchUrl && childFrames.find(frame => matchUrl(frame.url()));
+  if (byUrl) {
+    return byUrl;
+  }
+
+  const available = (await listFrames(page)).map(f => `${f.path} (${f.url})`);
+  throw new Error(
+    `Frame not found: "${spec}".` +
+    (available.length > 0 ? ` Available frames: ${available.join('; ')}` : ' The page has no iframes')
+  );
+}
+
+/**
+ * Build selector chain from the main document to a frame
+ * @param {Object} frame - Puppeteer Frame
+ * @returns {string|null} - Frame path (null for the main frame or detached frames)
+ */
+export async function getFramePath(frame) {
+  const parts = [];
+  let current = frame;
+
+  while (current.parentFrame()) {
+    const owner = await current.frameElement();
+    if (!owner) return null;
+
+    try {
+      parts.unshift(await owner.evaluate(buildOwnerSelector));
+    } finally {
+      await owner.dispose();
+    }
+    current = current.parentFrame();
+  }
+
+  return parts.length > 0 ? parts.join(FRAME_PATH_SEPARATOR) : null;
+}
+
+/**
+ * List child frames of a page
+ * @param {Object} page - Puppeteer page instance
+ * @returns {Array} - [{ path, name, url, depth, frame }]
+ */
+export async function listFrames(page) {
+  const frames = [];
+
+  for (const frame of page.frames()) {
+    if (frame === page.mainFrame() || frame.detached) continue;
+
+    try {
+      const path = await getFramePath(frame);
+      if (!path) continue;
+
+      const owner = await getFrameOwnerInfo(frame);
+      frames.push({
+        path,
+        name: owner?.name || owner?.id || null,
+        url: frame.url(),
+        depth: path.split(FRAME_PATH_SEPARATOR).length,
+        frame
+      });
+    } catch {
+      // Frame detached while listing
+    }
+  }
+
+  return frames;
+}
+
+/**
+ * Helpers
+ */
+
+async function resolveSelectorChain(page, chain) {
+  let current = page.mainFrame();
+
+  for (const selector of chain.split(FRAME_PATH_SEPARATOR)) {
+    let handle;
+    try {
+      handle = await current.$(selector.trim());
+    } catch {
+      // Invalid CSS - not a selector chain
+      return null;
+    }
+    if (!handle) return null;
+
+    try {
+      const frame = await handle.contentFrame();
+      if (!frame) {
+        throw new Error(`"${selector.trim()}" is not an <iframe> or <frame> element`);
+      }
+      current = frame;
+    } finally {
+      await handle.dispose();
+    }
+  }
+
+  return current;
+}
+
+async function getFrameOwnerInfo(frame) {
+  try {
+    const owner = await frame.frameElement();
+    if (!owner) return null;
+    try {
+      return await owner.evaluate(el => ({ name: el.getAttribute('name'), id: el.id || null }));
+    } finally {
+      await owner.dispose();
+    }
+  } catch {
+    return null;
+  }
+}
+
+// Runs in the parent document: shortest stable selector for an <iframe>/<frame> element
+function buildOwnerSelector(el) {
+  const tag = el.tagName.toLowerCase();
+  const isUnique = (selector) => {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch {
+      return false;
+    }
+  };
+
+  if (el.id && isUnique(`#${CSS.escape(el.id)}`)) {
+    return `${tag}#${CSS.escape(el.id)}`;
+  }
+
+  for (const attr of ['name', 'title', 'data-testid', 'src']) {
+    const value = el.getAttribute(attr);
+    if (!value) continue;
+    const selector = `${tag}[${attr}="${value.replace(/"/g, '\\"')}"]`;
+    if (isUnique(selector)) return selector;
+  }
+
+  // Positional path up to the nearest ancestor with an id
+  const steps = [];
+  let node = el;
+  while (node && node.nodeType === Node.ELEMENT_NODE && node !== document.documentElement) {
+    if (node !== el && node.id) {
+      steps.unshift(`#${CSS.escape(node.id)}`);
+      break;
+    }
+    const sameTag = Array.from(node.parentElement?.children || []).filter(c => c.tagName === node.tagName);
+    const nodeTag = node.tagName.toLowerCase();
+    steps.unshift(sameTag.length > 1 ? `${nodeTag}:nth-of-type(${sameTag.indexOf(node) + 1})` : nodeTag);
+    node = node.parentElement;
+  }
+  return steps.join(' > ');
+}
@@ -0,0 +1,319 @@
+/**
+ * utils/har.js
+ *
+ * HAR 1.2 support:
+ * 1. Export captured network traffic (utils/network-capture.js) as HAR
+ * 2. Replay responses from a HAR file via request interception (offline, deterministic runs)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getResponseBody } from './network-capture.js';
+import { addRequestHandler, removeRequestHandler } from './request-interceptor.js';
+
+const HAR_REPLAY_HANDLER = 'har-replay';
+
+// Response headers that no longer apply once the body is served decoded from HAR
+const STRIPPED_REPLAY_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+// Active replays: page -> replay stats
+const activeReplays = new WeakMap();
+
+/**
+ * Build HAR 1.2 log from captured requests
+ * @param {Object} page - Puppeteer page instance
+ * @param {Array} entries - Captured entries (from getCapturedRequests)
+ * @param {Object} options - { includeBodies, maxBodySize, creatorVersion }
+ * @returns {Object} - HAR object { log }
+ */
+export async function buildHar(page, entries, options = {}) {
+  const { includeBodies = true, maxBodySize = 1024 * 1024, creatorVersion = '' } = options;
+
+  const pageId = 'page_1';
+  const startedDateTime = entries[0]?.startTime || new Date().toISOString();
+
+  let title = '';
+  try {
+    title = await page.title();
+  } catch {
+    // Page may be navigating
+  }
+
+  const harEntries = [];
+  for (const entry of entries) {
+    // Skip requests that never got a response (still pending or blocked before sending)
+    if (entry.status === null && !entry.failed) continue;
+
+    const content = {
+      size: entry.encodedDataLength || 0,
+      mimeType: entry.mimeType || 'x-unknown'
+    };
+
+    if (includeBodies && !entry.failed) {
+      const body = await getResponseBody(page, entry, maxBodySize);
+      if (body.body !== undefined && !body.truncated) {
+        content.size = body.size;
+        content.text = body.body;
+        if (body.base64Encoded) content.encoding = 'base64';
+      } else if (body.truncated) {
+        content.comment = `Body omitted: larger than ${maxBodySize} characters`;
+      }
+    }
+
+    const requestHeaders = toHarHeaders(entry.requestHeaders);
+    const responseHeaders = toHarHeaders(entry.responseHeaders);
+    const timings = toHarTimings(entry);
+
+    const harEntry = {
+      pageref: pageId,
+      startedDateTime: entry.startTime,
+      time: Object.entries(timings)
+        .filter(([phase, value]) => phase !== 'ssl' && value > 0)
+        .reduce((sum, [, value]) => sum + value, 0),
+      request: {
+        method: entry.method,
+        url: entry.url,
+        httpVersion: toHttpVersion(entry.protocol),
+        cookies: [],
+        headers: requestHeaders,
+        queryString: toQueryString(entry.url),
+        headersSize: -1,
+        bodySize: entry.requestBody ? entry.requestBody.length : 0
+      },
+      response: {
+        status: entry.failed ? 0 : entry.status,
+        statusText: entry.failed ? entry.errorText || '' : entry.statusText || '',
+        httpVersion: toHttpVersion(entry.protocol),
+        cookies: [],
+        headers: responseHeaders,
+        content,
+        redirectURL: entry.redirectedTo || '',
+        headersSize: -1,
+        bodySize: entry.encodedDataLength || -1
+      },
+      cache: {},
+      timings,
+      _resourceType: entry.resourceType.toLowerCase()
+    };
+
+    if (entry.requestBody) {
+      harEntry.request.postData = {
+        mimeType: getHeader(entry.requestHeaders, 'content-type') || 'application/octet-stream',
+        text: entry.requestBody
+      };
+    }
+    if (entry.remoteAddress) {
+      harEntry.serverIPAddress = entry.remoteAddress.replace(/:\d+$/, '').replace(/^\[|\]$/g, '');
+    }
+    if (entry.failed) {
+      harEntry._error = entry.errorText;
+    }
+
+    harEntries.push(harEntry);
+  }
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'chrometools-mcp', version: creatorVersion },
+      pages: [{
+        startedDateTime,
+        id: pageId,
+        title: title || page.url(),
+        pageTimings: { onContentLoad: -1, onLoad: -1 }
+      }],
+      entries: harEntries
+    }
+  };
+}
+
+/**
+ * Write HAR object to file
+ * @param {string} filePath - Target file path
+ * @param {Object} har - HAR object
+ * @returns {string} - Absolute file path
+ */
+export async function writeHar(filePath, har) {
+  const absolutePath = path.resolve(filePath);
+  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.writeFile(absolutePath, JSON.stringify(har, null, 2), 'utf-8');
+  return absolutePath;
+}
+
+/**
+ * Read HAR file
+ * @param {string} filePath - HAR file path
+ * @returns {Object} - HAR object
+ */
+export async function readHar(filePath) {
+  let har;
+  try {
+    har = JSON.parse(await fs.readFile(path.resolve(filePath), 'utf-8'));
+  } catch (error) {
+    throw new Error(`HAR file "${filePath}" could not be loaded: ${error.message}`);
+  }
+
+  if (!har?.log?.entries) {
+    throw new Error(`HAR file "${filePath}" has no log.entries`);
+  }
+
+  return har;
+}
+
+/**
+ * Serve responses from HAR via request interception
+ * Requests are matched by method + URL; repeated requests are served in recorded order
+ * (the last recorded response is reused once the sequence is exhausted).
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} har - HAR object
+ * @param {Object} options - { notFound: 'abort' | 'continue', ignoreQuery, matchPostData }
+ * @returns {Object} - Replay stats (live object)
+ */
+export async function startHarReplay(page, har, options = {}) {
+  const { notFound = 'abort', ignoreQuery = false, matchPostData = false } = options;
+
+  const keyFor = (method, url, postData) => {
+    const normalizedUrl = ignoreQuery ? url.split('?')[0] : url.split('#')[0];
+    return `${method} ${normalizedUrl}${matchPostData ? ` ${postData || ''}` : ''}`;
+  };
+
+  // Group replayable entries by request key
+  const responses = new Map();
+  for (const entry of har.log.entries) {
+    if (!entry.response || entry.response.status === 0) continue;
+
+    const key = keyFor(entry.request.method, entry.request.url, entry.request.postData?.text);
+    if (!responses.has(key)) responses.set(key, []);
+    responses.get(key).push(entry.response);
+  }
+
+  const stats = {
+    entries: har.log.entries.length,
+    served: 0,
+    notFound: 0,
+    notFoundUrls: [],
+    notFoundPolicy: notFound,
+    startedAt: new Date().toISOString()
+  };
+  const servedCount = new Map();
+
+  await addRequestHandler(page, HAR_REPLAY_HANDLER, async (request) => {
+    const key = keyFor(request.method, request.url, request.postData);
+    const recorded = responses.get(key);
+
+    if (!recorded) {
+      stats.notFound++;
+      if (stats.notFoundUrls.length < 50) {
+        stats.notFoundUrls.push(`${request.method} ${request.url}`);
+      }
+      return notFound === 'abort' ? { fail: 'InternetDisconnected' } : null;
+    }
+
+    const index = servedCount.get(key) || 0;
+    servedCount.set(key, index + 1);
+    stats.served++;
+
+    return { fulfill: toFulfillResponse(recorded[Math.min(index, recorded.length - 1)]) };
+  });
+
+  activeReplays.set(page, stats);
+  return stats;
+}
+
+/**
+ * Stop HAR replay for a page
+ * @param {Object} page - Puppeteer page instance
+ * @returns {Object|null} - Final replay stats or null if no replay was active
+ */
+export async function stopHarReplay(page) {
+  const stats = activeReplays.get(page);
+  if (!stats) return null;
+
+  activeReplays.delete(page);
+  await removeRequestHandler(page, HAR_REPLAY_HANDLER);
+
+  return { ...stats, stoppedAt: new Date().toISOString() };
+}
+
+/**
+ * Get active HAR replay stats for a page
+ * @param {Object} page - Puppeteer page instance
+ * @returns {Object|null}
+ */
+export function getHarReplayStats(page) {
+  return activeReplays.get(page) || null;
+}
+
+/**
+ * Helpers
+ */
+
+function toFulfillResponse(response) {
+  // One entry per HAR header - repeated headers (e.g. set-cookie) cannot be joined into one value
+  const headers = (response.headers || [])
+    .filter(({ name }) => !STRIPPED_REPLAY_HEADERS.includes(name.toLowerCase()))
+    .map(({ name, value }) => ({ name, value }));
+
+  const content = response.content || {};
+  return {
+    status: response.status,
+    headers,
+    body: content.text || '',
+    base64Encoded: content.encoding === 'base64'
+  };
+}
+
+function toHarHeaders(headers) {
+  if (!headers) return [];
+  return Object.entries(headers).flatMap(([name, value]) =>
+    String(value).split('\n').map(v => ({ name, value: v }))
+  );
+}
+
+function getHeader(headers, name) {
+  if (!headers) return null;
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+function toQueryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function toHttpVersion(protocol) {
+  if (!protocol) return 'HTTP/1.1';
+  if (protocol === 'h2') return 'HTTP/2';
+  if (protocol === 'h3') return 'HTTP/3';
+  return protocol.toUpperCase();
+}
+
+// Convert CDP ResourceTiming (ms offsets from requestTime) to HAR phase durations
+function toHarTimings(entry) {
+  const timing = entry.rawTiming;
+  const total = entry.duration || 0;
+
+  if (!timing) {
+    return { blocked: -1, dns: -1, connect: -1, send: 0, wait: total, receive: 0, ssl: -1 };
+  }
+
+  const phase = (start, end) => (start >= 0 && end >= 0 ? round(end - start) : -1);
+  const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(t => t >= 0);
+
+  return {
+    blocked: firstStart !== undefined ? round(firstStart) : -1,
+    dns: phase(timing.dnsStart, timing.dnsEnd),
+    connect: phase(timing.connectStart, timing.connectEnd),
+    send: Math.max(0, phase(timing.sendStart, timing.sendEnd)),
+    wait: Math.max(0, phase(timing.sendEnd, timing.receiveHeadersEnd)),
+    receive: Math.max(0, round(total - timing.receiveHeadersEnd)),
+    ssl: phase(timing.sslStart, timing.sslEnd)
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
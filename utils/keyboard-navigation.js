@@ -0,0 +1,420 @@
+/**
+ * utils/keyboard-navigation.js
+ *
+ * Keyboard navigation audit driven by real Tab key presses:
+ * 1. Focus order: selector, role, accessible name and bounding box of every focus stop
+ * 2. Focus indicator check: outline, box-shadow, border, background and text styles of the
+ *    focused element compared with the same element right before the Tab press (unfocused)
+ * 3. Focus traps: Tab stops moving, or focus cycles through a subset of stops without leaving it
+ * 4. Mouse-only elements: clickable elements (onclick, interactive role, pointer cursor) never reached by Tab
+ * 5. Annotated screenshot with numbered focus stops
+ */
+
+// Same element focused after this many extra Tab presses = focus is stuck
+const STUCK_PRESSES = 2;
+
+// Elements listed as mouse-only at most
+const MAX_MOUSE_ONLY = 50;
+
+// Focus indicator styles compared before/after focus
+const INDICATOR_PROPERTIES = [
+  'outline-style', 'outline-width', 'outline-color', 'outline-offset', 'box-shadow',
+  'border-top-color', 'border-top-width', 'border-bottom-color', 'border-bottom-width',
+  'background-color', 'color', 'text-decoration-line'
+];
+
+/**
+ * Audit keyboard navigation of the page
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { maxStops, finderUtils }
+ * @returns {Object} - { url, complete, endReason, summary, stops, trap, mouseOnly }
+ */
+export async function auditKeyboardNavigation(page, options = {}) {
+  const { maxStops = 200, finderUtils } = options;
+
+  const scroll = await page.evaluate(prepareAuditInPage, finderUtils, INDICATOR_PROPERTIES);
+  const client = await page.target().createCDPSession();
+
+  const stops = [];
+  let trap = null;
+  let endReason = 'maxStops';
+  let repeats = 0;
+
+  try {
+    // Focus moving inside an iframe keeps the <iframe> as activeElement, so presses are capped separately
+    for (let press = 0; press < maxStops * 2 && stops.length < maxStops; press++) {
+      // Earlier stops can change other elements' styles (menus, focus-within) - compare with the current state
+      await page.evaluate(captureUnfocusedStylesInPage);
+      await page.keyboard.press('Tab');
+
+      const handle = await page.evaluateHandle(getActiveElementInPage);
+      const element = handle.asElement();
+      if (!element) {
+        await handle.dispose();
+        // Focus left the document after the last stop
+        endReason = stops.length > 0 ? 'completed' : 'noFocusableElements';
+        break;
+      }
+
+      try {
+        const state = await element.evaluate(describeFocusStopInPage);
+
+        if (state.visitedIndex === -1) {
+          repeats = 0;
+          stops.push({
+            index: stops.length + 1,
+            ...state.stop,
+            ...(await getAccessibleRoleAndName(client, element))
+          });
+          continue;
+        }
+
+        if (state.visitedIndex === 0 && stops.length > 1) {
+          // Wrapped around to the first stop: complete only if nothing reachable was skipped -
+          // a trap can include the first stop (e.g. a modal open at load)
+          const unreached = await page.evaluate(countUnreachedInPage);
+          if (unreached === 0) {
+            endReason = 'completed';
+            break;
+          }
+
+          trap = { ...buildTrap('cycle', stops, state.inModal), unreached };
+          endReason = 'focusTrap';
+          break;
+        }
+
+        if (state.visitedIndex === stops.length - 1) {
+          if (stops[state.visitedIndex].tag === 'iframe') continue;
+          if (++repeats < STUCK_PRESSES) continue;
+
+          trap = buildTrap('stuck', stops.slice(-1), state.inModal);
+          endReason = 'focusTrap';
+          break;
+        }
+
+        trap = buildTrap('cycle', stops.slice(state.visitedIndex), state.inModal);
+        endReason = 'focusTrap';
+        break;
+      } finally {
+        await element.dispose();
+      }
+    }
+
+    const mouseOnly = await page.evaluate(findMouseOnlyInPage, MAX_MOUSE_ONLY);
+    const withoutIndicator = stops.filter(stop => stop.focusIndicator && !stop.focusIndicator.visible).length;
+
+    return {
+      url: page.url(),
+      complete: endReason === 'completed' || endReason === 'noFocusableElements',
+      endReason,
+      summary: {
+        focusStops: stops.length,
+        withoutFocusIndicator: withoutIndicator,
+        mouseOnly: mouseOnly.count,
+        focusTrap: trap !== null
+      },
+      stops,
+      trap,
+      mouseOnly: mouseOnly.elements
+    };
+  } finally {
+    await client.detach().catch(() => {});
+    await page.evaluate(finishAuditInPage, scroll).catch(() => {});
+  }
+}
+
+/**
+ * Take full-page screenshot with numbered focus stops drawn over the page
+ * @param {Object} page - Puppeteer page instance
+ * @param {Array} stops - Stops from auditKeyboardNavigation
+ * @returns {Buffer} - PNG screenshot
+ */
+export async function captureFocusOrderScreenshot(page, stops) {
+  await page.evaluate(drawFocusOrderOverlay, stops.filter(stop => stop.box).map(stop => ({
+    index: stop.index,
+    box: stop.box,
+    missingIndicator: stop.focusIndicator ? !stop.focusIndicator.visible : false
+  })));
+
+  try {
+    return await page.screenshot({ fullPage: true, encoding: 'binary' });
+  } finally {
+    await page.evaluate(() => document.getElementById('__chrometools-focus-order')?.remove()).catch(() => {});
+  }
+}
+
+/**
+ * Helpers
+ */
+
+function buildTrap(type, trapStops, inModal) {
+  return {
+    type,
+    description: type === 'stuck'
+      ? 'Tab does not move focus away from this element'
+      : `Focus cycles through ${trapStops.length} elements and never reaches the rest of the page`,
+    // Modal dialogs are expected to keep focus inside until closed
+    likelyIntentional: inModal,
+    elements: trapStops.map(stop => ({ index: stop.index, selector: stop.selector, name: stop.name }))
+  };
+}
+
+async function getAccessibleRoleAndName(client, element) {
+  try {
+    const { nodes } = await client.send('Accessibility.getPartialAXTree', {
+      objectId: element.remoteObject().objectId,
+      fetchRelatives: false
+    });
+    const node = nodes.find(n => !n.ignored) || nodes[0];
+    return {
+      role: node?.role?.value || null,
+      name: node?.name?.value || ''
+    };
+  } catch {
+    return { role: null, name: '' };
+  }
+}
+
+// Runs in the page: reset focus to the start of the document, list elements that can take focus
+function prepareAuditInPage(utilsCode, properties) {
+  eval(utilsCode);
+
+  // Sequential focus navigation starts after the focused element - use a temporary anchor at the top
+  const anchor = document.createElement('div');
+  anchor.tabIndex = -1;
+  anchor.style.cssText = 'position:absolute;top:0;left:0;width:1px;height:1px;outline:none;';
+  document.body.prepend(anchor);
+  anchor.focus({ preventScroll: true });
+
+  const candidates = querySelectorAllDeep('*')
+    .filter(el => el !== anchor && (el.tabIndex >= 0 || el.hasAttribute('tabindex')));
+
+  window.__chrometoolsFocusAudit = {
+    candidates,
+    baseline: new WeakMap(),
+    visited: [],
+    anchor,
+    properties,
+    getSelector: getUniqueSelectorOrNullInPage,
+    querySelectorAllDeep
+  };
+
+  return { x: window.scrollX, y: window.scrollY };
+}
+
+// Runs in the page: unfocused styles of elements not visited yet, taken before each Tab press
+function captureUnfocusedStylesInPage() {
+  const audit = window.__chrometoolsFocusAudit;
+  for (const el of audit.candidates) {
+    if (audit.visited.includes(el) || !el.isConnected) continue;
+    const style = getComputedStyle(el);
+    audit.baseline.set(el, Object.fromEntries(
+      audit.properties.map(prop => [prop, style.getPropertyValue(prop)])
+    ));
+  }
+}
+
+// Runs in the page: elements in the tab order that focus never reached
+function countUnreachedInPage() {
+  const audit = window.__chrometoolsFocusAudit;
+  // Only one radio of a group is in the tab order
+  const groupVisited = (el) => el.type === 'radio' && el.name &&
+    audit.visited.some(v => v.type === 'radio' && v.name === el.name && v.form === el.form);
+
+  return audit.candidates.filter(el => {
+    if (audit.visited.includes(el) || !el.isConnected) return false;
+    if (el.tabIndex < 0 || el.disabled || el.closest('[inert]')) return false;
+    if (el.getClientRects().length === 0 || getComputedStyle(el).visibility === 'hidden') return false;
+    return !groupVisited(el);
+  }).length;
+}
+
+// Runs in the page: focused element, descending into open shadow roots
+function getActiveElementInPage() {
+  let el = document.activeElement;
+  while (el && el.shadowRoot && el.shadowRoot.activeElement) {
+    el = el.shadowRoot.activeElement;
+  }
+  const audit = window.__chrometoolsFocusAudit;
+  if (!el || el === document.body || el === document.documentElement || el === audit?.anchor) {
+    return null;
+  }
+  return el;
+}
+
+// Runs in the page on the focused element
+function describeFocusStopInPage(el) {
+  const audit = window.__chrometoolsFocusAudit;
+  if (audit.anchor) {
+    audit.anchor.remove();
+    audit.anchor = null;
+  }
+
+  let inModal = false;
+  for (let node = el; node && !inModal; node = node.getRootNode().host) {
+    inModal = !!node.closest('dialog[open], [aria-modal="true"]');
+  }
+
+  const visitedIndex = audit.visited.indexOf(el);
+  if (visitedIndex !== -1) {
+    return { visitedIndex, inModal };
+  }
+  audit.visited.push(el);
+
+  const style = getComputedStyle(el);
+  const after = {};
+  for (const prop of audit.properties) {
+    after[prop] = style.getPropertyValue(prop);
+  }
+
+  const isTransparent = (color) => color === 'transparent' || /rgba\([^)]*,\s*0\)$/.test(color);
+
+  let focusIndicator = null;
+  const before = audit.baseline.get(el);
+  if (before) {
+    const changes = [];
+    const changed = (...props) => props.some(prop => before[prop] !== after[prop]);
+
+    const outlineVisible = after['outline-style'] !== 'none' && parseFloat(after['outline-width']) > 0 && !isTransparent(after['outline-color']);
+    if (outlineVisible && changed('outline-style', 'outline-width', 'outline-color', 'outline-offset')) changes.push('outline');
+    if (after['box-shadow'] !== 'none' && changed('box-shadow')) changes.push('box-shadow');
+    if (changed('border-top-color', 'border-top-width', 'border-bottom-color', 'border-bottom-width')) changes.push('border');
+    if (changed('background-color')) changes.push('background');
+    if (changed('color')) changes.push('color');
+    if (changed('text-decoration-line')) changes.push('text-decoration');
+
+    focusIndicator = { visible: changes.length > 0, changes };
+  }
+
+  const rect = el.getBoundingClientRect();
+  const box = rect.width > 0 || rect.height > 0
+    ? {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      }
+    : null;
+
+  const inViewport = rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth;
+
+  return {
+    visitedIndex: -1,
+    inModal,
+    stop: {
+      selector: audit.getSelector(el),
+      tag: el.tagName.toLowerCase(),
+      box,
+      ...(box && !inViewport ? { offscreen: true } : {}),
+      ...(box ? {} : { hidden: true }),
+      tabindex: el.getAttribute('tabindex') !== null ? parseInt(el.getAttribute('tabindex'), 10) : undefined,
+      focusIndicator
+    }
+  };
+}
+
+// Runs in the page: clickable elements that keyboard focus never reached
+function findMouseOnlyInPage(maxElements) {
+  const audit = window.__chrometoolsFocusAudit;
+  const visited = audit.visited;
+
+  const interactiveRoles = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'option', 'treeitem', 'slider', 'spinbutton', 'combobox', 'textbox', 'searchbox'];
+  const nativeFocusable = (el) => {
+    if (el.disabled) return false;
+    if (el.tagName === 'A' || el.tagName === 'AREA') return el.hasAttribute('href');
+    if (el.tagName === 'INPUT') return el.type !== 'hidden';
+    return ['BUTTON', 'SELECT', 'TEXTAREA', 'SUMMARY', 'IFRAME'].includes(el.tagName) || el.isContentEditable;
+  };
+  const parentOf = (el) => el.parentElement || el.getRootNode().host || null;
+  const isRendered = (el) => {
+    const style = getComputedStyle(el);
+    if (style.display === 'none' || style.visibility === 'hidden' || style.pointerEvents === 'none') return false;
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  };
+  const containsDeep = (ancestor, node) => {
+    for (let current = node; current; current = parentOf(current)) {
+      if (current === ancestor) return true;
+    }
+    return false;
+  };
+  const relatedToVisited = (el) => visited.some(v => containsDeep(el, v) || containsDeep(v, el));
+
+  let count = 0;
+  const elements = [];
+  const reported = [];
+
+  for (const el of audit.querySelectorAllDeep('*')) {
+    if (el.disabled || el.closest('label, [inert]') || el.tagName === 'OPTION') continue;
+
+    const reasons = [];
+    const role = el.getAttribute('role');
+    if (el.hasAttribute('onclick') || typeof el.onclick === 'function') reasons.push('click handler');
+    if (role && interactiveRoles.includes(role)) reasons.push(`role="${role}"`);
+    if (nativeFocusable(el)) reasons.push(`native <${el.tagName.toLowerCase()}>`);
+
+    const parent = parentOf(el);
+    if (getComputedStyle(el).cursor === 'pointer' && !(parent && parent.nodeType === Node.ELEMENT_NODE && getComputedStyle(parent).cursor === 'pointer')) {
+      reasons.push('pointer cursor');
+    }
+
+    if (reasons.length === 0 || !isRendered(el) || relatedToVisited(el)) continue;
+    // Nested clickable parts of an element already listed
+    if (reported.some(r => containsDeep(r, el))) continue;
+
+    reported.push(el);
+    count++;
+    if (elements.length < maxElements) {
+      const tabindex = el.getAttribute('tabindex');
+      elements.push({
+        selector: audit.getSelector(el),
+        tag: el.tagName.toLowerCase(),
+        text: (el.innerText || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim().substring(0, 80),
+        reasons,
+        issue: tabindex !== null && parseInt(tabindex, 10) < 0
+          ? `tabindex="${tabindex}" removes it from the tab order`
+          : nativeFocusable(el)
+            ? 'Focusable element was not reached by Tab'
+            : 'Not focusable - add tabindex="0" and key handlers, or use a <button>/<a href>'
+      });
+    }
+  }
+
+  return { count, elements };
+}
+
+// Runs in the page: clean up audit state, restore scroll position
+function finishAuditInPage(scroll) {
+  const audit = window.__chrometoolsFocusAudit;
+  if (audit?.anchor) audit.anchor.remove();
+  delete window.__chrometoolsFocusAudit;
+
+  document.activeElement?.blur?.();
+  window.scrollTo(scroll.x, scroll.y);
+}
+
+// Runs in the page: numbered boxes over focus stops (red = no visible focus indicator)
+function drawFocusOrderOverlay(stops) {
+  const overlay = document.createElement('div');
+  overlay.id = '__chrometools-focus-order';
+  overlay.style.cssText = 'position:absolute;top:0;left:0;width:0;height:0;z-index:2147483647;pointer-events:none;';
+
+  for (const { index, box, missingIndicator } of stops) {
+    const color = missingIndicator ? '#d93025' : '#1a73e8';
+
+    const frame = document.createElement('div');
+    frame.style.cssText = `position:absolute;left:${box.x}px;top:${box.y}px;width:${box.width}px;height:${box.height}px;` +
+      `border:2px solid ${color};box-sizing:border-box;`;
+
+    const badge = document.createElement('div');
+    badge.textContent = String(index);
+    badge.style.cssText = `position:absolute;left:${Math.max(box.x - 10, 0)}px;top:${Math.max(box.y - 10, 0)}px;` +
+      `min-width:18px;height:18px;padding:0 3px;border-radius:9px;background:${color};color:#fff;` +
+      'font:bold 11px/18px sans-serif;text-align:center;box-sizing:border-box;';
+
+    overlay.append(frame, badge);
+  }
+
+  document.body.appendChild(overlay);
+}
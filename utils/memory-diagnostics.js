@@ -0,0 +1,389 @@
+/**
+ * utils/memory-diagnostics.js
+ *
+ * Memory diagnostics for a page:
+ * 1. Heap snapshots (HeapProfiler) streamed to disk
+ * 2. Snapshot summary: top constructors by retained size (dominator tree), detached DOM nodes
+ * 3. Memory counters after forced GC: JS heap, DOM nodes, event listeners, documents
+ * 4. Leak check: repeat a flow N times and flag counters that grow on every run
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Heap growth below this is treated as noise (bytes)
+const MIN_HEAP_GROWTH = 64 * 1024;
+
+// Dominator chain depth checked when de-duplicating retained sizes of one constructor
+const MAX_SAME_CLASS_DEPTH = 20;
+
+// Counters checked by the leak check
+const LEAK_METRICS = ['jsHeapUsedSize', 'domNodes', 'jsEventListeners', 'documents'];
+
+/**
+ * Take heap snapshot and save it to disk
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { path, top, collectGarbage }
+ * @returns {Object} - { path, sizeBytes, summary }
+ */
+export async function takeHeapSnapshot(page, options = {}) {
+  const { top = 20, collectGarbage = true } = options;
+
+  const filePath = path.resolve(options.path || path.join(
+    process.env.CHROME_HEAP_SNAPSHOT_DIR || path.join(os.tmpdir(), 'chrometools-heap-snapshots'),
+    `heap-${new Date().toISOString().replace(/[:.]/g, '-')}.heapsnapshot`
+  ));
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const client = await page.target().createCDPSession();
+  const stream = fs.createWriteStream(filePath);
+  let sizeBytes = 0;
+
+  try {
+    await client.send('HeapProfiler.enable');
+    if (collectGarbage) {
+      await client.send('HeapProfiler.collectGarbage');
+    }
+
+    // Chunks arrive as events before takeHeapSnapshot resolves
+    client.on('HeapProfiler.addHeapSnapshotChunk', ({ chunk }) => {
+      sizeBytes += Buffer.byteLength(chunk);
+      stream.write(chunk);
+    });
+    await client.send('HeapProfiler.takeHeapSnapshot', { reportProgress: false, captureNumericValue: false });
+  } finally {
+    await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
+    await client.send('HeapProfiler.disable').catch(() => {});
+    await client.detach().catch(() => {});
+  }
+
+  const snapshot = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+
+  return {
+    path: filePath,
+    sizeBytes,
+    summary: summarizeHeapSnapshot(snapshot, { top })
+  };
+}
+
+/**
+ * Summarize parsed heap snapshot
+ * @param {Object} snapshot - Parsed .heapsnapshot JSON
+ * @param {Object} options - { top }
+ * @returns {Object} - { nodeCount, totalSize, topConstructors, detachedDomNodes }
+ */
+export function summarizeHeapSnapshot(snapshot, options = {}) {
+  const { top = 20 } = options;
+  const graph = readGraph(snapshot);
+  const { nodeCount } = graph;
+
+  const { postOrder, postIndex, reachable } = computePostOrder(graph);
+  const dominators = computeDominators(graph, postOrder, postIndex);
+
+  // Retained size: own size plus sizes of everything it dominates (children come first in post-order)
+  const retained = new Float64Array(nodeCount);
+  for (const node of postOrder) retained[node] += graph.selfSize(node);
+  for (const node of postOrder) {
+    const dominator = dominators[node];
+    if (dominator !== node) retained[dominator] += retained[node];
+  }
+
+  const classOf = new Array(nodeCount);
+  const classes = new Map();
+  let totalSize = 0;
+  let detachedDomNodes = 0;
+
+  for (const node of postOrder) {
+    const className = graph.className(node);
+    classOf[node] = className;
+    totalSize += graph.selfSize(node);
+    if (graph.isDetached(node)) detachedDomNodes++;
+  }
+
+  for (const node of postOrder) {
+    const className = classOf[node];
+    if (className === null) continue;
+
+    const entry = classes.get(className) || { name: className, count: 0, shallowSize: 0, retainedSize: 0 };
+    entry.count++;
+    entry.shallowSize += graph.selfSize(node);
+
+    // Count retained size once per constructor: skip nodes retained by another node of the same class
+    let nested = false;
+    let current = dominators[node];
+    for (let depth = 0; depth < MAX_SAME_CLASS_DEPTH && current !== dominators[current]; depth++) {
+      if (classOf[current] === className) {
+        nested = true;
+        break;
+      }
+      current = dominators[current];
+    }
+    if (!nested) entry.retainedSize += retained[node];
+
+    classes.set(className, entry);
+  }
+
+  return {
+    nodeCount: reachable,
+    totalSize,
+    topConstructors: [...classes.values()]
+      .sort((a, b) => b.retainedSize - a.retainedSize)
+      .slice(0, top)
+      .map(entry => ({
+        ...entry,
+        retainedPercent: totalSize > 0 ? Math.round((entry.retainedSize / totalSize) * 1000) / 10 : 0
+      })),
+    detachedDomNodes
+  };
+}
+
+/**
+ * Force garbage collection and read memory counters
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { collectGarbage }
+ * @returns {Object} - { jsHeapUsedSize, jsHeapTotalSize, domNodes, jsEventListeners, documents }
+ */
+export async function collectMemoryMetrics(page, options = {}) {
+  const { collectGarbage = true } = options;
+  const client = await page.target().createCDPSession();
+
+  try {
+    if (collectGarbage) {
+      // Twice: the first pass may only schedule finalizers
+      await client.send('HeapProfiler.collectGarbage');
+      await client.send('HeapProfiler.collectGarbage');
+    }
+
+    await client.send('Performance.enable');
+    const { metrics } = await client.send('Performance.getMetrics');
+    const byName = Object.fromEntries(metrics.map(metric => [metric.name, metric.value]));
+    const counters = await client.send('Memory.getDOMCounters').catch(() => null);
+
+    return {
+      jsHeapUsedSize: byName.JSHeapUsedSize ?? null,
+      jsHeapTotalSize: byName.JSHeapTotalSize ?? null,
+      domNodes: counters?.nodes ?? byName.Nodes ?? null,
+      jsEventListeners: counters?.jsEventListeners ?? byName.JSEventListeners ?? null,
+      documents: counters?.documents ?? byName.Documents ?? null
+    };
+  } finally {
+    await client.detach().catch(() => {});
+  }
+}
+
+/**
+ * Run a flow repeatedly and check memory counters for steady growth
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { iterations, runIteration: async (index) => result }
+ * @returns {Object} - { iterations, samples, growth, leakSuspected, suspects }
+ */
+export async function runLeakCheck(page, options = {}) {
+  const { iterations = 5, runIteration } = options;
+  const samples = [];
+
+  for (let i = 0; i < iterations; i++) {
+    const started = Date.now();
+    const result = await runIteration(i);
+    if (result && result.success === false) {
+      const error = new Error(`Run ${i + 1} of ${iterations} failed: ${(result.errors || []).join('; ') || 'unknown error'}`);
+      error.samples = samples;
+      throw error;
+    }
+
+    samples.push({
+      run: i + 1,
+      duration: Date.now() - started,
+      ...(await collectMemoryMetrics(page))
+    });
+  }
+
+  // First run warms up caches and lazy-loaded code, so growth is measured from run 1 on
+  const measured = samples.length > 2 ? samples.slice(1) : samples;
+  const growth = {};
+  const suspects = [];
+
+  for (const metric of LEAK_METRICS) {
+    const values = measured.map(sample => sample[metric]).filter(value => value !== null && value !== undefined);
+    if (values.length < 2) continue;
+
+    const total = values[values.length - 1] - values[0];
+    const monotonic = values.every((value, i) => i === 0 || value >= values[i - 1]) && total > 0;
+    const significant = metric === 'jsHeapUsedSize' ? total >= MIN_HEAP_GROWTH : total > 0;
+
+    growth[metric] = {
+      first: values[0],
+      last: values[values.length - 1],
+      total,
+      perRun: Math.round(total / (values.length - 1)),
+      monotonic
+    };
+
+    if (monotonic && significant) suspects.push(metric);
+  }
+
+  return {
+    iterations,
+    samples,
+    growth,
+    leakSuspected: suspects.length > 0,
+    suspects
+  };
+}
+
+/**
+ * Helpers
+ */
+
+// Accessors over the flat node/edge arrays of a heap snapshot
+function readGraph(snapshot) {
+  const meta = snapshot.snapshot.meta;
+  const nodeFields = meta.node_fields;
+  const edgeFields = meta.edge_fields;
+  const nodeTypes = meta.node_types[0];
+  const edgeTypes = meta.edge_types[0];
+  const { nodes, edges, strings } = snapshot;
+
+  const nodeFieldCount = nodeFields.length;
+  const edgeFieldCount = edgeFields.length;
+  const typeOffset = nodeFields.indexOf('type');
+  const nameOffset = nodeFields.indexOf('name');
+  const sizeOffset = nodeFields.indexOf('self_size');
+  const edgeCountOffset = nodeFields.indexOf('edge_count');
+  const detachednessOffset = nodeFields.indexOf('detachedness');
+  const edgeTypeOffset = edgeFields.indexOf('type');
+  const edgeToOffset = edgeFields.indexOf('to_node');
+  const weakEdgeType = edgeTypes.indexOf('weak');
+
+  const nodeCount = nodes.length / nodeFieldCount;
+  const firstEdge = new Uint32Array(nodeCount + 1);
+  for (let i = 0; i < nodeCount; i++) {
+    firstEdge[i + 1] = firstEdge[i] + nodes[i * nodeFieldCount + edgeCountOffset] * edgeFieldCount;
+  }
+
+  return {
+    nodeCount,
+    selfSize: (node) => nodes[node * nodeFieldCount + sizeOffset],
+    // Strong edges only - weak references do not retain
+    forEachChild(node, callback) {
+      for (let e = firstEdge[node]; e < firstEdge[node + 1]; e += edgeFieldCount) {
+        if (edges[e + edgeTypeOffset] === weakEdgeType) continue;
+        callback(edges[e + edgeToOffset] / nodeFieldCount);
+      }
+    },
+    className(node) {
+      const type = nodeTypes[nodes[node * nodeFieldCount + typeOffset]];
+      const name = strings[nodes[node * nodeFieldCount + nameOffset]];
+      switch (type) {
+        case 'object':
+        case 'native':
+          return name.startsWith('Detached ') ? name.split(' ').slice(0, 2).join(' ') : name.split(' ')[0] || '(anonymous)';
+        case 'closure': return '(closure)';
+        case 'array': return '(array)';
+        case 'string':
+        case 'concatenated string':
+        case 'sliced string': return '(string)';
+        case 'code': return '(compiled code)';
+        case 'hidden':
+        case 'object shape': return '(system)';
+        case 'regexp': return 'RegExp';
+        case 'heap number':
+        case 'number': return '(number)';
+        case 'symbol': return 'Symbol';
+        case 'bigint': return 'BigInt';
+        default: return null; // synthetic roots
+      }
+    },
+    isDetached(node) {
+      if (detachednessOffset !== -1) return nodes[node * nodeFieldCount + detachednessOffset] === 2;
+      return strings[nodes[node * nodeFieldCount + nameOffset]].startsWith('Detached ');
+    }
+  };
+}
+
+// Iterative DFS from the root (node 0)
+function computePostOrder(graph) {
+  const { nodeCount } = graph;
+  const postIndex = new Int32Array(nodeCount).fill(-1);
+  const visited = new Uint8Array(nodeCount);
+  const postOrder = [];
+
+  const stack = [0];
+  const childLists = [];
+  visited[0] = 1;
+
+  while (stack.length > 0) {
+    const node = stack[stack.length - 1];
+    let children = childLists[stack.length - 1];
+    if (!children) {
+      children = [];
+      graph.forEachChild(node, child => children.push(child));
+      children.position = 0;
+      childLists[stack.length - 1] = children;
+    }
+
+    if (children.position < children.length) {
+      const child = children[children.position++];
+      if (!visited[child]) {
+        visited[child] = 1;
+        stack.push(child);
+      }
+    } else {
+      childLists[stack.length - 1] = null;
+      stack.pop();
+      postIndex[node] = postOrder.length;
+      postOrder.push(node);
+    }
+  }
+
+  return { postOrder, postIndex, reachable: postOrder.length };
+}
+
+// Immediate dominators (Cooper, Harvey, Kennedy iterative algorithm)
+function computeDominators(graph, postOrder, postIndex) {
+  const { nodeCount } = graph;
+
+  // Predecessor lists of reachable nodes
+  const predecessorCount = new Uint32Array(nodeCount + 1);
+  for (const node of postOrder) {
+    graph.forEachChild(node, child => { predecessorCount[child + 1]++; });
+  }
+  for (let i = 0; i < nodeCount; i++) predecessorCount[i + 1] += predecessorCount[i];
+  const predecessors = new Uint32Array(predecessorCount[nodeCount]);
+  const fill = predecessorCount.slice(0, nodeCount);
+  for (const node of postOrder) {
+    graph.forEachChild(node, child => { predecessors[fill[child]++] = node; });
+  }
+
+  const dominators = new Int32Array(nodeCount).fill(-1);
+  const root = postOrder[postOrder.length - 1];
+  dominators[root] = root;
+
+  const intersect = (a, b) => {
+    while (a !== b) {
+      while (postIndex[a] < postIndex[b]) a = dominators[a];
+      while (postIndex[b] < postIndex[a]) b = dominators[b];
+    }
+    return a;
+  };
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (let i = postOrder.length - 2; i >= 0; i--) {
+      const node = postOrder[i];
+      let idom = -1;
+      for (let p = predecessorCount[node]; p < predecessorCount[node + 1]; p++) {
+        const predecessor = predecessors[p];
+        if (dominators[predecessor] === -1) continue;
+        idom = idom === -1 ? predecessor : intersect(predecessor, idom);
+      }
+      if (idom !== -1 && dominators[node] !== idom) {
+        dominators[node] = idom;
+        changed = true;
+      }
+    }
+  }
+
+  return dominators;
+}
@@ -0,0 +1,339 @@
+/**
+ * utils/network-capture.js
+ *
+ * Per-page network request capture via CDP Network domain.
+ * Records URL, method, status, timing, headers, initiator and request bodies.
+ * Response bodies are fetched lazily (Network.getResponseBody) with a size cap.
+ */
+
+// Keep at most this many requests per page (oldest are dropped)
+const MAX_ENTRIES_PER_PAGE = 1000;
+
+// Request bodies (postData) are truncated to this size when captured
+const MAX_REQUEST_BODY_SIZE = 64 * 1024;
+
+// Network capture stores: page -> { client, entries, byRequestId }
+const captureStores = new WeakMap();
+
+/**
+ * Start capturing network traffic for a page
+ * @param {Object} page - Puppeteer page instance
+ * @returns {Object} - Capture store { client, entries }
+ */
+export async function attachNetworkCapture(page) {
+  if (captureStores.has(page)) {
+    return captureStores.get(page);
+  }
+
+  const client = await page.target().createCDPSession();
+  const store = {
+    client,
+    entries: [],
+    byRequestId: new Map(),
+    nextId: 1
+  };
+  captureStores.set(page, store);
+
+  // Larger buffers so response bodies stay available for lazy retrieval
+  await client.send('Network.enable', {
+    maxTotalBufferSize: 50 * 1024 * 1024,
+    maxResourceBufferSize: 10 * 1024 * 1024
+  });
+
+  client.on('Network.requestWillBeSent', (event) => {
+    const previous = store.byRequestId.get(event.requestId);
+
+    // Redirects reuse the requestId: finalize the previous hop
+    if (previous && event.redirectResponse) {
+      applyResponse(previous, event.redirectResponse);
+      previous.redirectedTo = event.request.url;
+      previous.endTimestamp = event.timestamp;
+      previous.duration = Math.round((event.timestamp - previous.timestamp) * 1000);
+      previous.finished = true;
+    }
+
+    const entry = {
+      id: `req-${store.nextId++}`,
+      requestId: event.requestId,
+      url: event.request.url,
+      method: event.request.method,
+      resourceType: event.type || 'Other',
+      startTime: new Date(event.wallTime * 1000).toISOString(),
+      wallTime: event.wallTime,
+      timestamp: event.timestamp,
+      requestHeaders: event.request.headers || {},
+      requestBody: truncate(event.request.postData, MAX_REQUEST_BODY_SIZE),
+      initiator: summarizeInitiator(event.initiator),
+      frameId: event.frameId || null,
+      status: null,
+      statusText: null,
+      responseHeaders: null,
+      mimeType: null,
+      protocol: null,
+      remoteAddress: null,
+      fromCache: false,
+      timing: null,
+      encodedDataLength: 0,
+      duration: null,
+      finished: false,
+      failed: false,
+      errorText: null
+    };
+
+    store.entries.push(entry);
+    store.byRequestId.set(event.requestId, entry);
+
+    if (store.entries.length > MAX_ENTRIES_PER_PAGE) {
+      const dropped = store.entries.shift();
+      if (store.byRequestId.get(dropped.requestId) === dropped) {
+        store.byRequestId.delete(dropped.requestId);
+      }
+    }
+  });
+
+  client.on('Network.requestWillBeSentExtraInfo', (event) => {
+    // Full request headers (including cookies) as actually sent
+    const entry = store.byRequestId.get(event.requestId);
+    if (entry && event.headers) {
+      entry.requestHeaders = { ...entry.requestHeaders, ...event.headers };
+    }
+  });
+
+  client.on('Network.responseReceived', (event) => {
+    const entry = store.byRequestId.get(event.requestId);
+    if (!entry) return;
+    applyResponse(entry, event.response);
+    entry.resourceType = event.type || entry.resourceType;
+  });
+
+  client.on('Network.loadingFinished', (event) => {
+    const entry = store.byRequestId.get(event.requestId);
+    if (!entry) return;
+    entry.encodedDataLength = event.encodedDataLength;
+    entry.endTimestamp = event.timestamp;
+    entry.duration = Math.round((event.timestamp - entry.timestamp) * 1000);
+    entry.finished = true;
+  });
+
+  client.on('Network.loadingFailed', (event) => {
+    const entry = store.byRequestId.get(event.requestId);
+    if (!entry) return;
+    entry.endTimestamp = event.timestamp;
+    entry.duration = Math.round((event.timestamp - entry.timestamp) * 1000);
+    entry.finished = true;
+    entry.failed = true;
+    entry.errorText = event.canceled ? 'canceled' : (event.blockedReason || event.errorText);
+  });
+
+  return store;
+}
+
+/**
+ * Get captured requests for a page
+ * @param {Object} page - Puppeteer page instance
+ * @returns {Array} - Captured entries (live array)
+ */
+export function getCapturedRequests(page) {
+  const store = captureStores.get(page);
+  return store ? store.entries : [];
+}
+
+/**
+ * Clear captured requests for a page
+ * @param {Object} page - Puppeteer page instance
+ */
+export function clearCapturedRequests(page) {
+  const store = captureStores.get(page);
+  if (store) {
+    store.entries.length = 0;
+    store.byRequestId.clear();
+  }
+}
+
+/**
+ * Filter captured requests
+ * @param {Array} entries - Captured entries
+ * @param {Object} filters - { urlPattern, resourceTypes, methods, statusMin, statusMax, failedOnly, since, until, lastMs }
+ * @returns {Array} - Matching entries
+ */
+export function filterRequests(entries, filters = {}) {
+  const urlMatcher = createUrlMatcher(filters.urlPattern);
+  const resourceTypes = filters.resourceTypes?.map(t => t.toLowerCase());
+  const methods = filters.methods?.map(m => m.toUpperCase());
+
+  let sinceMs = filters.since ? Date.parse(filters.since) : null;
+  const untilMs = filters.until ? Date.parse(filters.until) : null;
+  if (filters.lastMs) {
+    const lastSince = Date.now() - filters.lastMs;
+    sinceMs = sinceMs ? Math.max(sinceMs, lastSince) : lastSince;
+  }
+
+  return entries.filter(entry => {
+    if (urlMatcher && !urlMatcher(entry.url)) return false;
+    if (resourceTypes && !resourceTypes.includes(entry.resourceType.toLowerCase())) return false;
+    if (methods && !methods.includes(entry.method)) return false;
+    if (filters.failedOnly && !entry.failed && !(entry.status >= 400)) return false;
+    if (filters.statusMin !== undefined && (entry.status === null || entry.status < filters.statusMin)) return false;
+    if (filters.statusMax !== undefined && (entry.status === null || entry.status > filters.statusMax)) return false;
+
+    const startMs = entry.wallTime * 1000;
+    if (sinceMs !== null && startMs < sinceMs) return false;
+    if (untilMs !== null && startMs > untilMs) return false;
+
+    return true;
+  });
+}
+
+/**
+ * Fetch response body for a captured request (best effort)
+ * Bodies may be unavailable if evicted from Chrome's buffer or if the request failed
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} entry - Captured entry
+ * @param {number} maxBodySize - Maximum body size in characters
+ * @returns {Object} - { body, base64Encoded, truncated, size } or { error }
+ */
+export async function getResponseBody(page, entry, maxBodySize = 10000) {
+  const store = captureStores.get(page);
+  if (!store) {
+    return { error: 'Network capture not enabled for this page' };
+  }
+  if (entry.failed || !entry.finished) {
+    return { error: entry.failed ? 'Request failed' : 'Request not finished' };
+  }
+  if (entry.redirectedTo) {
+    return { error: 'Redirect response has no body' };
+  }
+
+  try {
+    const { body, base64Encoded } = await store.client.send('Network.getResponseBody', {
+      requestId: entry.requestId
+    });
+    return {
+      body: body.length > maxBodySize ? body.substring(0, maxBodySize) : body,
+      base64Encoded,
+      truncated: body.length > maxBodySize,
+      size: body.length
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Format captured entry for tool output
+ * @param {Object} entry - Captured entry
+ * @param {Object} options - { includeHeaders }
+ * @returns {Object} - Compact entry
+ */
+export function formatRequest(entry, options = {}) {
+  const formatted = {
+    id: entry.id,
+    method: entry.method,
+    url: entry.url,
+    resourceType: entry.resourceType,
+    status: entry.status,
+    statusText: entry.statusText,
+    mimeType: entry.mimeType,
+    startTime: entry.startTime,
+    duration: entry.duration,
+    size: entry.encodedDataLength,
+    fromCache: entry.fromCache,
+    initiator: entry.initiator,
+    timing: entry.timing
+  };
+
+  if (entry.redirectedTo) formatted.redirectedTo = entry.redirectedTo;
+  if (entry.failed) {
+    formatted.failed = true;
+    formatted.errorText = entry.errorText;
+  }
+  if (!entry.finished) formatted.pending = true;
+
+  if (options.includeHeaders) {
+    formatted.requestHeaders = entry.requestHeaders;
+    formatted.responseHeaders = entry.responseHeaders;
+  }
+  if (entry.requestBody) {
+    formatted.requestBody = entry.requestBody;
+  }
+
+  return formatted;
+}
+
+/**
+ * Helpers
+ */
+
+function applyResponse(entry, response) {
+  entry.status = response.status;
+  entry.statusText = response.statusText;
+  entry.responseHeaders = response.headers || {};
+  entry.mimeType = response.mimeType;
+  entry.protocol = response.protocol || null;
+  entry.remoteAddress = response.remoteIPAddress
+    ? `${response.remoteIPAddress}:${response.remotePort}`
+    : null;
+  entry.fromCache = Boolean(response.fromDiskCache || response.fromServiceWorker || response.fromPrefetchCache);
+  entry.timing = summarizeTiming(response.timing);
+  entry.rawTiming = response.timing || null;
+}
+
+// Convert CDP ResourceTiming to phase durations in ms
+function summarizeTiming(timing) {
+  if (!timing) return null;
+
+  const phase = (start, end) => (start >= 0 && end >= 0 ? Math.round((end - start) * 100) / 100 : null);
+
+  return {
+    dns: phase(timing.dnsStart, timing.dnsEnd),
+    connect: phase(timing.connectStart, timing.connectEnd),
+    ssl: phase(timing.sslStart, timing.sslEnd),
+    send: phase(timing.sendStart, timing.sendEnd),
+    wait: phase(timing.sendEnd, timing.receiveHeadersEnd), // TTFB
+  };
+}
+
+function summarizeInitiator(initiator) {
+  if (!initiator) return null;
+
+  const summary = { type: initiator.type };
+  if (initiator.url) summary.url = initiator.url;
+  if (initiator.lineNumber !== undefined) summary.lineNumber = initiator.lineNumber;
+
+  // Script initiators: use the top stack frame
+  const frame = initiator.stack?.callFrames?.[0];
+  if (frame) {
+    summary.url = summary.url || frame.url;
+    summary.function = frame.functionName || '(anonymous)';
+    summary.lineNumber = frame.lineNumber;
+  }
+
+  return summary;
+}
+
+function truncate(value, maxLength) {
+  if (value === undefined || value === null) return null;
+  return value.length > maxLength ? value.substring(0, maxLength) : value;
+}
+
+/**
+ * Create URL matcher from pattern
+ * "/regex/flags" is treated as regular expression, "*" as glob wildcard, otherwise substring match
+ */
+export function createUrlMatcher(pattern) {
+  if (!pattern) return null;
+
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    const regex = new RegExp(regexMatch[1], regexMatch[2]);
+    return (url) => regex.test(url);
+  }
+
+  if (pattern.includes('*')) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*\*?/g, '.*');
+    const regex = new RegExp(`^${escaped}$`);
+    return (url) => regex.test(url);
+  }
+
+  return (url) => url.includes(pattern);
+}
@@ -0,0 +1,141 @@
+/**
+ * utils/page-capture.js
+ *
+ * Full-page screenshots built from viewport tiles:
+ * 1. Scrolls through the page one viewport at a time (lazy content loads as in a real visit)
+ * 2. Stitches tiles into one image at their actual scroll offsets
+ * 3. Hides fixed/sticky elements after the first tile so headers and banners do not repeat
+ * 4. Splits tall results into output parts that fit the image height limit
+ */
+
+import Jimp from 'jimp';
+
+// Pages taller than this (CSS px) are cut off
+const MAX_PAGE_HEIGHT = 30000;
+
+// Wait after each scroll for lazy images and scroll handlers (ms)
+const SETTLE_DELAY = 150;
+
+const HIDDEN_ATTRIBUTE = 'data-chrometools-hidden-fixed';
+
+/**
+ * Capture the whole scrollable page by stitching viewport tiles
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { hideFixed, maxPageHeight, settleDelay }
+ * @returns {Object} - { image (Jimp), width, height, tiles, truncated, hiddenFixed }
+ */
+export async function captureFullPage(page, options = {}) {
+  const { hideFixed = true, maxPageHeight = MAX_PAGE_HEIGHT, settleDelay = SETTLE_DELAY } = options;
+
+  const info = await page.evaluate(() => ({
+    scrollX: window.scrollX,
+    scrollY: window.scrollY,
+    viewportHeight: window.innerHeight,
+    pageHeight: Math.max(
+      document.scrollingElement ? document.scrollingElement.scrollHeight : 0,
+      document.body ? document.body.scrollHeight : 0
+    ),
+    deviceScaleFactor: window.devicePixelRatio || 1
+  }));
+
+  const height = Math.min(info.pageHeight, maxPageHeight);
+  const scale = info.deviceScaleFactor;
+  let canvas = null;
+  let tiles = 0;
+  let hiddenFixed = 0;
+
+  try {
+    for (let y = 0; y < height; y += info.viewportHeight) {
+      const scrollY = await page.evaluate((top) => {
+        window.scrollTo(0, top);
+        return window.scrollY;
+      }, y);
+      await new Promise(resolve => setTimeout(resolve, settleDelay));
+
+      const tile = await Jimp.read(await page.screenshot({ encoding: 'binary' }));
+      if (!canvas) {
+        canvas = new Jimp(tile.bitmap.width, Math.round(height * scale), 0xffffffff);
+      }
+      // The last tile may overlap the previous one when scrolling is clamped at the bottom
+      canvas.composite(tile, 0, Math.round(scrollY * scale));
+      tiles++;
+
+      if (tiles === 1 && hideFixed) {
+        hiddenFixed = await page.evaluate(hideFixedElementsInPage, HIDDEN_ATTRIBUTE);
+      }
+    }
+  } finally {
+    await page.evaluate(restorePageInPage, HIDDEN_ATTRIBUTE, info.scrollX, info.scrollY).catch(() => {});
+  }
+
+  if (!canvas) {
+    throw new Error('Page has no scrollable content to capture');
+  }
+
+  return {
+    image: canvas,
+    width: canvas.bitmap.width,
+    height,
+    tiles,
+    truncated: info.pageHeight > maxPageHeight,
+    hiddenFixed
+  };
+}
+
+/**
+ * Split an image into PNG parts no taller than maxHeight (after scaling to maxWidth)
+ * @param {Object} image - Jimp image (modified in place when scaled)
+ * @param {Object} options - { maxWidth, maxHeight } (null = no limit)
+ * @returns {Array} - PNG buffers, top to bottom
+ */
+export async function splitIntoParts(image, options = {}) {
+  const { maxWidth = null, maxHeight = null } = options;
+
+  if (maxWidth !== null && image.bitmap.width > maxWidth) {
+    image.resize(maxWidth, Jimp.AUTO);
+  }
+
+  const { width, height } = image.bitmap;
+  if (maxHeight === null || height <= maxHeight) {
+    return [await image.getBufferAsync(Jimp.MIME_PNG)];
+  }
+
+  const parts = [];
+  for (let y = 0; y < height; y += maxHeight) {
+    const part = image.clone().crop(0, y, width, Math.min(maxHeight, height - y));
+    parts.push(await part.getBufferAsync(Jimp.MIME_PNG));
+  }
+  return parts;
+}
+
+/**
+ * Helpers
+ */
+
+// Runs in the page: hide fixed and sticky elements, remembering their inline visibility
+function hideFixedElementsInPage(attribute) {
+  let count = 0;
+  for (const el of document.querySelectorAll('body *')) {
+    const position = getComputedStyle(el).position;
+    if (position !== 'fixed' && position !== 'sticky') continue;
+
+    el.setAttribute(attribute, el.style.getPropertyValue('visibility') || '');
+    el.style.setProperty('visibility', 'hidden', 'important');
+    count++;
+  }
+  return count;
+}
+
+// Runs in the page: undo hideFixedElementsInPage and restore the scroll position
+function restorePageInPage(attribute, scrollX, scrollY) {
+  for (const el of document.querySelectorAll(`[${attribute}]`)) {
+    const previous = el.getAttribute(attribute);
+    if (previous) {
+      el.style.setProperty('visibility', previous);
+    } else {
+      el.style.removeProperty('visibility');
+    }
+    el.removeAttribute(attribute);
+  }
+  window.scrollTo(scrollX, scrollY);
+}
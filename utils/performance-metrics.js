@@ -0,0 +1,322 @@
+/**
+ * utils/performance-metrics.js
+ *
+ * Page load performance measurement:
+ * 1. Core Web Vitals (LCP, CLS, INP) and TBT from PerformanceObservers installed before the page loads
+ * 2. Navigation timing: TTFB, FCP, DOMContentLoaded, load
+ * 3. Resource counts and transfer sizes per type (CDP Network), largest JS/CSS bundles
+ * 4. Ratings against the web.dev thresholds and a short text summary
+ */
+
+// [good, poor] thresholds: value <= good is "good", value > poor is "poor"
+const THRESHOLDS = {
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25],
+  inp: [200, 500],
+  fcp: [1800, 3000],
+  ttfb: [800, 1800],
+  tbt: [200, 600]
+};
+
+// Largest bundles listed per type
+const MAX_BUNDLES = 5;
+
+/**
+ * Reload (or navigate) the page and measure performance
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { url, waitUntil, settleTime, timeout }
+ * @returns {Object} - { url, metrics, timing, resources, largestBundles, lcpElement }
+ */
+export async function measurePerformance(page, options = {}) {
+  const { url = null, waitUntil = 'load', settleTime = 3000, timeout = 60000 } = options;
+
+  const client = await page.target().createCDPSession();
+  const requests = new Map();
+
+  client.on('Network.responseReceived', (event) => {
+    requests.set(event.requestId, {
+      url: event.response.url,
+      type: event.type || 'Other',
+      status: event.response.status,
+      fromCache: event.response.fromDiskCache || event.response.fromServiceWorker || false,
+      transferSize: 0,
+      size: 0,
+      finished: false
+    });
+  });
+  client.on('Network.dataReceived', (event) => {
+    const entry = requests.get(event.requestId);
+    if (entry) entry.size += event.dataLength;
+  });
+  client.on('Network.loadingFinished', (event) => {
+    const entry = requests.get(event.requestId);
+    if (!entry) return;
+    entry.transferSize = event.encodedDataLength;
+    entry.finished = true;
+  });
+
+  const { identifier } = await page.evaluateOnNewDocument(installObserversInPage);
+
+  try {
+    await client.send('Network.enable');
+
+    if (url) {
+      await page.goto(url, { waitUntil, timeout });
+    } else {
+      await page.reload({ waitUntil, timeout });
+    }
+
+    // LCP and CLS keep updating after load
+    await new Promise(resolve => setTimeout(resolve, settleTime));
+
+    const collected = await page.evaluate(collectMetricsInPage);
+    const resources = summarizeResources([...requests.values()].filter(r => r.finished));
+
+    const metrics = {
+      lcp: rate('lcp', collected.lcp),
+      cls: rate('cls', collected.cls),
+      inp: rate('inp', collected.inp),
+      tbt: rate('tbt', collected.tbt),
+      fcp: rate('fcp', collected.fcp),
+      ttfb: rate('ttfb', collected.ttfb)
+    };
+
+    return {
+      url: page.url(),
+      metrics,
+      timing: {
+        domContentLoaded: collected.domContentLoaded,
+        load: collected.load,
+        longTasks: collected.longTasks
+      },
+      lcpElement: collected.lcpElement,
+      resources: resources.totals,
+      largestBundles: resources.largestBundles,
+      ...(collected.inp === null ? { notes: ['INP needs user interactions during the measurement - TBT is its lab proxy'] } : {})
+    };
+  } finally {
+    await page.removeScriptToEvaluateOnNewDocument(identifier).catch(() => {});
+    await client.detach().catch(() => {});
+  }
+}
+
+/**
+ * Short human-readable summary of a measurement
+ * @param {Object} result - Result from measurePerformance
+ * @param {string} throttling - Throttling description (optional)
+ * @returns {string}
+ */
+export function formatPerformanceSummary(result, throttling = null) {
+  const { metrics, timing, resources, largestBundles } = result;
+  const ms = (value) => (value === null ? 'n/a' : value >= 1000 ? `${(value / 1000).toFixed(2)}s` : `${Math.round(value)}ms`);
+  const metric = (label, entry, format) => `${label}: ${entry.value === null ? 'n/a' : format(entry.value)}${entry.rating ? ` (${entry.rating})` : ''}`;
+
+  const lines = ['** PERFORMANCE SUMMARY **'];
+  lines.push([
+    metric('LCP', metrics.lcp, ms),
+    metric('CLS', metrics.cls, v => v.toFixed(3)),
+    metric('INP', metrics.inp, ms),
+    metric('TBT', metrics.tbt, ms)
+  ].join(' | '));
+  lines.push([
+    metric('FCP', metrics.fcp, ms),
+    metric('TTFB', metrics.ttfb, ms),
+    `DOMContentLoaded: ${ms(timing.domContentLoaded)}`,
+    `Load: ${ms(timing.load)}`
+  ].join(' | '));
+
+  const byType = Object.entries(resources.byType)
+    .sort((a, b) => b[1].transferSize - a[1].transferSize)
+    .slice(0, 4)
+    .map(([type, stats]) => `${type} ${formatSize(stats.transferSize)}`);
+  lines.push(`Resources: ${resources.count} requests, ${formatSize(resources.transferSize)} transferred` +
+    (byType.length > 0 ? ` (${byType.join(', ')})` : ''));
+
+  const bundles = [...largestBundles.scripts, ...largestBundles.stylesheets]
+    .sort((a, b) => b.transferSize - a.transferSize)
+    .slice(0, 3)
+    .map(b => `${shortUrl(b.url)} ${formatSize(b.transferSize)}`);
+  if (bundles.length > 0) {
+    lines.push(`Largest bundles: ${bundles.join(', ')}`);
+  }
+
+  const poor = Object.entries(metrics).filter(([, entry]) => entry.rating === 'poor').map(([name]) => name.toUpperCase());
+  if (poor.length > 0) {
+    lines.push(`Needs attention: ${poor.join(', ')}`);
+  }
+  if (throttling) {
+    lines.push(`Throttling: ${throttling}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Helpers
+ */
+
+function rate(name, value) {
+  if (value === null || value === undefined) {
+    return { value: null, rating: null };
+  }
+  const [good, poor] = THRESHOLDS[name];
+  const rounded = name === 'cls' ? Math.round(value * 1000) / 1000 : Math.round(value);
+  return {
+    value: rounded,
+    rating: value <= good ? 'good' : value > poor ? 'poor' : 'needs-improvement'
+  };
+}
+
+function summarizeResources(entries) {
+  const byType = {};
+  let transferSize = 0;
+  let size = 0;
+
+  for (const entry of entries) {
+    const stats = byType[entry.type] || (byType[entry.type] = { count: 0, transferSize: 0, size: 0 });
+    stats.count++;
+    stats.transferSize += entry.transferSize;
+    stats.size += entry.size;
+    transferSize += entry.transferSize;
+    size += entry.size;
+  }
+
+  const largest = (type) => entries
+    .filter(entry => entry.type === type)
+    .sort((a, b) => Math.max(b.transferSize, b.size) - Math.max(a.transferSize, a.size))
+    .slice(0, MAX_BUNDLES)
+    .map(entry => ({
+      url: entry.url,
+      transferSize: entry.transferSize,
+      size: entry.size,
+      ...(entry.fromCache ? { fromCache: true } : {})
+    }));
+
+  return {
+    totals: {
+      count: entries.length,
+      transferSize,
+      size,
+      byType
+    },
+    largestBundles: {
+      scripts: largest('Script'),
+      stylesheets: largest('Stylesheet')
+    }
+  };
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+  return `${bytes}B`;
+}
+
+function shortUrl(url) {
+  try {
+    const { pathname } = new URL(url);
+    const file = pathname.split('/').filter(Boolean).pop();
+    return file || url;
+  } catch {
+    return url;
+  }
+}
+
+// Runs in every new document before page scripts: buffer vitals entries
+function installObserversInPage() {
+  const store = {
+    lcp: null,
+    lcpElement: null,
+    layoutShifts: [],
+    longTasks: [],
+    interactions: new Map()
+  };
+  Object.defineProperty(window, '__chrometoolsPerf', { value: store, configurable: true });
+
+  const observe = (type, callback, extra = {}) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true, ...extra });
+    } catch {
+      // Entry type not supported
+    }
+  };
+
+  observe('largest-contentful-paint', (entry) => {
+    store.lcp = entry.startTime;
+    store.lcpElement = entry.element || null;
+    store.lcpInfo = { size: entry.size, url: entry.url || null };
+  });
+  observe('layout-shift', (entry) => {
+    if (!entry.hadRecentInput) {
+      store.layoutShifts.push({ value: entry.value, startTime: entry.startTime });
+    }
+  });
+  observe('longtask', (entry) => {
+    store.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+  });
+  observe('event', (entry) => {
+    if (!entry.interactionId) return;
+    const previous = store.interactions.get(entry.interactionId) || 0;
+    store.interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+  }, { durationThreshold: 16 });
+}
+
+// Runs in the page after load
+function collectMetricsInPage() {
+  const store = window.__chrometoolsPerf || { lcp: null, layoutShifts: [], longTasks: [], interactions: new Map() };
+  const nav = performance.getEntriesByType('navigation')[0];
+  const fcpEntry = performance.getEntriesByName('first-contentful-paint')[0];
+  const fcp = fcpEntry ? fcpEntry.startTime : null;
+
+  // CLS: largest session window (gaps < 1s, window < 5s)
+  let cls = 0;
+  let windowValue = 0;
+  let windowStart = 0;
+  let previousTime = -Infinity;
+  for (const shift of store.layoutShifts) {
+    if (shift.startTime - previousTime > 1000 || shift.startTime - windowStart > 5000) {
+      windowValue = 0;
+      windowStart = shift.startTime;
+    }
+    windowValue += shift.value;
+    previousTime = shift.startTime;
+    cls = Math.max(cls, windowValue);
+  }
+
+  // TBT: blocking part of long tasks after FCP
+  const tbt = fcp === null ? null : store.longTasks
+    .filter(task => task.startTime + task.duration > fcp)
+    .reduce((sum, task) => sum + Math.max(task.duration - 50, 0), 0);
+
+  // INP: worst interaction, ignoring one outlier per 50 interactions
+  const durations = [...store.interactions.values()].sort((a, b) => b - a);
+  const inp = durations.length > 0 ? durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)] : null;
+
+  let lcpElement = null;
+  if (store.lcpElement) {
+    const el = store.lcpElement;
+    lcpElement = {
+      tag: el.tagName.toLowerCase(),
+      id: el.id || null,
+      className: typeof el.className === 'string' && el.className ? el.className : null,
+      text: (el.innerText || '').replace(/\s+/g, ' ').trim().substring(0, 80) || null,
+      ...store.lcpInfo
+    };
+  }
+
+  return {
+    lcp: store.lcp,
+    cls,
+    inp,
+    tbt,
+    fcp,
+    ttfb: nav ? nav.responseStart - (nav.activationStart || 0) : null,
+    domContentLoaded: nav && nav.domContentLoadedEventEnd > 0 ? Math.round(nav.domContentLoadedEventEnd) : null,
+    load: nav && nav.loadEventEnd > 0 ? Math.round(nav.loadEventEnd) : null,
+    longTasks: {
+      count: store.longTasks.length,
+      totalDuration: Math.round(store.longTasks.reduce((sum, task) => sum + task.duration, 0))
+    },
+    lcpElement
+  };
+}
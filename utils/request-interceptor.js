@@ -0,0 +1,136 @@
+/**
+ * utils/request-interceptor.js
+ *
+ * Shared request interception for a page via CDP Fetch domain.
+ * Features (HAR replay, mocks) register named handlers; for each paused request
+ * handlers are asked by priority (then registration order) and the first decision wins:
+ * 1. { fulfill: { status, headers, body, base64Encoded } } - respond without network
+ *    (headers: object, or [{ name, value }] to keep repeated headers such as set-cookie)
+ * 2. { fail: 'Failed' | 'Aborted' | ... } - abort with a network error reason
+ * 3. { delay } - may be combined with fulfill/fail/continue
+ * 4. null - not handled, ask next handler (or continue to network)
+ */
+
+// Interceptor state: page -> { client, handlers: [{ id, handle, priority }] }
+const interceptors = new WeakMap();
+
+/**
+ * Register request handler for a page (replaces existing handler with same id)
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} id - Handler id (e.g. 'har-replay', 'mocks')
+ * @param {Function} handle - async (request) => decision | null
+ * @param {number} priority - Higher priority handlers are asked first (default: 0)
+ */
+export async function addRequestHandler(page, id, handle, priority = 0) {
+  let state = interceptors.get(page);
+
+  if (!state) {
+    const client = await page.target().createCDPSession();
+    state = { client, handlers: [] };
+    interceptors.set(page, state);
+
+    client.on('Fetch.requestPaused', (event) => {
+      handlePausedRequest(state, event).catch(error => {
+        console.error('[chrometools-mcp] Request interception error:', error.message);
+      });
+    });
+
+    await client.send('Fetch.enable', { patterns: [{ urlPattern: '*', requestStage: 'Request' }] });
+  }
+
+  state.handlers = state.handlers.filter(h => h.id !== id);
+  state.handlers.push({ id, handle, priority });
+  state.handlers.sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Remove request handler; interception is disabled when no handlers remain
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} id - Handler id
+ */
+export async function removeRequestHandler(page, id) {
+  const state = interceptors.get(page);
+  if (!state) return;
+
+  state.handlers = state.handlers.filter(h => h.id !== id);
+
+  if (state.handlers.length === 0) {
+    interceptors.delete(page);
+    await state.client.send('Fetch.disable').catch(() => {});
+    await state.client.detach().catch(() => {});
+  }
+}
+
+/**
+ * Check whether a handler is registered for a page
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} id - Handler id
+ * @returns {boolean}
+ */
+export function hasRequestHandler(page, id) {
+  const state = interceptors.get(page);
+  return Boolean(state && state.handlers.some(h => h.id === id));
+}
+
+/**
+ * Helpers
+ */
+
+async function handlePausedRequest(state, event) {
+  const { client } = state;
+  const request = {
+    url: event.request.url,
+    method: event.request.method,
+    headers: event.request.headers || {},
+    postData: event.request.postData,
+    resourceType: event.resourceType
+  };
+
+  let decision = null;
+  for (const handler of state.handlers) {
+    try {
+      decision = await handler.handle(request);
+    } catch (error) {
+      console.error(`[chrometools-mcp] Request handler "${handler.id}" failed:`, error.message);
+      decision = null;
+    }
+    if (decision) break;
+  }
+
+  try {
+    if (decision?.delay) {
+      await new Promise(resolve => setTimeout(resolve, decision.delay));
+    }
+
+    if (decision?.fail) {
+      await client.send('Fetch.failRequest', { requestId: event.requestId, errorReason: decision.fail });
+    } else if (decision?.fulfill) {
+      const { status = 200, headers = {}, body = '', base64Encoded = false } = decision.fulfill;
+      await client.send('Fetch.fulfillRequest', {
+        requestId: event.requestId,
+        responseCode: status,
+        responseHeaders: Array.isArray(headers)
+          ? headers.map(({ name, value }) => ({ name, value: String(value) }))
+          : Object.entries(headers).map(([name, value]) => ({ name, value: String(value) })),
+        body: base64Encoded ? body : Buffer.from(body).toString('base64')
+      });
+    } else {
+      await client.send('Fetch.continueRequest', { requestId: event.requestId });
+    }
+  } catch (error) {
+    // Request was cancelled (navigation, tab closed) while paused - nothing left to resolve
+    if (isCancelledRequestError(error)) return;
+
+    // A paused request that is never resolved hangs the page - fail it instead
+    console.error(`[chrometools-mcp] Failed to resolve intercepted request ${request.method} ${request.url}:`, error.message);
+    await client.send('Fetch.failRequest', { requestId: event.requestId, errorReason: 'Failed' }).catch((failError) => {
+      if (!isCancelledRequestError(failError)) {
+        console.error('[chrometools-mcp] Failed to abort intercepted request:', failError.message);
+      }
+    });
+  }
+}
+
+function isCancelledRequestError(error) {
+  return /Invalid InterceptionId|Target closed|Session closed|detached/i.test(error.message);
+}
@@ -0,0 +1,223 @@
+/**
+ * utils/request-mocks.js
+ *
+ * Mock rules for intercepted requests (error states, edge cases without backend changes):
+ * 1. Match by URL (substring, glob with * or /regex/) and HTTP method
+ * 2. Respond with status, headers, body or body from file, optionally delayed
+ * 3. Or abort with a network error reason
+ * Rules run before HAR replay; the most recently added matching rule wins.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createUrlMatcher } from './network-capture.js';
+import { addRequestHandler, removeRequestHandler } from './request-interceptor.js';
+
+const MOCKS_HANDLER = 'mocks';
+const MOCKS_PRIORITY = 10;
+
+// CDP Network.ErrorReason values accepted for abort
+export const ABORT_REASONS = [
+  'Failed', 'Aborted', 'TimedOut', 'AccessDenied', 'ConnectionClosed', 'ConnectionReset',
+  'ConnectionRefused', 'ConnectionAborted', 'ConnectionFailed', 'NameNotResolved',
+  'InternetDisconnected', 'AddressUnreachable', 'BlockedByClient', 'BlockedByResponse'
+];
+
+// Mock rules per page: page -> [rule]
+const pageRules = new WeakMap();
+let nextRuleId = 1;
+
+/**
+ * Add mock rule to a page
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} rule - { urlPattern, method, status, headers, body, bodyFromFile, contentType, delay, abort, times, source }
+ * @returns {Object} - Stored rule (with id and hit counter)
+ */
+export async function addMockRule(page, rule) {
+  if (!rule.urlPattern) {
+    throw new Error('Mock rule requires urlPattern');
+  }
+  if (rule.abort && !ABORT_REASONS.includes(rule.abort)) {
+    throw new Error(`Unknown abort reason "${rule.abort}". Use one of: ${ABORT_REASONS.join(', ')}`);
+  }
+
+  const stored = {
+    id: `mock-${nextRuleId++}`,
+    urlPattern: rule.urlPattern,
+    method: rule.method ? rule.method.toUpperCase() : null,
+    status: rule.status ?? 200,
+    headers: rule.headers || {},
+    delay: rule.delay || 0,
+    abort: rule.abort || null,
+    times: rule.times ?? null,
+    source: rule.source || null,
+    hits: 0,
+    createdAt: new Date().toISOString()
+  };
+
+  if (!stored.abort) {
+    const { body, contentType } = await resolveBody(rule);
+    stored.body = body;
+    stored.bodyFromFile = rule.bodyFromFile || null;
+
+    const hasContentType = Object.keys(stored.headers).some(h => h.toLowerCase() === 'content-type');
+    if (!hasContentType && contentType) {
+      stored.headers = { ...stored.headers, 'Content-Type': contentType };
+    }
+  }
+
+  // Compile matcher up front so invalid regexes fail when the rule is added
+  stored.matchUrl = createUrlMatcher(rule.urlPattern);
+
+  if (!pageRules.has(page)) {
+    pageRules.set(page, []);
+  }
+  pageRules.get(page).push(stored);
+
+  await addRequestHandler(page, MOCKS_HANDLER, (request) => matchRule(page, request), MOCKS_PRIORITY);
+
+  return stored;
+}
+
+/**
+ * List mock rules for a page
+ * @param {Object} page - Puppeteer page instance
+ * @returns {Array} - Rules without internal fields
+ */
+export function listMockRules(page) {
+  return (pageRules.get(page) || []).map(formatRule);
+}
+
+/**
+ * Remove mock rules from a page
+ * @param {Object} page - Puppeteer page instance
+ * @param {Array|null} ids - Rule ids to remove (null = all)
+ * @returns {Array} - Removed rule ids
+ */
+export async function removeMockRules(page, ids = null) {
+  const rules = pageRules.get(page) || [];
+  const removed = rules.filter(r => !ids || ids.includes(r.id)).map(r => r.id);
+  const remaining = rules.filter(r => !removed.includes(r.id));
+
+  pageRules.set(page, remaining);
+  if (remaining.length === 0) {
+    await removeRequestHandler(page, MOCKS_HANDLER);
+  }
+
+  return removed;
+}
+
+/**
+ * Format rule for tool output
+ * @param {Object} rule - Stored rule
+ * @returns {Object}
+ */
+export function formatRule(rule) {
+  const { matchUrl, body, ...rest } = rule;
+  return {
+    ...rest,
+    bodyPreview: typeof body === 'string' && !rule.bodyFromFile ? body.substring(0, 200) : undefined
+  };
+}
+
+/**
+ * Convert stored rule back to a definition (for attaching to scenarios)
+ * @param {Object} rule - Stored rule
+ * @returns {Object} - Rule definition accepted by addMockRule
+ */
+export function toRuleDefinition(rule) {
+  const definition = { urlPattern: rule.urlPattern };
+  if (rule.method) definition.method = rule.method;
+  if (rule.delay) definition.delay = rule.delay;
+  if (rule.times !== null) definition.times = rule.times;
+
+  if (rule.abort) {
+    definition.abort = rule.abort;
+    return definition;
+  }
+
+  definition.status = rule.status;
+  definition.headers = rule.headers;
+  if (rule.bodyFromFile) {
+    definition.bodyFromFile = rule.bodyFromFile;
+  } else {
+    definition.body = rule.body;
+  }
+
+  return definition;
+}
+
+/**
+ * Get stored rules for a page
+ * @param {Object} page - Puppeteer page instance
+ * @returns {Array}
+ */
+export function getMockRules(page) {
+  return pageRules.get(page) || [];
+}
+
+/**
+ * Helpers
+ */
+
+function matchRule(page, request) {
+  const rules = pageRules.get(page) || [];
+
+  // Most recently added rule wins
+  for (let i = rules.length - 1; i >= 0; i--) {
+    const rule = rules[i];
+    if (rule.method && rule.method !== request.method) continue;
+    if (rule.times !== null && rule.hits >= rule.times) continue;
+    if (!rule.matchUrl(request.url)) continue;
+
+    rule.hits++;
+
+    if (rule.abort) {
+      return { fail: rule.abort, delay: rule.delay };
+    }
+
+    return {
+      fulfill: { status: rule.status, headers: rule.headers, body: rule.body },
+      delay: rule.delay
+    };
+  }
+
+  return null;
+}
+
+async function resolveBody(rule) {
+  if (rule.bodyFromFile) {
+    const filePath = path.resolve(rule.bodyFromFile);
+    let body;
+    try {
+      body = await fs.readFile(filePath);
+    } catch (error) {
+      throw new Error(`Mock body file "${rule.bodyFromFile}" could not be read: ${error.message}`);
+    }
+    return { body, contentType: rule.contentType || guessContentType(filePath) };
+  }
+
+  if (rule.body !== undefined && rule.body !== null && typeof rule.body !== 'string') {
+    return { body: JSON.stringify(rule.body), contentType: rule.contentType || 'application/json' };
+  }
+
+  return { body: rule.body || '', contentType: rule.contentType || null };
+}
+
+function guessContentType(filePath) {
+  const types = {
+    '.json': 'application/json',
+    '.html': 'text/html',
+    '.txt': 'text/plain',
+    '.js': 'application/javascript',
+    '.css': 'text/css',
+    '.xml': 'application/xml',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+  };
+  return types[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
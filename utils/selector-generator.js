@@ -3,6 +3,7 @@
  *
  * Generates unique, robust CSS selectors for DOM elements.
  * Used by recorder to create selectors that remain stable across page changes.
+ * Elements inside open shadow roots get "host >>> inner" selectors (Puppeteer's shadow-piercing combinator).
  */
 
 /**
@@ -256,10 +257,13 @@ export const browserSelectorGenerator = `
       info.nthOfType = sameTags.indexOf(element) + 1;
     }
 
+    // Uniqueness is checked within the element's own tree (document or shadow root)
+    const root = element.getRootNode();
+
     // Helper: Check if selector is unique
     function isUnique(selector) {
       try {
-        const matches = document.querySelectorAll(selector);
+        const matches = root.querySelectorAll(selector);
         return matches.length === 1 && matches[0] === element;
       } catch (e) {
         return false;
@@ -356,11 +360,22 @@ export const browserSelectorGenerator = `
 
     // Fallback: just tag name with nth-of-type from body
     if (candidates.length === 0) {
-      const allOfType = Array.from(document.querySelectorAll(info.tagName.toLowerCase()));
+      const allOfType = Array.from(root.querySelectorAll(info.tagName.toLowerCase()));
       const index = allOfType.indexOf(element) + 1;
       candidates.push(info.tagName.toLowerCase() + ':nth-of-type(' + index + ')');
     }
 
+    // Inside a shadow tree: prefix with the host's selector using the shadow-piercing combinator
+    if (root instanceof ShadowRoot) {
+      const hostSelector = generateSelectorForElement(root.host).primary;
+      info.shadowHost = hostSelector;
+      return {
+        primary: hostSelector + ' >>> ' + candidates[0],
+        fallbacks: candidates.slice(1).map(selector => hostSelector + ' >>> ' + selector),
+        elementInfo: info
+      };
+    }
+
     return {
       primary: candidates[0],
       fallbacks: candidates.slice(1),
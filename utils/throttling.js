@@ -0,0 +1,167 @@
+/**
+ * utils/throttling.js
+ *
+ * Network and CPU throttling per page:
+ * 1. Named network profiles (Slow 3G, Fast 3G, Slow 4G, Fast 4G, offline)
+ * 2. Custom latency and throughput
+ * 3. CPU slowdown factor
+ * Settings are applied to the page's target, so they stay in force across navigations until reset.
+ */
+
+import { PredefinedNetworkConditions } from 'puppeteer';
+
+export const NETWORK_PROFILES = ['Slow 3G', 'Fast 3G', 'Slow 4G', 'Fast 4G', 'offline', 'none'];
+
+// Active throttling per page: page -> state
+const throttlingStates = new WeakMap();
+
+/**
+ * Apply throttling to a page
+ * Network settings are replaced when profile or custom values are given; CPU is replaced when cpuSlowdown is given.
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} settings - { profile, latency, downloadKbps, uploadKbps, cpuSlowdown }
+ * @returns {Object} - Active throttling state
+ */
+export async function applyThrottling(page, settings = {}) {
+  const { profile, latency, downloadKbps, uploadKbps, cpuSlowdown } = settings;
+  const state = { ...getThrottlingState(page) };
+
+  const hasCustomNetwork = latency !== undefined || downloadKbps !== undefined || uploadKbps !== undefined;
+
+  if (profile !== undefined || hasCustomNetwork) {
+    const profileName = profile ? resolveProfileName(profile) : null;
+
+    if (profileName === 'offline') {
+      await page.emulateNetworkConditions(null);
+      await page.setOfflineMode(true);
+      state.network = { profile: 'offline', offline: true };
+    } else if (profileName === 'none' && !hasCustomNetwork) {
+      await page.setOfflineMode(false);
+      await page.emulateNetworkConditions(null);
+      state.network = null;
+    } else {
+      const base = profileName && profileName !== 'none' ? PredefinedNetworkConditions[profileName] : { download: -1, upload: -1, latency: 0 };
+      const conditions = {
+        latency: latency ?? base.latency,
+        download: downloadKbps !== undefined ? kbpsToBytes(downloadKbps) : base.download,
+        upload: uploadKbps !== undefined ? kbpsToBytes(uploadKbps) : base.upload
+      };
+
+      await page.setOfflineMode(false);
+      await page.emulateNetworkConditions(conditions);
+      state.network = {
+        profile: profileName && profileName !== 'none' ? profileName : 'custom',
+        offline: false,
+        latency: conditions.latency,
+        downloadKbps: bytesToKbps(conditions.download),
+        uploadKbps: bytesToKbps(conditions.upload)
+      };
+    }
+  }
+
+  if (cpuSlowdown !== undefined) {
+    if (cpuSlowdown < 1) {
+      throw new Error('cpuSlowdown must be >= 1 (1 = no throttling)');
+    }
+    await page.emulateCPUThrottling(cpuSlowdown > 1 ? cpuSlowdown : null);
+    state.cpuSlowdown = cpuSlowdown > 1 ? cpuSlowdown : null;
+  }
+
+  if (!state.network && !state.cpuSlowdown) {
+    throttlingStates.delete(page);
+    return { network: null, cpuSlowdown: null };
+  }
+
+  throttlingStates.set(page, state);
+  return state;
+}
+
+/**
+ * Remove all throttling from a page
+ * @param {Object} page - Puppeteer page instance
+ */
+export async function resetThrottling(page) {
+  await page.setOfflineMode(false);
+  await page.emulateNetworkConditions(null);
+  await page.emulateCPUThrottling(null);
+  throttlingStates.delete(page);
+}
+
+/**
+ * Get active throttling for a page
+ * @param {Object} page - Puppeteer page instance
+ * @returns {Object} - { network, cpuSlowdown }
+ */
+export function getThrottlingState(page) {
+  return throttlingStates.get(page) || { network: null, cpuSlowdown: null };
+}
+
+/**
+ * Restore a previously captured throttling state (e.g. after a scenario declared its own profile)
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} state - State from getThrottlingState
+ */
+export async function restoreThrottling(page, state) {
+  await resetThrottling(page);
+
+  if (state.network?.offline) {
+    await applyThrottling(page, { profile: 'offline' });
+  } else if (state.network) {
+    await applyThrottling(page, {
+      latency: state.network.latency,
+      downloadKbps: state.network.downloadKbps ?? -1,
+      uploadKbps: state.network.uploadKbps ?? -1
+    });
+    throttlingStates.get(page).network.profile = state.network.profile;
+  }
+
+  if (state.cpuSlowdown) {
+    await applyThrottling(page, { cpuSlowdown: state.cpuSlowdown });
+  }
+}
+
+/**
+ * Describe throttling state in one line (for tool output)
+ * @param {Object} state - Throttling state
+ * @returns {string}
+ */
+export function describeThrottling(state) {
+  const parts = [];
+
+  if (state.network?.offline) {
+    parts.push('Network: offline');
+  } else if (state.network) {
+    const throughput = (kbps) => (kbps === null ? 'unlimited' : `${kbps} kbps`);
+    parts.push(`Network: ${state.network.profile} (latency ${state.network.latency}ms, down ${throughput(state.network.downloadKbps)}, up ${throughput(state.network.uploadKbps)})`);
+  } else {
+    parts.push('Network: no throttling');
+  }
+
+  parts.push(state.cpuSlowdown ? `CPU: ${state.cpuSlowdown}x slowdown` : 'CPU: no throttling');
+
+  return parts.join(', ');
+}
+
+/**
+ * Helpers
+ */
+
+function resolveProfileName(profile) {
+  const normalize = (name) => name.toLowerCase().replace(/[\s_-]/g, '');
+  const match = NETWORK_PROFILES.find(name => normalize(name) === normalize(profile));
+
+  if (!match) {
+    throw new Error(`Unknown network profile "${profile}". Use one of: ${NETWORK_PROFILES.join(', ')}`);
+  }
+
+  return match;
+}
+
+// -1 disables throughput throttling (CDP convention)
+function kbpsToBytes(kbps) {
+  return kbps < 0 ? -1 : (kbps * 1000) / 8;
+}
+
+function bytesToKbps(bytes) {
+  return bytes < 0 ? null : Math.round((bytes * 8) / 1000);
+}
@@ -0,0 +1,400 @@
+/**
+ * utils/tracing.js
+ *
+ * Chrome performance traces (page.tracing) with a summary an agent can read:
+ * 1. Start/stop tracing per page, trace file saved to disk
+ * 2. Main-thread time split by category (scripting, rendering, painting, GC, loading) from self times
+ * 3. Long tasks over 50 ms with the scripts that ran in them
+ * 4. Top functions by self time (V8 CPU profile samples)
+ * 5. Layout thrashing: layouts forced synchronously by scripts, repeated within one task
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Tasks longer than this block the main thread (ms)
+const LONG_TASK_THRESHOLD = 50;
+
+// Forced layouts in a single task reported as layout thrashing
+const THRASHING_MIN_LAYOUTS = 3;
+
+const TOP_FUNCTIONS = 15;
+
+// Trace event name -> category (nested events without a category inherit their parent's)
+const EVENT_CATEGORIES = {
+  scripting: [
+    'EvaluateScript', 'FunctionCall', 'TimerFire', 'EventDispatch', 'FireAnimationFrame', 'FireIdleCallback',
+    'RunMicrotasks', 'v8.compile', 'v8.compileModule', 'v8.evaluateModule', 'v8.produceCache', 'v8.parseOnBackground',
+    'V8.CompileCode', 'XHRReadyStateChange', 'XHRLoad', 'ProfileCall', 'v8.callFunction', 'v8.run'
+  ],
+  rendering: [
+    'UpdateLayoutTree', 'Layout', 'HitTest', 'PrePaint', 'UpdateLayerTree', 'ScheduleStyleRecalculation',
+    'InvalidateLayout', 'IntersectionObserverController::computeIntersections', 'Layerize'
+  ],
+  painting: ['Paint', 'PaintImage', 'RasterTask', 'CompositeLayers', 'Commit', 'DecodeImage', 'ResizeImage', 'GPUTask'],
+  gc: [
+    'MinorGC', 'MajorGC', 'V8.GCScavenger', 'V8.GCIncrementalMarking', 'V8.GCFinalizeMC', 'V8.GCCompactor',
+    'V8.GC_MC_BACKGROUND_MARKING', 'BlinkGC.AtomicPhase', 'ThreadState::performIdleLazySweep', 'GCEvent', 'BlinkGCMarking'
+  ],
+  loading: ['ParseHTML', 'ParseAuthorStyleSheet', 'ResourceSendRequest', 'ResourceReceiveResponse', 'ResourceReceivedData', 'ResourceFinish']
+};
+
+const CATEGORY_BY_EVENT = new Map(
+  Object.entries(EVENT_CATEGORIES).flatMap(([category, names]) => names.map(name => [name, category]))
+);
+
+const TASK_EVENTS = new Set(['RunTask', 'ThreadControllerImpl::RunTask', 'ThreadPool_RunTask']);
+const LAYOUT_EVENTS = new Set(['Layout', 'UpdateLayoutTree']);
+
+// Active traces: page -> { path, startedAt }
+const activeTraces = new WeakMap();
+
+/**
+ * Start tracing a page
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { path, screenshots, categories }
+ * @returns {Object} - { path, startedAt }
+ */
+export async function startTrace(page, options = {}) {
+  if (activeTraces.has(page)) {
+    throw new Error('Tracing is already running on this page - call stopTrace first');
+  }
+
+  const filePath = path.resolve(options.path || path.join(
+    process.env.CHROME_TRACE_DIR || path.join(os.tmpdir(), 'chrometools-traces'),
+    `trace-${new Date().toISOString().replace(/[:.]/g, '-')}.json`
+  ));
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  // Puppeteer's default categories include the V8 CPU profiler and timeline stacks
+  await page.tracing.start({
+    screenshots: options.screenshots === true,
+    ...(options.categories && options.categories.length > 0 ? { categories: options.categories } : {})
+  });
+
+  const trace = { path: filePath, startedAt: new Date().toISOString() };
+  activeTraces.set(page, trace);
+  return { ...trace };
+}
+
+/**
+ * Stop tracing, save the trace file and summarize it
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { maxLongTasks }
+ * @returns {Object} - { path, sizeBytes, startedAt, summary }
+ */
+export async function stopTrace(page, options = {}) {
+  const trace = activeTraces.get(page);
+  if (!trace) {
+    throw new Error('Tracing is not running on this page - call startTrace first');
+  }
+  activeTraces.delete(page);
+
+  const buffer = await page.tracing.stop();
+  if (!buffer) {
+    throw new Error('Trace is empty - the browser returned no trace data');
+  }
+
+  await fs.writeFile(trace.path, buffer);
+
+  return {
+    path: trace.path,
+    sizeBytes: buffer.length,
+    startedAt: trace.startedAt,
+    summary: summarizeTrace(JSON.parse(buffer.toString('utf8')), options)
+  };
+}
+
+/**
+ * Check whether a page is being traced
+ * @param {Object} page - Puppeteer page instance
+ * @returns {boolean}
+ */
+export function isTracing(page) {
+  return activeTraces.has(page);
+}
+
+/**
+ * Summarize trace events of the page's renderer main thread
+ * @param {Object|Array} trace - Parsed trace ({ traceEvents } or event array)
+ * @param {Object} options - { maxLongTasks }
+ * @returns {Object} - { durationMs, mainThread, longTasks, topFunctions, layoutThrashing }
+ */
+export function summarizeTrace(trace, options = {}) {
+  const { maxLongTasks = 10 } = options;
+  const events = Array.isArray(trace) ? trace : (trace.traceEvents || []);
+
+  const timed = events.filter(e => typeof e.ts === 'number' && e.ts > 0 && e.ph !== 'M');
+  const startTs = timed.reduce((min, e) => Math.min(min, e.ts), Infinity);
+  const endTs = timed.reduce((max, e) => Math.max(max, e.ts + (e.dur || 0)), 0);
+  const toMs = (us) => Math.round(us / 100) / 10;
+  const relativeMs = (ts) => toMs(ts - startTs);
+
+  const mainThreads = findMainThreads(events);
+  const mainKeys = new Set(mainThreads.map(t => `${t.pid}:${t.tid}`));
+
+  const categories = { scripting: 0, rendering: 0, painting: 0, gc: 0, loading: 0, other: 0 };
+  const tasks = [];
+  const forcedLayouts = [];
+
+  for (const thread of mainThreads) {
+    const threadEvents = toCompleteEvents(events.filter(e => e.pid === thread.pid && e.tid === thread.tid));
+    const stack = [];
+
+    for (const event of threadEvents) {
+      while (stack.length > 0 && stack[stack.length - 1].ts + stack[stack.length - 1].dur <= event.ts) {
+        finishEvent(stack.pop(), categories);
+      }
+
+      const parent = stack[stack.length - 1] || null;
+      if (parent) parent.childTime += event.dur;
+
+      event.childTime = 0;
+      event.category = CATEGORY_BY_EVENT.get(event.name) || parent?.category || 'other';
+      event.task = parent ? parent.task : event;
+      event.script = parent?.script || (event.category === 'scripting' && CATEGORY_BY_EVENT.has(event.name) ? event : null);
+
+      if (!parent) {
+        event.categories = {};
+        event.scripts = new Map();
+        event.forcedLayouts = [];
+        if (TASK_EVENTS.has(event.name) || CATEGORY_BY_EVENT.has(event.name)) tasks.push(event);
+      }
+
+      // Outermost script event of its URL inside the task
+      if (event.script === event) {
+        const data = event.args?.data || {};
+        const url = data.url || data.scriptName || null;
+        const key = `${data.functionName || event.name}|${url || ''}`;
+        const entry = event.task.scripts.get(key) || { url, functionName: data.functionName || null, event: event.name, time: 0 };
+        entry.time += event.dur;
+        event.task.scripts.set(key, entry);
+      }
+
+      if (LAYOUT_EVENTS.has(event.name) && event.script) {
+        const layout = { event, script: event.script };
+        forcedLayouts.push(layout);
+        event.task.forcedLayouts.push(layout);
+      }
+
+      stack.push(event);
+    }
+
+    while (stack.length > 0) finishEvent(stack.pop(), categories);
+  }
+
+  // Long tasks
+  const longTasks = tasks
+    .filter(task => task.dur / 1000 > LONG_TASK_THRESHOLD)
+    .sort((a, b) => b.dur - a.dur);
+
+  const busy = Object.values(categories).reduce((sum, value) => sum + value, 0);
+
+  // Layout thrashing warnings
+  const warnings = tasks
+    .filter(task => task.forcedLayouts.length >= THRASHING_MIN_LAYOUTS)
+    .sort((a, b) => b.forcedLayouts.length - a.forcedLayouts.length)
+    .slice(0, 10)
+    .map(task => {
+      const layoutTime = task.forcedLayouts.reduce((sum, l) => sum + l.event.dur, 0);
+      return `Task at ${relativeMs(task.ts)}ms forced ${task.forcedLayouts.length} synchronous layouts ` +
+        `(${toMs(layoutTime)}ms) from ${describeSource(task.forcedLayouts[0])} - ` +
+        'batch DOM reads before writes';
+    });
+
+  return {
+    durationMs: Number.isFinite(startTs) ? toMs(endTs - startTs) : 0,
+    mainThread: {
+      threads: mainThreads.length,
+      busyMs: toMs(busy),
+      categories: Object.fromEntries(Object.entries(categories).map(([name, value]) => [name, {
+        ms: toMs(value),
+        percent: busy > 0 ? Math.round((value / busy) * 1000) / 10 : 0
+      }]))
+    },
+    longTasks: {
+      count: longTasks.length,
+      totalBlockingMs: toMs(longTasks.reduce((sum, task) => sum + task.dur - LONG_TASK_THRESHOLD * 1000, 0)),
+      tasks: longTasks.slice(0, maxLongTasks).map(task => ({
+        startMs: relativeMs(task.ts),
+        durationMs: toMs(task.dur),
+        categories: Object.fromEntries(Object.entries(task.categories)
+          .sort((a, b) => b[1] - a[1])
+          .map(([name, value]) => [name, toMs(value)])),
+        scripts: [...task.scripts.values()]
+          .sort((a, b) => b.time - a.time)
+          .slice(0, 5)
+          .map(script => ({ url: script.url, functionName: script.functionName, event: script.event, ms: toMs(script.time) })),
+        ...(task.forcedLayouts.length > 0 ? { forcedLayouts: task.forcedLayouts.length } : {})
+      }))
+    },
+    topFunctions: summarizeCpuProfiles(events, mainKeys, mainThreads),
+    layoutThrashing: {
+      forcedLayouts: forcedLayouts.length,
+      forcedLayoutMs: toMs(forcedLayouts.reduce((sum, l) => sum + l.event.dur, 0)),
+      warnings
+    }
+  };
+}
+
+/**
+ * Short human-readable summary of a trace
+ * @param {Object} result - Result from stopTrace
+ * @returns {string}
+ */
+export function formatTraceSummary(result) {
+  const { summary } = result;
+  const lines = ['** TRACE SUMMARY **'];
+
+  lines.push(`Duration: ${summary.durationMs}ms, main thread busy: ${summary.mainThread.busyMs}ms`);
+  lines.push(`Breakdown: ${Object.entries(summary.mainThread.categories)
+    .filter(([, stats]) => stats.ms > 0)
+    .sort((a, b) => b[1].ms - a[1].ms)
+    .map(([name, stats]) => `${name} ${stats.ms}ms (${stats.percent}%)`)
+    .join(', ') || 'no main-thread activity'}`);
+
+  lines.push(`Long tasks: ${summary.longTasks.count}` +
+    (summary.longTasks.count > 0 ? ` (total blocking ${summary.longTasks.totalBlockingMs}ms, longest ${summary.longTasks.tasks[0].durationMs}ms)` : ''));
+
+  if (summary.topFunctions.length > 0) {
+    lines.push(`Top functions: ${summary.topFunctions.slice(0, 3)
+      .map(fn => `${fn.functionName}${fn.url ? ` (${shortUrl(fn.url)}:${fn.line})` : ''} ${fn.selfMs}ms`)
+      .join(', ')}`);
+  }
+
+  for (const warning of summary.layoutThrashing.warnings.slice(0, 3)) {
+    lines.push(`Warning: ${warning}`);
+  }
+
+  lines.push(`Trace file: ${result.path} (${(result.sizeBytes / (1024 * 1024)).toFixed(1)}MB) - open in Chrome DevTools Performance panel`);
+  return lines.join('\n');
+}
+
+/**
+ * Helpers
+ */
+
+function finishEvent(event, categories) {
+  const self = Math.max(event.dur - event.childTime, 0);
+  categories[event.category] += self;
+  event.task.categories[event.category] = (event.task.categories[event.category] || 0) + self;
+}
+
+// Renderer main threads of the traced page (falls back to every renderer main thread)
+function findMainThreads(events) {
+  const rendererThreads = events
+    .filter(e => e.ph === 'M' && e.name === 'thread_name' && e.args?.name === 'CrRendererMain')
+    .map(e => ({ pid: e.pid, tid: e.tid }));
+
+  const pagePids = new Set();
+  for (const e of events) {
+    const data = e.args?.data;
+    if (e.name === 'TracingStartedInBrowser' && Array.isArray(data?.frames)) {
+      data.frames.filter(f => !f.parent && f.processId).forEach(f => pagePids.add(f.processId));
+    } else if ((e.name === 'FrameCommittedInBrowser' || e.name === 'CommitLoad') && data && !data.parent && data.processId) {
+      pagePids.add(data.processId);
+    }
+  }
+
+  const pageThreads = rendererThreads.filter(t => pagePids.has(t.pid));
+  return pageThreads.length > 0 ? pageThreads : rendererThreads;
+}
+
+// Sorted complete events ('X', and 'B'/'E' pairs) with ts and dur in microseconds
+function toCompleteEvents(threadEvents) {
+  const complete = [];
+  const open = [];
+
+  const sorted = [...threadEvents].sort((a, b) => a.ts - b.ts);
+  for (const e of sorted) {
+    if (e.ph === 'X' && typeof e.dur === 'number') {
+      complete.push({ name: e.name, ts: e.ts, dur: e.dur, args: e.args });
+    } else if (e.ph === 'B') {
+      open.push(e);
+    } else if (e.ph === 'E') {
+      const index = open.map(b => b.name).lastIndexOf(e.name);
+      const begin = index === -1 ? open.pop() : open.splice(index, 1)[0];
+      if (begin) {
+        complete.push({ name: begin.name, ts: begin.ts, dur: e.ts - begin.ts, args: { ...begin.args, ...e.args } });
+      }
+    }
+  }
+
+  // Parents before children: earlier start first, longer first on ties
+  return complete.sort((a, b) => a.ts - b.ts || b.dur - a.dur);
+}
+
+// Self time per function from ProfileChunk samples of the main threads
+function summarizeCpuProfiles(events, mainKeys, mainThreads) {
+  const mainPids = new Set(mainThreads.map(t => t.pid));
+
+  // Profile id -> owning thread (from the "Profile" event)
+  const profileThreads = new Map();
+  for (const e of events) {
+    if (e.name === 'Profile' && e.id) profileThreads.set(`${e.pid}:${e.id}`, `${e.pid}:${e.tid}`);
+  }
+
+  const profiles = new Map();
+  for (const e of events) {
+    if (e.name !== 'ProfileChunk' || !mainPids.has(e.pid)) continue;
+    const owner = profileThreads.get(`${e.pid}:${e.id}`);
+    if (owner && !mainKeys.has(owner)) continue;
+
+    const profileKey = `${e.pid}:${e.id}`;
+    const profile = profiles.get(profileKey) || { nodes: new Map(), samples: [], deltas: [] };
+    profiles.set(profileKey, profile);
+
+    const data = e.args?.data || {};
+    for (const node of data.cpuProfile?.nodes || []) {
+      profile.nodes.set(node.id, node);
+    }
+    profile.samples.push(...(data.cpuProfile?.samples || []));
+    profile.deltas.push(...(data.timeDeltas || []));
+  }
+
+  const totals = new Map();
+  for (const profile of profiles.values()) {
+    profile.samples.forEach((nodeId, i) => {
+      const frame = profile.nodes.get(nodeId)?.callFrame;
+      // Skip (root), (program), (idle), (garbage collector)
+      if (!frame || frame.functionName.startsWith('(')) return;
+
+      const delta = Math.max(profile.deltas[i + 1] ?? profile.deltas[i] ?? 0, 0);
+      const key = `${frame.functionName}|${frame.url}|${frame.lineNumber}`;
+      const entry = totals.get(key) || {
+        functionName: frame.functionName || '(anonymous)',
+        url: frame.url || null,
+        line: frame.lineNumber >= 0 ? frame.lineNumber + 1 : null,
+        time: 0
+      };
+      entry.time += delta;
+      totals.set(key, entry);
+    });
+  }
+
+  return [...totals.values()]
+    .sort((a, b) => b.time - a.time)
+    .slice(0, TOP_FUNCTIONS)
+    .map(({ time, ...entry }) => ({ ...entry, selfMs: Math.round(time / 100) / 10 }))
+    .filter(entry => entry.selfMs > 0);
+}
+
+function describeSource(layout) {
+  const frame = layout.event.args?.beginData?.stackTrace?.[0];
+  if (frame) {
+    return `${frame.functionName || '(anonymous)'} (${shortUrl(frame.url)}:${frame.lineNumber})`;
+  }
+  const data = layout.script.args?.data || {};
+  return data.url ? `${data.functionName || layout.script.name} (${shortUrl(data.url)})` : layout.script.name;
+}
+
+function shortUrl(url) {
+  if (!url) return '';
+  try {
+    const { pathname } = new URL(url);
+    return pathname.split('/').filter(Boolean).pop() || url;
+  } catch {
+    return url;
+  }
+}
@@ -0,0 +1,334 @@
+/**
+ * utils/visual-baselines.js
+ *
+ * Visual regression baselines for pages and elements:
+ * 1. Stable captures: element, viewport or full page, animations paused, dynamic elements masked
+ * 2. Named baselines in visual-baselines/ (<name>.png + <name>.json with capture settings)
+ * 3. Comparison: pixel diff (pixelmatch), SSIM, diff-highlight image, pass/fail against a threshold
+ * 4. Ignore regions painted out of both images before comparing
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import Jimp from 'jimp';
+import pixelmatch from 'pixelmatch';
+
+// Default storage directory (next to scenarios/ and storage-states/)
+const DEFAULT_BASELINES_DIR = path.join(process.cwd(), 'visual-baselines');
+
+// Solid color painted over masked elements and ignore regions (same in baseline and actual)
+const MASK_COLOR = '#ff00ff';
+
+// pixelmatch diff color of changed pixels (default [255, 0, 0])
+const DIFF_COLOR = [255, 0, 0];
+
+const OVERLAY_ID = '__chrometools-visual-mask';
+
+/**
+ * Get file paths of a named baseline
+ * @param {string} name - Baseline name
+ * @returns {Object} - { image, meta, actual, diff }
+ */
+export function getBaselinePaths(name) {
+  if (!name || /[\/\\]|\.\./.test(name)) {
+    throw new Error(`Invalid baseline name "${name}" - use letters, digits, dashes and underscores`);
+  }
+  const base = path.join(DEFAULT_BASELINES_DIR, name);
+  return {
+    image: `${base}.png`,
+    meta: `${base}.json`,
+    actual: `${base}.actual.png`,
+    diff: `${base}.diff.png`
+  };
+}
+
+/**
+ * Capture a stable screenshot for visual comparison
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} options - { selector, fullPage, maskSelectors, disableAnimations }
+ * @returns {Object} - { buffer, width, height, deviceScaleFactor, masked }
+ */
+export async function captureForComparison(page, options = {}) {
+  const { selector = null, fullPage = !selector, maskSelectors = [], disableAnimations = true } = options;
+
+  const prepared = await page.evaluate(prepareCaptureInPage, {
+    overlayId: OVERLAY_ID,
+    maskSelectors,
+    maskColor: MASK_COLOR,
+    disableAnimations
+  });
+
+  try {
+    let buffer;
+    if (selector) {
+      const element = await page.$(selector);
+      if (!element) {
+        throw new Error(`Element not found: ${selector}`);
+      }
+      try {
+        buffer = await element.screenshot({ encoding: 'binary' });
+      } finally {
+        await element.dispose();
+      }
+    } else {
+      buffer = await page.screenshot({ fullPage, encoding: 'binary' });
+    }
+
+    const image = await Jimp.read(buffer);
+    return {
+      buffer,
+      width: image.bitmap.width,
+      height: image.bitmap.height,
+      deviceScaleFactor: prepared.deviceScaleFactor,
+      masked: prepared.masked
+    };
+  } finally {
+    await page.evaluate(cleanupCaptureInPage, OVERLAY_ID).catch(() => {});
+  }
+}
+
+/**
+ * Save named baseline
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} name - Baseline name
+ * @param {Object} options - { selector, fullPage, maskSelectors, ignoreRegions, disableAnimations }
+ * @returns {Object} - Baseline metadata with file path
+ */
+export async function saveVisualBaseline(page, name, options = {}) {
+  const paths = getBaselinePaths(name);
+  const settings = {
+    selector: options.selector || null,
+    fullPage: options.selector ? false : options.fullPage !== false,
+    maskSelectors: options.maskSelectors || [],
+    ignoreRegions: options.ignoreRegions || [],
+    disableAnimations: options.disableAnimations !== false
+  };
+
+  const capture = await captureForComparison(page, settings);
+  const viewport = page.viewport();
+
+  const meta = {
+    name,
+    url: page.url(),
+    ...settings,
+    viewport: viewport ? { width: viewport.width, height: viewport.height } : null,
+    deviceScaleFactor: capture.deviceScaleFactor,
+    width: capture.width,
+    height: capture.height,
+    createdAt: new Date().toISOString()
+  };
+
+  await fs.mkdir(DEFAULT_BASELINES_DIR, { recursive: true });
+  await fs.writeFile(paths.image, capture.buffer);
+  await fs.writeFile(paths.meta, JSON.stringify(meta, null, 2), 'utf-8');
+
+  return { ...meta, path: paths.image, maskedElements: capture.masked };
+}
+
+/**
+ * Compare current page against a named baseline
+ * Capture settings default to the ones stored with the baseline.
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} name - Baseline name
+ * @param {Object} options - { threshold, pixelThreshold, selector, maskSelectors, ignoreRegions, calculateSSIM }
+ * @returns {Object} - { result, diffBuffer, actualBuffer }
+ */
+export async function compareVisualBaseline(page, name, options = {}) {
+  const paths = getBaselinePaths(name);
+
+  let meta;
+  let baselineBuffer;
+  try {
+    meta = JSON.parse(await fs.readFile(paths.meta, 'utf-8'));
+    baselineBuffer = await fs.readFile(paths.image);
+  } catch {
+    throw new Error(`Visual baseline "${name}" not found - create it with saveVisualBaseline`);
+  }
+
+  const { threshold = 0.005, pixelThreshold = 0.1, calculateSSIM = null } = options;
+  const settings = {
+    selector: options.selector ?? meta.selector,
+    fullPage: meta.fullPage,
+    maskSelectors: [...new Set([...(meta.maskSelectors || []), ...(options.maskSelectors || [])])],
+    disableAnimations: meta.disableAnimations !== false
+  };
+  const ignoreRegions = [...(meta.ignoreRegions || []), ...(options.ignoreRegions || [])];
+
+  const capture = await captureForComparison(page, settings);
+  const [baselineImg, actualImg] = await Promise.all([Jimp.read(baselineBuffer), Jimp.read(capture.buffer)]);
+
+  const baselineSize = { width: baselineImg.bitmap.width, height: baselineImg.bitmap.height };
+  const sizeChanged = baselineSize.width !== actualImg.bitmap.width || baselineSize.height !== actualImg.bitmap.height;
+
+  // Compare the common area; a size change fails the comparison on its own
+  const width = Math.min(baselineImg.bitmap.width, actualImg.bitmap.width);
+  const height = Math.min(baselineImg.bitmap.height, actualImg.bitmap.height);
+  if (sizeChanged) {
+    baselineImg.crop(0, 0, width, height);
+    actualImg.crop(0, 0, width, height);
+  }
+
+  const scale = capture.deviceScaleFactor || 1;
+  for (const region of ignoreRegions) {
+    paintRegion(baselineImg, region, scale);
+    paintRegion(actualImg, region, scale);
+  }
+
+  const baselineData = new Uint8ClampedArray(baselineImg.bitmap.data);
+  const actualData = new Uint8ClampedArray(actualImg.bitmap.data);
+  const diffData = new Uint8ClampedArray(width * height * 4);
+
+  const diffPixels = pixelmatch(baselineData, actualData, diffData, width, height, {
+    threshold: pixelThreshold,
+    includeAA: false,
+    diffColor: DIFF_COLOR
+  });
+
+  const totalPixels = width * height;
+  const differencePercent = totalPixels > 0 ? (diffPixels / totalPixels) * 100 : 0;
+  const ssim = calculateSSIM ? calculateSSIM(baselineData, actualData, width, height) : null;
+  const passed = !sizeChanged && differencePercent <= threshold * 100;
+
+  await fs.writeFile(paths.actual, capture.buffer);
+  let diffBuffer = null;
+  if (diffPixels > 0) {
+    const diffImg = new Jimp({ data: Buffer.from(diffData), width, height });
+    diffBuffer = await diffImg.getBufferAsync(Jimp.MIME_PNG);
+    await fs.writeFile(paths.diff, diffBuffer);
+  } else {
+    await fs.rm(paths.diff, { force: true });
+  }
+
+  const diffBounds = diffPixels > 0 ? findDiffBounds(diffData, width, height, scale) : null;
+
+  return {
+    result: {
+      name,
+      passed,
+      identical: diffPixels === 0 && !sizeChanged,
+      pixelDifferences: diffPixels,
+      differencePercent: Math.round(differencePercent * 1000) / 1000,
+      threshold,
+      ssim: ssim === null ? null : Math.round(ssim * 10000) / 10000,
+      ...(sizeChanged ? {
+        sizeChanged: {
+          baseline: baselineSize,
+          actual: { width: capture.width, height: capture.height }
+        }
+      } : {}),
+      diffBounds,
+      maskedElements: capture.masked,
+      ignoreRegions: ignoreRegions.length,
+      baselineUrl: meta.url,
+      url: page.url(),
+      baselineCreatedAt: meta.createdAt,
+      files: {
+        baseline: paths.image,
+        actual: paths.actual,
+        diff: diffBuffer ? paths.diff : null
+      }
+    },
+    diffBuffer,
+    actualBuffer: capture.buffer
+  };
+}
+
+/**
+ * Helpers
+ */
+
+// Ignore regions are in CSS pixels relative to the captured image
+function paintRegion(image, region, scale) {
+  const x = Math.max(Math.floor(region.x * scale), 0);
+  const y = Math.max(Math.floor(region.y * scale), 0);
+  const right = Math.min(Math.ceil((region.x + region.width) * scale), image.bitmap.width);
+  const bottom = Math.min(Math.ceil((region.y + region.height) * scale), image.bitmap.height);
+  if (right <= x || bottom <= y) return;
+
+  const color = Jimp.cssColorToHex(MASK_COLOR);
+  image.scan(x, y, right - x, bottom - y, function (px, py, idx) {
+    this.bitmap.data.writeUInt32BE(color, idx);
+  });
+}
+
+// Bounding box of changed pixels, in CSS pixels
+function findDiffBounds(diffData, width, height, scale) {
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * 4;
+      if (diffData[idx] === DIFF_COLOR[0] && diffData[idx + 1] === DIFF_COLOR[1] && diffData[idx + 2] === DIFF_COLOR[2]) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+
+  if (maxX === -1) return null;
+  return {
+    x: Math.floor(minX / scale),
+    y: Math.floor(minY / scale),
+    width: Math.ceil((maxX - minX + 1) / scale),
+    height: Math.ceil((maxY - minY + 1) / scale)
+  };
+}
+
+// Runs in the page: pause animations, cover masked elements with solid boxes
+function prepareCaptureInPage({ overlayId, maskSelectors, maskColor, disableAnimations }) {
+  const container = document.createElement('div');
+  container.id = overlayId;
+  container.style.cssText = 'position:absolute;top:0;left:0;width:0;height:0;z-index:2147483647;pointer-events:none;';
+
+  if (disableAnimations) {
+    const style = document.createElement('style');
+    style.textContent = '*, *::before, *::after { animation-play-state: paused !important; animation-delay: -0.0001s !important; ' +
+      'transition: none !important; caret-color: transparent !important; }';
+    container.appendChild(style);
+  }
+
+  // Open shadow roots included
+  const queryDeep = (selector) => {
+    const results = [];
+    const walk = (root) => {
+      try {
+        results.push(...root.querySelectorAll(selector));
+      } catch {
+        return;
+      }
+      for (const el of root.querySelectorAll('*')) {
+        if (el.shadowRoot) walk(el.shadowRoot);
+      }
+    };
+    walk(document);
+    return results;
+  };
+
+  let masked = 0;
+  for (const selector of maskSelectors) {
+    for (const el of queryDeep(selector)) {
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+
+      const fixed = getComputedStyle(el).position === 'fixed';
+      const box = document.createElement('div');
+      box.style.cssText = `position:${fixed ? 'fixed' : 'absolute'};` +
+        `left:${rect.left + (fixed ? 0 : window.scrollX)}px;top:${rect.top + (fixed ? 0 : window.scrollY)}px;` +
+        `width:${rect.width}px;height:${rect.height}px;background:${maskColor};`;
+      container.appendChild(box);
+      masked++;
+    }
+  }
+
+  document.body.appendChild(container);
+  return { masked, deviceScaleFactor: window.devicePixelRatio || 1 };
+}
+
+function cleanupCaptureInPage(overlayId) {
+  document.getElementById(overlayId)?.remove();
+}